@@ -0,0 +1,237 @@
+// Golden-question evaluation: runs each question through the /chat pipeline and
+// scores goal, queryType, dimensions, filters, requestedMetrics, visualization and
+// notAnswerable against the expected values, per category and against a saved baseline.
+//
+//   npm run eval                                   mock LLM + fixture data
+//   npm run eval -- --save-baseline                record the current results as the baseline
+//   npm run eval -- --category=follow_up --verbose
+//
+// Options: --questions=<path> --baseline=<path> --category=<name> --save-baseline --json --verbose
+// The exit code is 1 when a question that passes in the baseline now fails.
+const fs = require('fs');
+const path = require('path');
+
+const args = Object.fromEntries(process.argv.slice(2).map(arg => {
+  const [key, value] = arg.replace(/^--/, '').split('=');
+  return [key, value === undefined ? true : value];
+}));
+
+const QUESTIONS_PATH = args.questions || path.join(__dirname, '..', 'fixtures', 'eval', 'golden-questions.json');
+const BASELINE_PATH = args.baseline || path.join(__dirname, '..', 'fixtures', 'eval', 'baseline.json');
+const SCORED_FIELDS = ['goal', 'queryType', 'dimensions', 'filters', 'requestedMetrics', 'visualization', 'notAnswerable'];
+
+// Offline by default; set LLM_PROVIDER / DATA_SOURCE to evaluate live (LLM_RECORD_FIXTURES records the run)
+process.env.DATA_SOURCE = process.env.DATA_SOURCE || 'fixture';
+process.env.LLM_PROVIDER = process.env.LLM_PROVIDER || 'mock';
+// Every question is planned and answered afresh rather than served from the response cache
+process.env.RESPONSE_CACHE = process.env.RESPONSE_CACHE || 'off';
+
+const { runChatPipeline, detectRequestedMetrics } = require('../server');
+
+// Helper: The scored fields of a pipeline response
+function describeResponse(question, payload) {
+  const visualization = payload.visualization || null;
+  let requestedMetrics = visualization && visualization.requestedMetrics;
+  if (!requestedMetrics && payload.sql && payload.goal) {
+    requestedMetrics = detectRequestedMetrics(payload.sql, question, payload.goal);
+  }
+
+  return {
+    goal: payload.goal || null,
+    queryType: payload.queryType || null,
+    dimensions: payload.dimensions || [],
+    filters: payload.filters || {},
+    requestedMetrics: requestedMetrics || null,
+    visualization: visualization ? visualization.type : null,
+    notAnswerable: !!payload.notAnswerable,
+    success: payload.success,
+    planSource: payload.planSource || null
+  };
+}
+
+// Helper: Filters with every dimension present and values sorted, so { region: ["West"] } equals the full form
+function normalizeFilters(filters) {
+  const normalized = {};
+  ['platform', 'region', 'age_group', 'gender'].forEach(dimension => {
+    normalized[dimension] = [...((filters || {})[dimension] || [])].sort();
+  });
+  return normalized;
+}
+
+function fieldMatches(field, expected, actual) {
+  if (field === 'filters') {
+    return JSON.stringify(normalizeFilters(expected)) === JSON.stringify(normalizeFilters(actual));
+  }
+  return JSON.stringify(expected) === JSON.stringify(actual);
+}
+
+// Score one question: every expected field must match
+function scoreQuestion(entry, actual) {
+  const fields = {};
+  Object.keys(entry.expected).forEach(field => {
+    if (!SCORED_FIELDS.includes(field)) {
+      throw new Error(`${entry.id}: unknown expected field "${field}" (expected one of ${SCORED_FIELDS.join(', ')})`);
+    }
+    fields[field] = fieldMatches(field, entry.expected[field], actual[field]);
+  });
+
+  return { passed: Object.values(fields).every(Boolean), fields };
+}
+
+// Run the pipeline with its logging silenced (unless --verbose)
+async function runQuestion(entry) {
+  const log = console.log;
+  const error = console.error;
+  if (!args.verbose) {
+    console.log = () => {};
+    console.error = () => {};
+  }
+
+  try {
+    const payload = await runChatPipeline(entry.question, entry.history || []);
+    return describeResponse(entry.question, payload);
+  } finally {
+    console.log = log;
+    console.error = error;
+  }
+}
+
+function formatValue(value) {
+  return value === undefined ? 'undefined' : JSON.stringify(value);
+}
+
+function percent(passed, total) {
+  return total > 0 ? `${((passed / total) * 100).toFixed(1)}%` : 'n/a';
+}
+
+// Compare this run with the baseline: regressions, fixes and changed plans
+function diffWithBaseline(results, baseline) {
+  const diff = { regressions: [], fixes: [], changed: [], added: [] };
+
+  results.forEach(result => {
+    const previous = baseline.results[result.id];
+    if (!previous) {
+      diff.added.push(result.id);
+      return;
+    }
+    if (previous.passed && !result.passed) diff.regressions.push(result.id);
+    if (!previous.passed && result.passed) diff.fixes.push(result.id);
+
+    const changes = SCORED_FIELDS
+      .filter(field => JSON.stringify(previous.actual[field]) !== JSON.stringify(result.actual[field]))
+      .map(field => ({ field, before: previous.actual[field], after: result.actual[field] }));
+    if (changes.length > 0) diff.changed.push({ id: result.id, changes });
+  });
+
+  return diff;
+}
+
+async function main() {
+  const suite = JSON.parse(fs.readFileSync(QUESTIONS_PATH, 'utf8'));
+  const questions = suite.questions.filter(entry => !args.category || entry.category === args.category);
+  if (questions.length === 0) {
+    throw new Error(`No questions${args.category ? ` in category "${args.category}"` : ''}`);
+  }
+
+  const results = [];
+  for (const entry of questions) {
+    const actual = await runQuestion(entry);
+    results.push({ id: entry.id, category: entry.category, question: entry.question, ...scoreQuestion(entry, actual), actual });
+  }
+
+  // Accuracy per category and per field
+  const categories = {};
+  const fields = {};
+  results.forEach((result, index) => {
+    categories[result.category] = categories[result.category] || { passed: 0, total: 0 };
+    categories[result.category].total++;
+    if (result.passed) categories[result.category].passed++;
+
+    Object.entries(result.fields).forEach(([field, matched]) => {
+      fields[field] = fields[field] || { passed: 0, total: 0 };
+      fields[field].total++;
+      if (matched) fields[field].passed++;
+    });
+    result.expected = questions[index].expected;
+  });
+
+  const summary = {
+    passed: results.filter(result => result.passed).length,
+    total: results.length,
+    categories,
+    fields,
+    planSources: results.reduce((counts, result) => {
+      const source = result.actual.planSource || 'none';
+      counts[source] = (counts[source] || 0) + 1;
+      return counts;
+    }, {})
+  };
+
+  const baseline = fs.existsSync(BASELINE_PATH) ? JSON.parse(fs.readFileSync(BASELINE_PATH, 'utf8')) : null;
+  const diff = baseline && !args['save-baseline'] ? diffWithBaseline(results, baseline) : null;
+
+  if (args.json) {
+    console.log(JSON.stringify({ summary, diff, results }, null, 2));
+  } else {
+    console.log(`\nGolden questions: ${summary.passed}/${summary.total} passed (${percent(summary.passed, summary.total)})`);
+    console.log(`Plans: ${Object.entries(summary.planSources).map(([source, count]) => `${source} ${count}`).join(', ')}\n`);
+
+    console.log('By category:');
+    Object.entries(categories).forEach(([category, score]) => {
+      console.log(`  ${category.padEnd(20)} ${String(score.passed).padStart(3)}/${score.total}  ${percent(score.passed, score.total)}`);
+    });
+    console.log('\nBy field:');
+    Object.entries(fields).forEach(([field, score]) => {
+      console.log(`  ${field.padEnd(20)} ${String(score.passed).padStart(3)}/${score.total}  ${percent(score.passed, score.total)}`);
+    });
+
+    const failures = results.filter(result => !result.passed);
+    if (failures.length > 0) {
+      console.log('\nFailures:');
+      failures.forEach(result => {
+        console.log(`  ✗ [${result.category}] ${result.id}: "${result.question}"`);
+        Object.entries(result.fields).filter(([, matched]) => !matched).forEach(([field]) => {
+          console.log(`      ${field}: expected ${formatValue(result.expected[field])}, got ${formatValue(result.actual[field])}`);
+        });
+      });
+    }
+
+    if (diff) {
+      console.log(`\nAgainst baseline (${baseline.generatedAt}, ${baseline.summary.passed}/${baseline.summary.total} passed):`);
+      if (diff.regressions.length + diff.fixes.length + diff.changed.length + diff.added.length === 0) {
+        console.log('  no changes');
+      }
+      diff.regressions.forEach(id => console.log(`  ▼ regression: ${id}`));
+      diff.fixes.forEach(id => console.log(`  ▲ fixed: ${id}`));
+      diff.added.forEach(id => console.log(`  + new question: ${id}`));
+      diff.changed.forEach(({ id, changes }) => {
+        changes.forEach(change => {
+          console.log(`  ~ ${id} ${change.field}: ${formatValue(change.before)} → ${formatValue(change.after)}`);
+        });
+      });
+    } else if (!baseline && !args['save-baseline']) {
+      console.log('\nNo baseline yet: run with --save-baseline to record one.');
+    }
+  }
+
+  if (args['save-baseline']) {
+    const saved = {
+      generatedAt: new Date().toISOString(),
+      llmProvider: process.env.LLM_PROVIDER,
+      dataSource: process.env.DATA_SOURCE,
+      summary: { passed: summary.passed, total: summary.total, categories },
+      results: Object.fromEntries(results.map(result => [result.id, { passed: result.passed, actual: result.actual }]))
+    };
+    fs.writeFileSync(BASELINE_PATH, JSON.stringify(saved, null, 2) + '\n');
+    console.log(`\nBaseline saved to ${path.relative(process.cwd(), BASELINE_PATH)}`);
+  }
+
+  if (diff && diff.regressions.length > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch(error => {
+  console.error('Evaluation failed:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,32 @@
+// Local webhook receiver for testing alerts: prints every delivery.
+// Checks X-AdAgentOS-Signature when ALERT_WEBHOOK_SECRET is set.
+//   WEBHOOK_RECEIVER_PORT=4000 node scripts/webhook-receiver.js
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = process.env.WEBHOOK_RECEIVER_PORT || 4000;
+const SECRET = process.env.ALERT_WEBHOOK_SECRET;
+
+http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    let signature = 'not checked (no ALERT_WEBHOOK_SECRET)';
+    if (SECRET) {
+      const expected = `sha256=${crypto.createHmac('sha256', SECRET).update(body).digest('hex')}`;
+      signature = req.headers['x-adagentos-signature'] === expected ? 'valid' : 'INVALID';
+    }
+    
+    console.log(`\n📨 ${req.method} ${req.url} (signature ${signature})`);
+    try {
+      console.log(JSON.stringify(JSON.parse(body), null, 2));
+    } catch (error) {
+      console.log(body);
+    }
+    
+    res.writeHead(signature === 'INVALID' ? 401 : 200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ received: signature !== 'INVALID' }));
+  });
+}).listen(PORT, () => {
+  console.log(`Webhook receiver listening on http://localhost:${PORT}`);
+});
@@ -1,10 +1,23 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { AsyncLocalStorage } = require('async_hooks');
 const express = require('express');
 const cors = require('cors');
 const { createClient } = require('@supabase/supabase-js');
 
 const app = express();
+// Request ID first, so every response carries one and every request is logged
+app.use(startRequest);
 app.use(cors());
+// Bulk ingestion accepts larger JSON and CSV bodies
+app.use('/ingest', express.json({ limit: '10mb' }), express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }));
 app.use(express.json());
+app.use(enterRequestContext);
 
 // Environment variables
 const PORT = process.env.PORT || 3000;
@@ -12,1168 +25,8124 @@ const SUPABASE_URL = process.env.SUPABASE_URL;
 const SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY;
 const MODEL_NAME = process.env.MODEL_NAME || 'gpt-4o-mini';
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
+const ANTHROPIC_VERSION = process.env.ANTHROPIC_VERSION || '2023-06-01';
+const LLM_PROVIDER = process.env.LLM_PROVIDER; // openai | anthropic | mock (default: from MODEL_NAME)
+const LLM_FIXTURES_PATH = process.env.LLM_FIXTURES_PATH || path.join(__dirname, 'fixtures', 'llm-responses.json');
+const LLM_RECORD_FIXTURES = process.env.LLM_RECORD_FIXTURES; // path to record live responses into
+const DATA_SOURCE = process.env.DATA_SOURCE || 'supabase'; // supabase | fixture
+const DATA_FIXTURE_PATH = process.env.DATA_FIXTURE_PATH || path.join(__dirname, 'fixtures', 'video_ad_performance.json');
+const SESSION_STORE = process.env.SESSION_STORE || 'memory'; // memory | supabase
+const SESSION_CONTEXT_TURNS = parseInt(process.env.SESSION_CONTEXT_TURNS || '10', 10);
+const RESPONSE_CACHE = process.env.RESPONSE_CACHE || 'on'; // on | off
+const CACHE_TTL_SECONDS = parseInt(process.env.CACHE_TTL_SECONDS || '900', 10);
+const CACHE_MAX_ENTRIES = parseInt(process.env.CACHE_MAX_ENTRIES || '200', 10); // per cache (plans, rows, answers)
+const INTENT_CLASSIFIER = process.env.INTENT_CLASSIFIER || 'on'; // on | off (every question goes to the query generator)
+const SQL_REPAIR_MAX_ATTEMPTS = parseInt(process.env.SQL_REPAIR_MAX_ATTEMPTS || '2', 10); // retries after the first query
+const INGEST_API_KEY = process.env.INGEST_API_KEY; // required to use POST /ingest
+const API_KEYS = process.env.API_KEYS; // account:key pairs, comma-separated (e.g. brand-a:sk_123,brand-b:sk_456)
+const JWT_SECRET = process.env.JWT_SECRET; // HS256 secret for bearer JWTs
+const JWT_ACCOUNT_CLAIM = process.env.JWT_ACCOUNT_CLAIM || 'account_id';
+const RATE_LIMIT_PER_MINUTE = parseInt(process.env.RATE_LIMIT_PER_MINUTE || '60', 10); // requests per key, 0 = unlimited
+const TOKEN_QUOTA_PER_DAY = parseInt(process.env.TOKEN_QUOTA_PER_DAY || '0', 10); // LLM tokens per key per UTC day, 0 = unlimited
+const KEY_QUOTAS = process.env.KEY_QUOTAS; // JSON overrides by key id or account: { "brand-a": { "requestsPerMinute": 120, "tokensPerDay": 2000000 } }
+const USAGE_STORE = process.env.USAGE_STORE || 'memory'; // memory | supabase
+const LLM_INPUT_PRICE_PER_MTOK = process.env.LLM_INPUT_PRICE_PER_MTOK; // USD per million prompt tokens (default: from MODEL_NAME)
+const LLM_OUTPUT_PRICE_PER_MTOK = process.env.LLM_OUTPUT_PRICE_PER_MTOK; // USD per million completion tokens
+const ALERT_STORE = process.env.ALERT_STORE || 'memory'; // memory | supabase
+const ALERT_WEBHOOK_URL = process.env.ALERT_WEBHOOK_URL; // default webhook for rules without their own
+const ALERT_WEBHOOK_SECRET = process.env.ALERT_WEBHOOK_SECRET; // signs webhook bodies (X-AdAgentOS-Signature)
+const ALERT_WEBHOOK_ALLOWED_HOSTS = process.env.ALERT_WEBHOOK_ALLOWED_HOSTS; // comma-separated hosts (or *.example.com) a rule's webhookUrl may use
+const ALERT_EVALUATION_INTERVAL_MINUTES = parseInt(process.env.ALERT_EVALUATION_INTERVAL_MINUTES || '0', 10); // 0 = on demand only
+const LOG_LEVEL = process.env.LOG_LEVEL || 'info'; // debug | info | warn | error
+const LOG_FORMAT = process.env.LOG_FORMAT || 'json'; // json | text
+const HEALTH_CHECK_TIMEOUT_MS = parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS || '5000', 10);
+const METRIC_DEFINITION_STORE = process.env.METRIC_DEFINITION_STORE || 'memory'; // memory | supabase
 
-// Initialize Supabase client
-const supabase = createClient(SUPABASE_URL, SUPABASE_ANON_KEY);
+// Initialize Supabase client (not needed when running from fixture data)
+const supabase = DATA_SOURCE === 'supabase' ? createClient(SUPABASE_URL, SUPABASE_ANON_KEY) : null;
 
-// Database schema context for LLM
-const DATABASE_SCHEMA = `
+// Offline data: rows loaded once from the fixture file
+let fixtureRowsCache = null;
+
+function loadFixtureRows() {
+  if (!fixtureRowsCache) {
+    fixtureRowsCache = JSON.parse(fs.readFileSync(DATA_FIXTURE_PATH, 'utf8'));
+  }
+  return fixtureRowsCache;
+}
+
+// ============================================================
+// Semantic Layer: the dimensions, base measures and derived
+// metrics of video_ad_performance, declared once. The prompts,
+// aggregators, validators, exports and fallback answers are
+// generated from these definitions.
+// ============================================================
+
+// Dimension columns and their allowed values
+const DIMENSIONS = {
+  platform: { label: 'Platform', values: ['TikTok', 'Instagram', 'Facebook', 'YouTube', 'Snapchat'] },
+  region: { label: 'Region', values: ['Northeast', 'Midwest', 'South', 'West'] },
+  age_group: { label: 'Age Group', values: ['18-24', '25-34', '35-44', '45-54', '55-64', '65+'] },
+  gender: { label: 'Gender', values: ['male', 'female', 'unknown'] }
+};
+const DIMENSION_COLUMNS = Object.keys(DIMENSIONS);
+
+// Base measures: columns summed across rows (type is the column type: numeric or bigint)
+const MEASURES = {
+  spend: { label: 'Spend', type: 'numeric', format: 'currency', description: 'Ad spend in dollars' },
+  revenue: { label: 'Revenue', type: 'numeric', format: 'currency', description: 'Revenue generated in dollars' },
+  impressions: { label: 'Impressions', type: 'bigint', format: 'integer', description: 'Number of impressions' },
+  clicks: { label: 'Clicks', type: 'bigint', format: 'integer', description: 'Number of clicks' },
+  conversions: { label: 'Conversions', type: 'bigint', format: 'integer', description: 'Number of conversions' },
+  video_starts: { label: 'Video Starts', type: 'bigint', format: 'integer', description: 'Number of video starts' },
+  views_3s: { label: '3s Views', type: 'bigint', format: 'integer', description: 'Views at 3 seconds' },
+  views_25: { label: '25% Views', type: 'bigint', format: 'integer', description: 'Views at 25% completion' },
+  views_50: { label: '50% Views', type: 'bigint', format: 'integer', description: 'Views at 50% completion' },
+  views_100: { label: 'Completed Views', type: 'bigint', format: 'integer', description: 'Views at 100% completion' }
+};
+const MEASURE_COLUMNS = Object.keys(MEASURES);
+
+// Derived metrics: numerator / denominator × scale over the summed measures.
+// column is the name used in SQL and requestedMetrics where it differs from the key,
+// aliases are extra keys the aggregated results also carry (older clients read them),
+// precision is the decimals kept in aggregated results.
+const METRICS = {
+  roas: { label: 'ROAS', numerator: 'revenue', denominator: 'spend', scale: 1, precision: 2, format: 'ratio', higherIsBetter: true },
+  ctr: { label: 'CTR', numerator: 'clicks', denominator: 'impressions', scale: 100, precision: 2, format: 'percent', higherIsBetter: true },
+  cpa: { label: 'CPA', numerator: 'spend', denominator: 'conversions', scale: 1, precision: 2, format: 'currency', higherIsBetter: false },
+  cpm: { label: 'CPM', numerator: 'spend', denominator: 'impressions', scale: 1000, precision: 2, format: 'currency', higherIsBetter: false },
+  conversionRate: {
+    label: 'Conversion Rate', column: 'conversion_rate', numerator: 'conversions', denominator: 'clicks',
+    scale: 100, precision: 2, format: 'percent', higherIsBetter: true
+  },
+  completionRate: {
+    label: 'Video Completion Rate', column: 'video_completion_rate', aliases: ['video_completion_rate'],
+    numerator: 'views_100', denominator: 'video_starts', scale: 100, precision: 2, format: 'percent', higherIsBetter: true
+  },
+  hookRate: {
+    label: 'Hook Rate', column: 'hook_rate', numerator: 'views_3s', denominator: 'impressions',
+    scale: 100, precision: 2, format: 'percent', higherIsBetter: true
+  },
+  holdRate: {
+    label: 'Hold Rate', column: 'hold_rate', numerator: 'views_100', denominator: 'views_3s',
+    scale: 100, precision: 2, format: 'percent', higherIsBetter: true
+  },
+  costPerCompletedView: {
+    label: 'Cost per Completed View', column: 'cost_per_completed_view', numerator: 'spend', denominator: 'views_100',
+    scale: 1, precision: 4, format: 'currency', higherIsBetter: false
+  }
+};
+
+// Helper: The registry key of a metric or measure from its key or SQL column name (null when unknown)
+function resolveMetricKey(name) {
+  if (MEASURES[name] || METRICS[name]) return name;
+  return Object.keys(METRICS).find(key => METRICS[key].column === name || (METRICS[key].aliases || []).includes(name)) || null;
+}
+
+// Helper: A derived metric's SQL column name
+function metricColumn(metric) {
+  return METRICS[metric].column || metric;
+}
+
+// Helper: A derived metric's SQL formula (integer numerators are cast so the division isn't truncated)
+function metricSQL(metric) {
+  const { numerator, denominator, scale } = METRICS[metric];
+  const ratio = `SUM(${numerator})${MEASURES[numerator].type === 'bigint' ? '::numeric' : ''} / NULLIF(SUM(${denominator}), 0)`;
+  return scale === 1 ? ratio : `(${ratio}) * ${scale}`;
+}
+
+// Helper: A derived metric on summed measures, unrounded (null when there is nothing to divide by)
+function computeMetric(metric, totals) {
+  const { numerator, denominator, scale } = METRICS[metric];
+  return totals[denominator] > 0 ? (totals[numerator] / totals[denominator]) * scale : null;
+}
+
+// Helper: Sum the measures of some rows (numeric columns can arrive as strings)
+function sumMeasures(rows) {
+  const totals = Object.fromEntries(MEASURE_COLUMNS.map(column => [column, 0]));
+  rows.forEach(row => {
+    MEASURE_COLUMNS.forEach(column => {
+      totals[column] += MEASURES[column].type === 'bigint'
+        ? parseInt(row[column] || 0)
+        : parseFloat(row[column] || 0);
+    });
+  });
+  return totals;
+}
+
+// Helper: A derived metric on summed measures, rounded to its precision (0 when undefined)
+function roundedMetric(metric, totals) {
+  const value = computeMetric(metric, totals);
+  return value === null ? 0 : parseFloat(value.toFixed(METRICS[metric].precision));
+}
+
+// Helper: Add every derived metric to summed measures
+function addDerivedMetrics(totals) {
+  Object.entries(METRICS).forEach(([metric, definition]) => {
+    const rounded = roundedMetric(metric, totals);
+    totals[metric] = rounded;
+    (definition.aliases || []).forEach(alias => {
+      totals[alias] = rounded;
+    });
+  });
+  return totals;
+}
+
+// Helper: Display a metric or measure value ("$12.4k", "3.21x", "1.85%", "12,345")
+function formatMetricValue(key, value) {
+  const definition = METRICS[key] || MEASURES[key];
+  const number = Number(value);
+  if (!definition || !Number.isFinite(number)) return String(value);
+  
+  const precision = definition.precision === undefined ? 2 : definition.precision;
+  switch (definition.format) {
+    case 'currency':
+      return Math.abs(number) >= 1000 ? `$${(number / 1000).toFixed(1)}k` : `$${parseFloat(number.toFixed(precision))}`;
+    case 'ratio':
+      return `${parseFloat(number.toFixed(precision))}x`;
+    case 'percent':
+      return `${parseFloat(number.toFixed(precision))}%`;
+    default:
+      return Math.round(number).toLocaleString('en-US');
+  }
+}
+
+// Helper: JSON Schema for { dimension: [allowed values] } filters
+function buildFilterSchema() {
+  return {
+    type: 'object',
+    additionalProperties: false,
+    properties: Object.fromEntries(DIMENSION_COLUMNS.map(dimension => [
+      dimension,
+      { type: 'array', items: { type: 'string', enum: DIMENSIONS[dimension].values } }
+    ]))
+  };
+}
+
+// Database schema context for LLM (months come from the data, see getAvailableMonths;
+// customMetrics are the account's own definitions, see Custom Metrics)
+function buildDatabaseSchema(availableMonths, customMetrics = []) {
+  const monthList = availableMonths && availableMonths.length > 0
+    ? availableMonths.join(', ')
+    : 'unknown';
+  
+  const formatNames = { ratio: 'ratio', percent: 'percentage', currency: 'dollars', integer: 'count', number: 'number' };
+  const dimensionLines = DIMENSION_COLUMNS
+    .map(dimension => `- ${dimension} (text) - Valid values: ${DIMENSIONS[dimension].values.join(', ')}`);
+  const measureLines = MEASURE_COLUMNS
+    .map(column => `- ${column} (${MEASURES[column].type}) - ${MEASURES[column].description}`);
+  const metricLines = Object.entries(METRICS).map(([metric, definition]) =>
+    `- ${definition.label} = ${metricSQL(metric)} AS ${metricColumn(metric)} (${formatNames[definition.format]}, ${definition.higherIsBetter ? 'higher' : 'lower'} is better)`);
+  const customMetricLines = customMetrics.map(definition =>
+    `- ${definition.label} = ${customMetricSQL(definition)} AS ${definition.name} (${formatNames[definition.format]}, ${definition.higherIsBetter ? 'higher' : 'lower'} is better)${definition.description ? ` - ${definition.description}` : ''}`);
+  
+  return `
 DATABASE SCHEMA:
 Table: video_ad_performance
 
 Available Columns:
-- report_month (date) - Format: YYYY-MM-DD, Current data: 2025-10-01
-- platform (text) - Valid values: TikTok, Instagram, Facebook, YouTube, Snapchat
-- region (text) - Valid values: Northeast, Midwest, South, West
-- age_group (text) - Valid values: 18-24, 25-34, 35-44, 45-54, 55-64, 65+
-- gender (text) - Valid values: male, female, unknown
-- spend (numeric) - Ad spend in dollars
-- impressions (bigint) - Number of impressions
-- video_starts (bigint) - Number of video starts
-- views_3s (bigint) - Views at 3 seconds
-- views_25 (bigint) - Views at 25% completion
-- views_50 (bigint) - Views at 50% completion
-- views_100 (bigint) - Views at 100% completion
-- clicks (bigint) - Number of clicks
-- conversions (bigint) - Number of conversions
-- revenue (numeric) - Revenue generated in dollars
+- report_month (date) - Format: YYYY-MM-DD (first day of the month), Available months: ${monthList}
+${dimensionLines.join('\n')}
+${measureLines.join('\n')}
 
 Common Calculated Metrics (use these formulas in SQL):
-- ROAS = SUM(revenue) / NULLIF(SUM(spend), 0)
-- CTR = (SUM(clicks)::numeric / NULLIF(SUM(impressions), 0)) * 100
-- CPA = SUM(spend) / NULLIF(SUM(conversions), 0)
-- Conversion Rate = (SUM(conversions)::numeric / NULLIF(SUM(clicks), 0)) * 100
-- Video Completion Rate = (SUM(views_100)::numeric / NULLIF(SUM(video_starts), 0)) * 100
-- CPM = (SUM(spend) / NULLIF(SUM(impressions), 0)) * 1000
-
+${metricLines.join('\n')}
+${customMetricLines.length > 0 ? `
+Custom Metrics defined by this account (use these formulas in SQL, aliased by name):
+${customMetricLines.join('\n')}
+` : ''}
 Important SQL Guidelines:
 1. Always use NULLIF to avoid division by zero
-2. Cast to ::numeric for percentage calculations
+2. Cast to ::numeric for percentage calculations (integer / integer truncates, e.g. SUM(clicks) / SUM(impressions) is 0)
 3. Use SUM() for aggregations before calculating ratios
-4. Always include report_month = '2025-10-01' in WHERE clause
-5. Use GROUP BY for dimensional breakdowns
+4. Always filter report_month to the requested date range in the WHERE clause
+5. Use GROUP BY for dimensional breakdowns; every column selected outside an aggregate must be in the GROUP BY
 6. Use ORDER BY to sort results meaningfully
 7. Limit results to reasonable numbers (LIMIT 20 for safety)
 8. Do NOT include semicolons at the end of queries
 `;
-
-// Call OpenAI
-async function callLLM(systemPrompt, userPrompt, maxTokens = 1000) {
-  try {
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${OPENAI_API_KEY}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        model: MODEL_NAME,
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: userPrompt }
-        ],
-        temperature: 0.3,
-        max_tokens: maxTokens
-      })
-    });
-    
-    const data = await response.json();
-    
-    if (data.error) {
-      throw new Error(data.error.message);
-    }
-    
-    return data.choices[0].message.content.trim();
-    
-  } catch (error) {
-    console.error('OpenAI API Error:', error);
-    throw error;
-  }
 }
 
-// Agent 1: Query Generator Agent
-async function queryGeneratorAgent(userQuestion, customPrompt) {
-  console.log('QueryGeneratorAgent: Converting question to SQL');
-  
-  const systemPrompt = customPrompt || `You are an expert SQL query generator. Convert natural language questions into PostgreSQL queries for the video_ad_performance table.
+// ============================================================
+// Observability: structured JSON logs tied together by a request ID,
+// the latency and outcome of each pipeline step, and Prometheus
+// metrics (GET /metrics).
+// ============================================================
 
-  STEP 1: Identify the user's business goal using this PRIORITY ORDER:
-  
-  1. FIRST CHECK - Explicit metric/keyword detection (HIGHEST PRIORITY):
-     - If question contains "impressions", "reach", "visibility", "CPM", "awareness" → AWARENESS
-     - If question contains "CTR", "clicks", "traffic", "click-through" → ENGAGEMENT  
-     - If question contains "ROAS", "revenue", "sales", "conversions", "ROI", "profit" → CONVERSION
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// The current request (ID, key, account, LLM calls, steps, fallbacks), carried across awaits so
+// the agents, validateSQL and callLLM log and record against it without extra parameters.
+// Work outside a request (scripts, scheduled alerts) has no context.
+const requestContext = new AsyncLocalStorage();
+
+// Helper: Empty context for a request (or a scheduled job)
+function createRequestContext(requestId, key = null, accountId = null) {
+  return { requestId, key, accountId, calls: [], steps: [], fallbacks: [] };
+}
+
+// Write one log line { time, level, event, requestId, ...fields }: JSON, or readable text with LOG_FORMAT=text.
+// An Error in fields.error is logged as its message and code (and stack at level error).
+function logEvent(level, event, fields = {}) {
+  if (LOG_LEVELS[level] < (LOG_LEVELS[LOG_LEVEL] || LOG_LEVELS.info)) return;
   
-  2. SECOND CHECK - Action keywords (if no explicit metric found):
-     AWARENESS GOAL - Keywords: maximize reach, increase visibility, brand exposure, eyeballs
-     CONVERSION GOAL - Keywords: purchase, invest (when about returns), maximize profit
-     ENGAGEMENT GOAL - Keywords: drive traffic, maintain traffic, increase engagement
+  const context = requestContext.getStore();
+  const entry = { time: new Date().toISOString(), level, event };
+  if (context) entry.requestId = context.requestId;
+  Object.assign(entry, fields);
+  if (fields.error instanceof Error) {
+    entry.error = fields.error.message;
+    if (fields.error.code) entry.errorCode = fields.error.code;
+    if (level === 'error') entry.stack = fields.error.stack;
+  }
   
-  3. THIRD CHECK - Follow-up context (ONLY if no keywords from #1 or #2):
-     If the question contains these follow-up indicators AND no explicit goal keyword:
-     - Pronouns: "there", "it", "that", "those"  
-     - References: "the best one", "the top performer"
-     - Check "Previous query goal:" in context
+  const line = LOG_FORMAT === 'text'
+    ? `${entry.time} ${level.toUpperCase()} ${entry.requestId ? `[${entry.requestId}] ` : ''}${event} ${
+      Object.entries(entry).filter(([name]) => !['time', 'level', 'event', 'requestId', 'stack'].includes(name))
+        .map(([name, value]) => `${name}=${typeof value === 'string' ? value : JSON.stringify(value)}`).join(' ')}${entry.stack ? `\n${entry.stack}` : ''}`
+    : JSON.stringify(entry);
   
-  4. DEFAULT: If no clear goal detected, assume CONVERSION.
+  if (LOG_LEVELS[level] >= LOG_LEVELS.warn) {
+    console.error(line);
+  } else {
+    console.log(line);
+  }
+}
 
-  5. SPECIAL CASE - Comprehensive Comparisons:
-     If the user asks to compare entities (using "vs", "versus", "compare X and Y") WITHOUT specifying a metric:
-     - Set GOAL: CONVERSION (default to business performance)
-     - Include multiple key metrics in the SQL: ROAS, revenue, spend, CTR, impressions, CPM
-     - This ensures a complete performance comparison
-     
-     Examples:
-     - "TikTok vs Instagram" → Include ROAS, revenue, CTR, impressions, CPM
-     - "Compare TikTok and Instagram" → Include all key metrics
-     - "TikTok vs Instagram impressions" → AWARENESS goal, focus on impressions/CPM
-     - "TikTok vs Instagram ROAS" → CONVERSION goal, focus on ROAS/revenue
+// Helper: Milliseconds since a process.hrtime.bigint() start, to 0.1ms
+function elapsedMs(started) {
+  return Math.round(Number(process.hrtime.bigint() - started) / 1e5) / 10;
+}
 
-  IMPORTANT: Explicit metric keywords (check #1) ALWAYS override previous context.
-  Examples:
-  - Previous: CONVERSION, Current: "What about impressions?" → AWARENESS (explicit keyword)
-  - Previous: AWARENESS, Current: "Show me the CTR" → ENGAGEMENT (explicit keyword)
-  - Previous: ENGAGEMENT, Current: "How much there?" → ENGAGEMENT (follow-up, no new keyword)
+// Metrics: counters and histograms kept in memory and rendered in the Prometheus text format
+const metricsRegistry = [];
 
-  STEP 2: Identify the query type:
-    A. DEEP DIVE (single entity analysis):
-     - Mentions specific platform: "tell me about TikTok", "show me Instagram stats", "how is Facebook performing"
-     - Asks for "all metrics" or "full breakdown" of a specific entity
-     - SQL: Use WHERE platform = 'specific_platform', NO GROUP BY
-     - Include multiple metrics in SELECT
-  
-  B. COMPARISON (multi-entity analysis):
-     - Keywords: "compare", "across", "by platform", "which platform", "for each", "all platforms"
-     - SQL: Use GROUP BY for the requested dimension
-  
-  C. OVERVIEW (aggregated totals):
-     - Keywords: "overall", "total", "combined", "aggregate"
-     - SQL: No GROUP BY, aggregate all data
+// Helper: {name="value",...} with Prometheus escaping
+function formatMetricLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) =>
+    `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`).join(',')}}`;
+}
 
-  D. EXECUTIVE_SUMMARY (strategic single entity analysis):
-     - Keywords: "executive summary for", "strategic view of", "CMO dashboard", "strategic analysis"
-     - Mentions specific platform with executive/strategic context
-     - SQL: Use WHERE platform = 'specific_platform', NO GROUP BY
-     - Include all key metrics for strategic decision making
-     
-  Examples:
-  - "Executive summary for TikTok" → EXECUTIVE_SUMMARY: WHERE platform = 'TikTok'
-  - "Tell me about TikTok" → DEEP_DIVE: WHERE platform = 'TikTok' 
-  - "Compare all platforms" → COMPARISON: GROUP BY platform
-  - "What's my total spend?" → OVERVIEW: No GROUP BY
+function createCounter(name, help) {
+  const values = new Map();
+  const counter = {
+    inc(labels = {}, amount = 1) {
+      const key = formatMetricLabels(labels);
+      values.set(key, (values.get(key) || 0) + amount);
+    },
+    render() {
+      return [`# HELP ${name} ${help}`, `# TYPE ${name} counter`, ...[...values].map(([labels, value]) => `${name}${labels} ${value}`)];
+    }
+  };
+  metricsRegistry.push(counter);
+  return counter;
+}
 
-    SPECIAL HANDLING FOR BUDGET QUESTIONS:
-  - If user asks about cutting/adding/investing budget, ALWAYS use GROUP BY platform
-  - Include these fields: platform, roas, spend, revenue
-  - Order by ROAS ASC for cuts (worst first), DESC for investments (best first)
-  
-  STEP 3: Generate the SQL query using this schema:
-  
-  ${DATABASE_SCHEMA}
-  
-  Rules:
-  - Only SELECT queries allowed
-  - Always include WHERE report_month = '2025-10-01'
-  - Use proper aggregations with GROUP BY when needed
-  - Include ORDER BY for meaningful results
-  - LIMIT results appropriately
-  - NO semicolons at the end`;
+function createHistogram(name, help, buckets) {
+  const series = new Map();
+  const histogram = {
+    observe(labels, value) {
+      const key = formatMetricLabels(labels);
+      const entry = series.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((bound, index) => {
+        if (value <= bound) entry.counts[index]++;
+      });
+      entry.sum += value;
+      entry.count++;
+      series.set(key, entry);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      series.forEach(({ labels, counts, sum, count }) => {
+        buckets.forEach((bound, index) => {
+          lines.push(`${name}_bucket${formatMetricLabels({ ...labels, le: String(bound) })} ${counts[index]}`);
+        });
+        lines.push(`${name}_bucket${formatMetricLabels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${name}_sum${formatMetricLabels(labels)} ${parseFloat(sum.toFixed(6))}`);
+        lines.push(`${name}_count${formatMetricLabels(labels)} ${count}`);
+      });
+      return lines;
+    }
+  };
+  metricsRegistry.push(histogram);
+  return histogram;
+}
 
-  const userPrompt = `Convert this question to SQL: "${userQuestion}"
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const LLM_LATENCY_BUCKETS = [0.1, 0.25, 0.5, 1, 2, 5, 10, 20, 30, 60];
 
-Return your response in this format:
-GOAL: [AWARENESS/CONVERSION/ENGAGEMENT]
-QUERY_TYPE: [DEEP_DIVE/COMPARISON/OVERVIEW/EXECUTIVE_SUMMARY]
-SQL: [your SQL query here]
+const httpRequestsTotal = createCounter('adagentos_http_requests_total', 'HTTP requests by method, route and status');
+const httpRequestDuration = createHistogram('adagentos_http_request_duration_seconds', 'HTTP request latency by method and route', DURATION_BUCKETS);
+const chatRequestsTotal = createCounter('adagentos_chat_requests_total', 'Chat pipeline runs by outcome (answered, not_answerable, cached, failed) and plan source');
+const stepDuration = createHistogram('adagentos_step_duration_seconds', 'Pipeline step latency by step and outcome', DURATION_BUCKETS);
+const sqlValidationFailuresTotal = createCounter('adagentos_sql_validation_failures_total', 'Queries rejected by the SQL validator, by code');
+const llmRequestsTotal = createCounter('adagentos_llm_requests_total', 'LLM calls by agent, provider and outcome');
+const llmLatency = createHistogram('adagentos_llm_latency_seconds', 'LLM call latency by agent and provider', LLM_LATENCY_BUCKETS);
+const llmTokensTotal = createCounter('adagentos_llm_tokens_total', 'LLM tokens by agent and type (prompt, completion)');
+const fallbacksTotal = createCounter('adagentos_fallbacks_total', 'Answers or plans built without the LLM after it failed, by kind');
 
-If the question cannot be answered with the available data, explain what data is available instead of generating SQL.`;
+// Cache and process figures are read when /metrics is scraped
+metricsRegistry.push({
+  render() {
+    const caches = [planCache, rowsCache, answerCache].map(cache => cache.stats());
+    return [
+      '# HELP adagentos_cache_hits_total Response cache hits by cache',
+      '# TYPE adagentos_cache_hits_total counter',
+      ...caches.map(stats => `adagentos_cache_hits_total${formatMetricLabels({ cache: stats.name })} ${stats.hits}`),
+      '# HELP adagentos_cache_misses_total Response cache misses by cache',
+      '# TYPE adagentos_cache_misses_total counter',
+      ...caches.map(stats => `adagentos_cache_misses_total${formatMetricLabels({ cache: stats.name })} ${stats.misses}`),
+      '# HELP adagentos_cache_entries Entries in each response cache',
+      '# TYPE adagentos_cache_entries gauge',
+      ...caches.map(stats => `adagentos_cache_entries${formatMetricLabels({ cache: stats.name })} ${stats.size}`),
+      '# HELP process_uptime_seconds Seconds since the server started',
+      '# TYPE process_uptime_seconds gauge',
+      `process_uptime_seconds ${Math.round(process.uptime())}`,
+      '# HELP nodejs_heap_used_bytes V8 heap in use',
+      '# TYPE nodejs_heap_used_bytes gauge',
+      `nodejs_heap_used_bytes ${process.memoryUsage().heapUsed}`
+    ];
+  }
+});
 
-  try {
-  const response = await callLLM(systemPrompt, userPrompt, 500);
-  console.log('Raw LLM Response:', response);
+// Middleware: give every request an ID (a well-formed incoming X-Request-Id is kept) and a context,
+// echo the ID in X-Request-Id, and log and count the request when it finishes
+function startRequest(req, res, next) {
+  const incoming = req.get('x-request-id');
+  const requestId = incoming && /^[\w.:-]{1,100}$/.test(incoming) ? incoming : crypto.randomUUID();
+  const started = process.hrtime.bigint();
   
-  const content = response.trim();
-  
-  // Parse the response to extract goal, query type, and SQL
-  let goal = 'CONVERSION'; // default
-  let queryType = 'COMPARISON'; // default
-  let sql = content; // fallback to full content
+  req.requestId = requestId;
+  req.context = createRequestContext(requestId);
+  res.set('X-Request-Id', requestId);
+  res.on('finish', () => {
+    // Route patterns (/alerts/:id), not paths, so ids don't become labels
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    const durationMs = elapsedMs(started);
+    httpRequestsTotal.inc({ method: req.method, route, status: res.statusCode });
+    httpRequestDuration.observe({ method: req.method, route }, durationMs / 1000);
+    logEvent(res.statusCode >= 500 ? 'error' : 'info', 'http.request', {
+      requestId, method: req.method, route, status: res.statusCode, durationMs
+    });
+  });
   
-  // Check if response contains the expected format
-  // Check if response contains the expected format
-  if (content.includes('GOAL:') && content.includes('SQL:')) {
-    const lines = content.split('\n');
-    const goalLine = lines.find(line => line.startsWith('GOAL:'));
-    const queryTypeLine = lines.find(line => line.startsWith('QUERY_TYPE:'));
-    const sqlStart = content.indexOf('SQL:');
-    
-    if (goalLine) {
-      goal = goalLine.replace('GOAL:', '').trim();
-    }
-    if (queryTypeLine) {
-      queryType = queryTypeLine.replace('QUERY_TYPE:', '').trim();
-    }
-    if (sqlStart !== -1) {
-      sql = content.substring(sqlStart + 4).trim();
-    }
-    
-    // Force GROUP BY platform for budget strategy questions
-    if (isStrategyQuery(userQuestion) && !sql.toUpperCase().includes('GROUP BY')) {
-      // Add platform and metrics to SELECT if not there
-      if (!sql.toUpperCase().includes('PLATFORM')) {
-        sql = sql.replace(/SELECT/i, 'SELECT platform,');
-      }
-      // Add GROUP BY before ORDER BY
-      if (sql.toUpperCase().includes('ORDER BY')) {
-        sql = sql.replace(/ORDER BY/i, 'GROUP BY platform ORDER BY');
-      } else {
-        sql = sql + ' GROUP BY platform ORDER BY roas ASC';
-      }
-    }
-  }
+  next();
+}
+
+// Middleware (after the body parsers, whose stream callbacks lose it): run the rest of the request in its context
+function enterRequestContext(req, res, next) {
+  requestContext.run(req.context, next);
+}
 
-  // Check if it's SQL or conversational
-  const isSQL = sql.toUpperCase().includes('SELECT');
+// Run one step of a request, recording its latency and outcome (log line, step histogram, request trace).
+// outcomeOf(result) returns { outcome, ...fields } for steps that report failures instead of throwing;
+// a step that returns normally after an LLM fallback is recorded as "fallback".
+async function traceStep(step, run, outcomeOf = () => ({ outcome: 'ok' })) {
+  const context = requestContext.getStore();
+  const fallbacksBefore = context ? context.fallbacks.length : 0;
+  const started = process.hrtime.bigint();
   
-  return {
-    isSQL,
-    content: sql,  // Return just the SQL part
-    goal: goal,
-    queryType: queryType  // ADD THIS LINE// Add the goal to the return
+  const finish = (outcome, fields) => {
+    const durationMs = elapsedMs(started);
+    stepDuration.observe({ step, outcome }, durationMs / 1000);
+    if (context) context.steps.push({ step, outcome, durationMs });
+    logEvent(outcome === 'error' ? 'warn' : 'info', 'step', { step, outcome, durationMs, ...fields });
   };
-    
+  
+  try {
+    const result = await run();
+    const { outcome, ...fields } = outcomeOf(result);
+    finish(outcome === 'ok' && context && context.fallbacks.length > fallbacksBefore ? 'fallback' : outcome, fields);
+    return result;
   } catch (error) {
-    console.error('Query Generator Agent Error:', error);
+    finish('error', { error });
     throw error;
   }
 }
 
-// SQL Validation Layer
-function validateSQL(sql) {
-  console.log('Validating SQL:', sql);
-  
-  const upperSQL = sql.toUpperCase();
-  
-  // Must be SELECT only
-  if (!upperSQL.startsWith('SELECT')) {
-    return { valid: false, error: 'Only SELECT queries are allowed' };
-  }
+// Record that an answer or plan was built without the LLM after it failed
+function recordFallback(kind, error) {
+  const context = requestContext.getStore();
+  if (context) context.fallbacks.push(kind);
+  fallbacksTotal.inc({ kind });
+  logEvent('warn', 'fallback', { kind, error });
+}
+
+// ============================================================
+// Accounts: each caller is mapped to an advertiser account by API key
+// or JWT, and every read of video_ad_performance is scoped to the
+// account's rows (in the data fetch, the SQL validator and the executor).
+// Without API_KEYS or JWT_SECRET the API is open and single-tenant.
+// ============================================================
+
+const ACCOUNT_ID_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+
+// Helper: Keys are looked up by their hash, so the raw keys aren't kept in memory
+function hashAPIKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Parse API_KEYS ("brand-a:sk_123,brand-b:sk_456") into { hash(key): accountId }
+function parseAPIKeys(value) {
+  const keys = new Map();
   
-  // Check for dangerous keywords
-  const dangerousKeywords = ['DROP', 'DELETE', 'UPDATE', 'INSERT', 'ALTER', 'CREATE', 'EXEC', 'EXECUTE', 'TRUNCATE', 'GRANT', 'REVOKE'];
-  for (const keyword of dangerousKeywords) {
-    if (upperSQL.includes(keyword)) {
-      return { valid: false, error: `Dangerous keyword detected: ${keyword}` };
+  String(value || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach((entry, index) => {
+    const separator = entry.indexOf(':');
+    const accountId = entry.substring(0, separator).trim();
+    const key = entry.substring(separator + 1).trim();
+    // The entry itself isn't printed: it contains the key
+    if (separator < 1 || !key || !ACCOUNT_ID_PATTERN.test(accountId)) {
+      throw new Error(`Invalid API_KEYS entry ${index + 1}: expected account:key, the account using letters, digits, "_", "." or "-"`);
     }
-  }
-  
-  // Check for multiple semicolons (prevents chained queries)
-  const semicolonCount = (sql.match(/;/g) || []).length;
-  if (semicolonCount > 1) {
-    return { valid: false, error: 'Multiple queries not allowed' };
-  }
-  
-  // Must reference the correct table
-  if (!upperSQL.includes('VIDEO_AD_PERFORMANCE')) {
-    return { valid: false, error: 'Invalid table reference' };
-  }
+    if (keys.has(hashAPIKey(key))) {
+      throw new Error(`Invalid API_KEYS entry ${index + 1}: the key is already used by account ${keys.get(hashAPIKey(key))}`);
+    }
+    keys.set(hashAPIKey(key), accountId);
+  });
   
-  return { valid: true };
+  return keys;
 }
 
-// Detect requested metrics from SQL and user question
-function detectRequestedMetrics(sql, userQuestion, goal) {
-  const upperSQL = sql.toUpperCase();
-  const lowerQuestion = userQuestion.toLowerCase();
+const ACCOUNT_API_KEYS = parseAPIKeys(API_KEYS);
+const MULTI_TENANT = ACCOUNT_API_KEYS.size > 0 || !!JWT_SECRET;
+// With JWT_SECRET, any account named by a valid token exists; otherwise only the API_KEYS accounts do
+const KNOWN_ACCOUNTS = JWT_SECRET ? null : new Set(ACCOUNT_API_KEYS.values());
 
-  // DEBUG LOGGING
-  console.log('detectRequestedMetrics called with:');
-  console.log('Question:', lowerQuestion);
-  console.log('Has "vs":', lowerQuestion.includes(' vs '));
-  console.log('Has "compare":', lowerQuestion.includes('compare'));
-  console.log('Has specific metrics:', lowerQuestion.match(/impressions|ctr|clicks|roas|revenue|spend|cpm|cpa/));
+// Verify an HS256 JWT and return the account it names; throws with the reason it was rejected
+function verifyAccountJWT(token) {
+  const [header, payload, signature] = token.split('.');
   
-  // Check for comprehensive comparisons FIRST (before goal-based detection)
-  if ((lowerQuestion.includes(' vs ') || lowerQuestion.includes(' versus ') || 
-       lowerQuestion.includes('compare ')) && 
-      !lowerQuestion.match(/impressions|ctr|clicks|roas|revenue|spend|cpm|cpa/)) {
-    console.log('Returning comprehensive!');
-    return ['comprehensive'];
+  let claims;
+  try {
+    if (JSON.parse(Buffer.from(header, 'base64url').toString('utf8')).alg !== 'HS256') {
+      throw new Error('Token must be signed with HS256');
+    }
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!claims || typeof claims !== 'object') throw new Error('Malformed token');
+  } catch (error) {
+    throw new Error(error.message.startsWith('Token') ? error.message : 'Malformed token');
   }
   
-  // Check for specific metrics BEFORE goal-based defaults
-  if (upperSQL.includes('VIDEO_COMPLETION_RATE') || 
-      lowerQuestion.includes('video completion') || 
-      lowerQuestion.includes('completion rate')) {
-    return ['video_completion_rate'];
+  const expected = crypto.createHmac('sha256', JWT_SECRET).update(`${header}.${payload}`).digest();
+  const actual = Buffer.from(signature, 'base64url');
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new Error('Invalid token signature');
   }
   
-  // THEN fall back to goal-based detection
-  if (goal === 'AWARENESS') {
-    return ['impressions', 'cpm'];
-  } else if (goal === 'ENGAGEMENT') {
-    return ['ctr'];
-  } else if (goal === 'CONVERSION') {
-    return ['financial'];
+  const now = Date.now() / 1000;
+  if (typeof claims.exp === 'number' && claims.exp <= now) throw new Error('Token expired');
+  if (typeof claims.nbf === 'number' && claims.nbf > now) throw new Error('Token not valid yet');
+  
+  const accountId = claims[JWT_ACCOUNT_CLAIM];
+  if (typeof accountId !== 'string' || !ACCOUNT_ID_PATTERN.test(accountId)) {
+    throw new Error(`Token has no valid ${JWT_ACCOUNT_CLAIM} claim`);
   }
+  return accountId;
+}
 
+// Helper: The account of a request's credentials (Bearer token or x-api-key).
+// Returns { accountId, keyId } or { error }; keyId names the key in usage reports without revealing it.
+function resolveRequestAccount(req) {
+  const header = req.get('authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.substring(7).trim() : req.get('x-api-key');
+  if (!token) return { error: 'Missing API key or token' };
   
-  // Video metrics
-  if (upperSQL.includes('VIDEO_COMPLETION_RATE') || 
-      lowerQuestion.includes('video completion') || 
-      lowerQuestion.includes('completion rate')) {
-    return ['video_completion_rate'];
-  }
+  const hash = hashAPIKey(token);
+  const accountId = ACCOUNT_API_KEYS.get(hash);
+  if (accountId) return { accountId, keyId: `${accountId}:${hash.substring(0, 8)}` };
   
-  if (lowerQuestion.includes('video') && 
-      (lowerQuestion.includes('funnel') || lowerQuestion.includes('drop') || lowerQuestion.includes('retention'))) {
-    return ['video_funnel'];
+  if (JWT_SECRET && token.split('.').length === 3) {
+    try {
+      const jwtAccountId = verifyAccountJWT(token);
+      return { accountId: jwtAccountId, keyId: `${jwtAccountId}:jwt` };
+    } catch (error) {
+      return { error: error.message };
+    }
   }
-  
-  if (lowerQuestion.includes('3-second') || lowerQuestion.includes('3 second') || 
-      upperSQL.includes('VIEWS_3S')) {
-    return ['video_retention'];
+  return { error: 'Invalid API key or token' };
+}
+
+// Middleware: sets req.accountId (null when single-tenant) and req.keyId, or answers 401.
+// Single-tenant callers are told apart by IP address.
+function requireAccount(req, res, next) {
+  if (!MULTI_TENANT) {
+    req.accountId = null;
+    req.keyId = `ip:${req.ip}`;
+    return next();
   }
   
-  // Engagement metrics
-  if (upperSQL.includes('CTR') || lowerQuestion.includes('ctr') || 
-      lowerQuestion.includes('click-through') || lowerQuestion.includes('click through')) {
-    return ['ctr'];
+  const { accountId, keyId, error } = resolveRequestAccount(req);
+  if (error) {
+    return res.status(401).json({ success: false, error });
   }
-  
-  if (upperSQL.includes('CONVERSION_RATE') || 
-      (lowerQuestion.includes('conversion') && lowerQuestion.includes('rate'))) {
-    return ['conversion_rate'];
+  req.accountId = accountId;
+  req.keyId = keyId;
+  next();
+}
+
+// Helper: With accounts configured, a read without an account is a bug, not "every account"
+function requireAccountId(accountId) {
+  if (MULTI_TENANT && !accountId) {
+    throw new Error('video_ad_performance reads need an account when API_KEYS or JWT_SECRET is set');
   }
-  
-  // Cost metrics
-  if (upperSQL.includes('CPA') || lowerQuestion.includes('cost per acquisition') || 
-      lowerQuestion.includes('cpa') || lowerQuestion.includes('cost per conversion') ||
-      lowerQuestion.includes('acquisition cost')) {
-    return ['cpa'];
+  return accountId;
+}
+
+// Helper: Only the account's rows (every row when single-tenant)
+function scopeRowsToAccount(rows, accountId) {
+  if (!MULTI_TENANT) return rows;
+  requireAccountId(accountId);
+  return rows.filter(row => row.account_id === accountId);
+}
+
+// Helper: Only the account's rows in a Supabase query
+function scopeQueryToAccount(query, accountId) {
+  return MULTI_TENANT ? query.eq('account_id', requireAccountId(accountId)) : query;
+}
+
+// Helper: Does a stored session or alert rule belong to the account?
+function belongsToAccount(record, accountId) {
+  return (record.accountId || null) === (accountId || null);
+}
+
+// Available months are read from the table (per account) and cached for a few minutes
+const MONTHS_CACHE_TTL_MS = 10 * 60 * 1000;
+let availableMonthsCache = new Map();
+
+async function getAvailableMonths(accountId = null) {
+  const cached = availableMonthsCache.get(accountId);
+  if (cached && Date.now() - cached.fetchedAt < MONTHS_CACHE_TTL_MS) {
+    return cached.months;
   }
   
-  if (upperSQL.includes('CPM') || lowerQuestion.includes('cpm') || 
-      lowerQuestion.includes('cost per thousand') || lowerQuestion.includes('cost per mille')) {
-    return ['cpm'];
+  try {
+    let data;
+    if (DATA_SOURCE === 'fixture') {
+      data = scopeRowsToAccount(loadFixtureRows(), accountId);
+    } else {
+      const response = await scopeQueryToAccount(supabase
+        .from('video_ad_performance')
+        .select('report_month'), accountId)
+        .order('report_month', { ascending: true });
+      
+      if (response.error) throw response.error;
+      data = response.data;
+    }
+    
+    const months = [...new Set(data.map(row => String(row.report_month).substring(0, 10)))].sort();
+    availableMonthsCache.set(accountId, { months, fetchedAt: Date.now() });
+    return months;
+    
+  } catch (error) {
+    logEvent('error', 'months.load_failed', { error });
+    // Serve stale months rather than failing the whole request
+    return cached ? cached.months : [];
   }
+}
+
+// ============================================================
+// Response Cache: query plans, Supabase fetches and final answers.
+// Keys include the data version, which changes on every ingestion,
+// so cached results never outlive the data they were computed from.
+// ============================================================
+
+// Helper: In-memory cache with a TTL and a size limit (least recently used entries go first)
+function createCache(name, { ttlMs, maxEntries }) {
+  const entries = new Map();
+  const counters = { hits: 0, misses: 0, evictions: 0 };
   
-  // Volume metrics
-  if (lowerQuestion.includes('conversion') && !lowerQuestion.includes('rate')) {
-    return ['conversions'];
+  return {
+    name,
+    
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry || entry.expiresAt <= Date.now()) {
+        if (entry) entries.delete(key);
+        counters.misses++;
+        return undefined;
+      }
+      // Re-insert to mark as recently used
+      entries.delete(key);
+      entries.set(key, entry);
+      counters.hits++;
+      return entry.value;
+    },
+    
+    set(key, value) {
+      if (maxEntries <= 0 || ttlMs <= 0) return;
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+        counters.evictions++;
+      }
+    },
+    
+    clear() {
+      const size = entries.size;
+      entries.clear();
+      return size;
+    },
+    
+    stats() {
+      return { name, size: entries.size, maxEntries, ttlSeconds: ttlMs / 1000, ...counters };
+    }
+  };
+}
+
+const CACHE_OPTIONS = RESPONSE_CACHE === 'on'
+  ? { ttlMs: CACHE_TTL_SECONDS * 1000, maxEntries: CACHE_MAX_ENTRIES }
+  : { ttlMs: 0, maxEntries: 0 };
+const planCache = createCache('plans', CACHE_OPTIONS);
+const rowsCache = createCache('rows', CACHE_OPTIONS);
+const answerCache = createCache('answers', CACHE_OPTIONS);
+
+// Changes whenever the table is written through /ingest (or the cache is cleared)
+let dataVersion = new Date().toISOString();
+
+// Helper: Cache key for a kind of entry and its inputs, scoped to the current data version
+function cacheKey(kind, parts) {
+  return `${kind}:${crypto.createHash('sha256').update(JSON.stringify([dataVersion, ...parts])).digest('hex')}`;
+}
+
+// Drop everything computed from the old data
+function invalidateDataCaches(reason) {
+  dataVersion = new Date().toISOString();
+  availableMonthsCache = new Map();
+  const cleared = {
+    plans: planCache.clear(),
+    rows: rowsCache.clear(),
+    answers: answerCache.clear()
+  };
+  logEvent('info', 'cache.cleared', { reason, dataVersion });
+  return { dataVersion, cleared };
+}
+
+const MONTH_NAMES = ['january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december'];
+
+// Matches "October", "Oct 2025", "sept", ... ("may" only with a year or a preposition before it)
+const MONTH_PATTERN = /\b(?:(in|for|from|to|since|and|vs|versus|through|until)\s+)?(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\b\.?(?:\s+'?(\d{4}|\d{2}))?/gi;
+const QUARTER_PATTERN = /\bq([1-4])(?:\s+'?(\d{4}|\d{2}))?\b/gi;
+
+// Helper: Month arithmetic on 'YYYY-MM-01' strings
+function monthKey(year, monthIndex) {
+  const date = new Date(Date.UTC(year, monthIndex, 1));
+  return date.toISOString().substring(0, 10);
+}
+
+function shiftMonth(month, delta) {
+  const [year, mon] = month.split('-').map(Number);
+  return monthKey(year, mon - 1 + delta);
+}
+
+function formatMonthLabel(month) {
+  const [year, mon] = month.split('-').map(Number);
+  const name = MONTH_NAMES[mon - 1];
+  return `${name.charAt(0).toUpperCase()}${name.slice(1)} ${year}`;
+}
+
+function normalizeYear(yearText) {
+  if (!yearText) return null;
+  const year = parseInt(yearText, 10);
+  return year < 100 ? 2000 + year : year;
+}
+
+// Helper: Build a date range object covering start..end (inclusive)
+function buildDateRange(start, end, label) {
+  const months = [];
+  for (let month = start; month <= end; month = shiftMonth(month, 1)) {
+    months.push(month);
   }
   
-  if (lowerQuestion.includes('click') && !lowerQuestion.includes('through') && !lowerQuestion.includes('rate')) {
-    return ['clicks'];
+  let rangeLabel = label;
+  if (!rangeLabel) {
+    rangeLabel = start === end
+      ? formatMonthLabel(start)
+      : `${formatMonthLabel(start)} – ${formatMonthLabel(end)}`;
   }
   
-  if (lowerQuestion.includes('impression')) {
-    return ['impressions'];
-  }
+  return { start, end, months, label: rangeLabel };
+}
+
+// Helper: Pick the year for a month name without a year (most recent one in the data)
+function resolveMonthYear(monthIndex, explicitYear, latestMonth) {
+  if (explicitYear) return monthKey(explicitYear, monthIndex);
   
-  // Financial metrics
-  if (lowerQuestion.includes('spend') && !lowerQuestion.includes('revenue')) {
-    return ['spend'];
+  const latestYear = parseInt(latestMonth.substring(0, 4), 10);
+  const candidate = monthKey(latestYear, monthIndex);
+  return candidate <= latestMonth ? candidate : monthKey(latestYear - 1, monthIndex);
+}
+
+// Work out the date range (and optional comparison period) from the question
+function resolveTimeFrame(userQuestion, availableMonths) {
+  const months = (availableMonths || []).slice().sort();
+  if (months.length === 0) {
+    return { range: null, comparison: null };
   }
   
-  if (lowerQuestion.includes('revenue') && !lowerQuestion.includes('spend')) {
-    return ['revenue'];
+  const earliest = months[0];
+  const latest = months[months.length - 1];
+  const lowerQuestion = userQuestion.toLowerCase();
+  
+  // Collect explicit periods in the order they were mentioned
+  const periods = [];
+  
+  for (const match of lowerQuestion.matchAll(QUARTER_PATTERN)) {
+    const quarter = parseInt(match[1], 10);
+    const latestYear = parseInt(latest.substring(0, 4), 10);
+    let year = normalizeYear(match[2]) || latestYear;
+    if (!match[2] && monthKey(year, (quarter - 1) * 3) > latest) {
+      year -= 1;
+    }
+    const start = monthKey(year, (quarter - 1) * 3);
+    periods.push({
+      index: match.index,
+      kind: 'quarter',
+      range: buildDateRange(start, shiftMonth(start, 2), `Q${quarter} ${year}`)
+    });
   }
   
-  if (upperSQL.includes('ROAS') || lowerQuestion.includes('roas') || 
-      lowerQuestion.includes('return on ad')) {
-    return ['roas'];
+  for (const match of lowerQuestion.matchAll(MONTH_PATTERN)) {
+    const monthText = match[2];
+    // "may" is too common a word to treat as a month on its own
+    if (monthText === 'may' && !match[1] && !match[3]) continue;
+    
+    const monthIndex = MONTH_NAMES.findIndex(name => name.startsWith(monthText.substring(0, 3)));
+    const month = resolveMonthYear(monthIndex, normalizeYear(match[3]), latest);
+    periods.push({ index: match.index, kind: 'month', range: buildDateRange(month, month) });
   }
   
-  // Strategy/Investment questions
-  if (lowerQuestion.includes('invest') || lowerQuestion.includes('budget') || 
-      lowerQuestion.includes('allocate') || lowerQuestion.includes('optimize')) {
-    return ['financial'];
+  periods.sort((a, b) => a.index - b.index);
+  
+  // Period-over-period comparisons
+  const isMonthOverMonth = /month[\s-]over[\s-]month|\bmom\b|(?:vs\.?|versus|compared to|than|from) (?:the )?(?:last|previous|prior) month/.test(lowerQuestion);
+  const isQuarterOverQuarter = /quarter[\s-]over[\s-]quarter|\bqoq\b|(?:vs\.?|versus|compared to|than|from) (?:the )?(?:last|previous|prior) quarter/.test(lowerQuestion);
+  const hasComparisonWords = /\bvs\.?\b|versus|compar|chang|growth|grew|drop|declin|increase|decrease|difference|trend/.test(lowerQuestion);
+  
+  const distinctPeriods = periods.filter((period, i) =>
+    periods.findIndex(other => other.range.start === period.range.start && other.range.end === period.range.end) === i
+  );
+  
+  if (distinctPeriods.length >= 2 && hasComparisonWords) {
+    const [first, second] = distinctPeriods;
+    const ordered = first.range.start <= second.range.start ? [first.range, second.range] : [second.range, first.range];
+    return {
+      range: buildDateRange(ordered[0].start, ordered[1].end),
+      comparison: { previous: ordered[0], current: ordered[1] }
+    };
   }
   
-  // Performance questions (general)
-  if (lowerQuestion.includes('performance') || lowerQuestion.includes('compare') || 
-      lowerQuestion.includes('best') || lowerQuestion.includes('top')) {
-    // Check what aspect of performance
-    if (lowerQuestion.includes('video')) {
-      return ['video_completion_rate'];
+  if (isMonthOverMonth || isQuarterOverQuarter) {
+    let current;
+    if (distinctPeriods.length === 1) {
+      current = distinctPeriods[0].range;
+    } else if (isQuarterOverQuarter) {
+      const [year, mon] = latest.split('-').map(Number);
+      const quarterStart = monthKey(year, Math.floor((mon - 1) / 3) * 3);
+      current = buildDateRange(quarterStart, shiftMonth(quarterStart, 2), `Q${Math.floor((mon - 1) / 3) + 1} ${year}`);
     } else {
-      return ['financial'];
+      current = buildDateRange(latest, latest);
     }
-  }
-  
-  // Default to financial metrics for general questions
-  return ['financial'];
-}
-
-// Detect visualization type and dimension from SQL
-function detectVisualization(sql) {
-  const upperSQL = sql.toUpperCase();
-  
-  // Check if it has GROUP BY (comparative query)
-  if (upperSQL.includes('GROUP BY')) {
-    let dimension = null;
     
-    if (upperSQL.includes('GROUP BY PLATFORM')) {
-      dimension = 'platform';
-    } else if (upperSQL.includes('GROUP BY REGION')) {
-      dimension = 'region';
-    } else if (upperSQL.includes('GROUP BY AGE_GROUP')) {
-      dimension = 'age_group';
-    } else if (upperSQL.includes('GROUP BY GENDER')) {
-      dimension = 'gender';
+    const span = current.months.length;
+    const previousStart = shiftMonth(current.start, -span);
+    const previousEnd = shiftMonth(current.start, -1);
+    let previousLabel;
+    if (span === 3 && /^Q[1-4] /.test(current.label)) {
+      const [year, mon] = previousStart.split('-').map(Number);
+      previousLabel = `Q${Math.floor((mon - 1) / 3) + 1} ${year}`;
     }
+    const previous = buildDateRange(previousStart, previousEnd, previousLabel);
     
     return {
-      type: 'comparison',
-      dimension: dimension
+      range: buildDateRange(previous.start, current.end),
+      comparison: { previous, current }
     };
   }
   
-  // No GROUP BY means single specific query
-  return {
-    type: 'single',
-    dimension: null
-  };
-}
-
-// Helper: Parse filter values from SQL
-function parseFilterValues(sql, columnName) {
-  // Try single value: column = 'value'
-  const singlePattern = new RegExp(`${columnName}\\s*=\\s*'([^']+)'`, 'i');
-  const singleMatch = sql.match(singlePattern);
+  // Single explicit period (or a span "from X to Y" without comparison intent)
+  if (distinctPeriods.length === 1) {
+    return { range: distinctPeriods[0].range, comparison: null };
+  }
+  
+  if (distinctPeriods.length >= 2) {
+    const starts = distinctPeriods.map(period => period.range.start).sort();
+    const ends = distinctPeriods.map(period => period.range.end).sort();
+    return { range: buildDateRange(starts[0], ends[ends.length - 1]), comparison: null };
+  }
   
-  if (singleMatch) {
-    return [singleMatch[1]];
+  // Relative ranges
+  const lastNMatch = lowerQuestion.match(/\b(?:last|past|previous|trailing)\s+(\d+|two|three|four|five|six|twelve)\s+months\b/);
+  if (lastNMatch) {
+    const words = { two: 2, three: 3, four: 4, five: 5, six: 6, twelve: 12 };
+    const count = words[lastNMatch[1]] || parseInt(lastNMatch[1], 10);
+    return { range: buildDateRange(shiftMonth(latest, -(count - 1)), latest), comparison: null };
   }
   
-  // Try IN clause: column IN ('value1', 'value2')
-  const inPattern = new RegExp(`${columnName}\\s+IN\\s*\\(([^)]+)\\)`, 'i');
-  const inMatch = sql.match(inPattern);
+  if (/\bytd\b|year[\s-]to[\s-]date|this year/.test(lowerQuestion)) {
+    const yearStart = `${latest.substring(0, 4)}-01-01`;
+    return { range: buildDateRange(yearStart, latest, `YTD ${latest.substring(0, 4)}`), comparison: null };
+  }
   
-  if (inMatch) {
-    // Extract values from IN clause
-    const values = inMatch[1]
-      .split(',')
-      .map(v => v.trim().replace(/'/g, ''))
-      .filter(v => v.length > 0);
-    return values;
+  if (/\b(?:last|previous|prior) month\b/.test(lowerQuestion)) {
+    const previousMonth = shiftMonth(latest, -1);
+    return { range: buildDateRange(previousMonth, previousMonth), comparison: null };
   }
   
-  return null;
+  if (/all[\s-]time|all months|all (?:the )?data|every month|over time|since the start/.test(lowerQuestion)) {
+    return { range: buildDateRange(earliest, latest), comparison: null };
+  }
+  
+  // Default: the latest month in the data
+  return { range: buildDateRange(latest, latest), comparison: null };
 }
 
-// Detect if query is asking for strategy/recommendations
-function isStrategyQuery(userQuestion) {
-  const strategyKeywords = [
-    'invest', 'budget', 'allocate', 'reallocate', 'shift', 'optimize',
-    'improve', 'maximize', 'should i', 'what should', 'how can i',
-    'recommend', 'suggestion', 'advice', 'strategy', 'best way', 'cut', 'reduce', 'decrease', 'save'
-  ];
+// Helper: SQL predicate for a date range
+function dateRangeCondition(range) {
+  if (!range) return null;
+  if (range.start === range.end) {
+    return `report_month = '${range.start}'`;
+  }
+  return `report_month BETWEEN '${range.start}' AND '${range.end}'`;
+}
+
+// ============================================================
+// LLM Providers: OpenAI, Anthropic and an offline mock provider.
+// Each provider takes a request and resolves { text, usage }.
+// ============================================================
+
+// Helper: Parse a provider HTTP response, surfacing API errors
+async function readProviderResponse(response, providerName) {
+  const data = await response.json();
   
-  const lowerQuestion = userQuestion.toLowerCase();
-  return strategyKeywords.some(keyword => lowerQuestion.includes(keyword));
+  if (data.error) {
+    throw new Error(data.error.message || `${providerName} API error`);
+  }
+  if (!response.ok) {
+    throw new Error(`${providerName} API returned HTTP ${response.status}`);
+  }
+  
+  return data;
 }
 
-// Execute SQL and aggregate data
-async function executeAndAggregate(sql, userQuestion, goal, queryType) {
-  console.log('Executing SQL...');
+// Helper: Read a provider's Server-Sent Events body, calling onEvent with each JSON payload
+async function readProviderStream(response, providerName, onEvent) {
+  if (!response.ok) {
+    await readProviderResponse(response, providerName);
+  }
   
-  try {
-    // Fetch all data from Supabase
-    const { data, error } = await supabase
-      .from('video_ad_performance')
-      .select('*')
-      .eq('report_month', '2025-10-01');
-    
-    if (error) throw error;
-    
-    // Apply WHERE filters using improved parsing
-    let filteredData = data;
+  const decoder = new TextDecoder();
+  let buffer = '';
+  
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
     
-    // Platform filter
-    const platformValues = parseFilterValues(sql, 'platform');
-    if (platformValues) {
-      filteredData = filteredData.filter(row => platformValues.includes(row.platform));
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.substring(0, newline).trim();
+      buffer = buffer.substring(newline + 1);
+      
+      if (!line.startsWith('data:')) continue;
+      const payload = line.substring(5).trim();
+      if (payload === '[DONE]') return;
+      onEvent(JSON.parse(payload));
     }
+  }
+}
+
+// Providers stream the answer through onToken when it is given;
+// checkHealth({ model, signal }) throws when the provider can't serve the model (see /health)
+const openAIProvider = {
+  name: 'openai',
+  
+  async complete({ model, systemPrompt, userPrompt, maxTokens, temperature, onToken, responseSchema }) {
+    if (!OPENAI_API_KEY) throw new Error('OPENAI_API_KEY is not set');
     
-    // Region filter
-    const regionValues = parseFilterValues(sql, 'region');
-    if (regionValues) {
-      filteredData = filteredData.filter(row => regionValues.includes(row.region));
-    }
+    const response = await fetch('https://api.openai.com/v1/chat/completions', {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${OPENAI_API_KEY}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        model: model,
+        messages: [
+          { role: 'system', content: systemPrompt },
+          { role: 'user', content: userPrompt }
+        ],
+        temperature: temperature,
+        max_tokens: maxTokens,
+        ...(onToken ? { stream: true, stream_options: { include_usage: true } } : {}),
+        ...(responseSchema ? {
+          response_format: {
+            type: 'json_schema',
+            json_schema: { name: responseSchema.name, schema: responseSchema.schema, strict: true }
+          }
+        } : {})
+      })
+    });
     
-    // Age group filter
-    const ageValues = parseFilterValues(sql, 'age_group');
-    if (ageValues) {
-      filteredData = filteredData.filter(row => ageValues.includes(row.age_group));
+    if (onToken) {
+      let text = '';
+      const usage = { promptTokens: 0, completionTokens: 0 };
+      
+      await readProviderStream(response, 'OpenAI', event => {
+        if (event.error) throw new Error(event.error.message);
+        const delta = event.choices && event.choices[0] && event.choices[0].delta;
+        if (delta && delta.content) {
+          text += delta.content;
+          onToken(delta.content);
+        }
+        if (event.usage) {
+          usage.promptTokens = event.usage.prompt_tokens;
+          usage.completionTokens = event.usage.completion_tokens;
+        }
+      });
+      
+      return { text, usage };
     }
     
-    // Gender filter
-    const genderValues = parseFilterValues(sql, 'gender');
-    if (genderValues) {
-      filteredData = filteredData.filter(row => genderValues.includes(row.gender));
+    const data = await readProviderResponse(response, 'OpenAI');
+    
+    if (data.choices[0].message.refusal) {
+      throw new Error(`OpenAI refused: ${data.choices[0].message.refusal}`);
     }
     
-    console.log(`Filtered data: ${filteredData.length} rows from ${data.length} total`);
+    return {
+      text: data.choices[0].message.content,
+      usage: {
+        promptTokens: data.usage ? data.usage.prompt_tokens : 0,
+        completionTokens: data.usage ? data.usage.completion_tokens : 0
+      }
+    };
+  },
+  
+  // Reachable, key accepted, model available
+  async checkHealth({ model, signal }) {
+    if (!OPENAI_API_KEY) throw new Error('OPENAI_API_KEY is not set');
+    const response = await fetch(`https://api.openai.com/v1/models/${encodeURIComponent(model)}`, {
+      headers: { 'Authorization': `Bearer ${OPENAI_API_KEY}` },
+      signal
+    });
+    await readProviderResponse(response, 'OpenAI');
+  }
+};
+
+const anthropicProvider = {
+  name: 'anthropic',
+  
+  async complete({ model, systemPrompt, userPrompt, maxTokens, temperature, onToken, responseSchema }) {
+    if (!ANTHROPIC_API_KEY) throw new Error('ANTHROPIC_API_KEY is not set');
     
-    // Detect visualization type
-    const visualization = detectVisualization(sql);
+    const response = await fetch('https://api.anthropic.com/v1/messages', {
+      method: 'POST',
+      headers: {
+        'x-api-key': ANTHROPIC_API_KEY,
+        'anthropic-version': ANTHROPIC_VERSION,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        model: model,
+        system: systemPrompt,
+        messages: [
+          { role: 'user', content: userPrompt }
+        ],
+        temperature: temperature,
+        max_tokens: maxTokens,
+        ...(onToken ? { stream: true } : {}),
+        // Structured output: force a single tool call whose input is the JSON
+        ...(responseSchema ? {
+          tools: [{ name: responseSchema.name, description: 'Return the structured response', input_schema: responseSchema.schema }],
+          tool_choice: { type: 'tool', name: responseSchema.name }
+        } : {})
+      })
+    });
     
-    // FIX: If single query (no GROUP BY), return null for visualization
-    // Handle single query results
-    if (visualization.type === 'single') {
-      const singleResult = aggregateSingleResult(filteredData);
+    if (onToken) {
+      let text = '';
+      const usage = { promptTokens: 0, completionTokens: 0 };
       
-      // Check if this is a deep dive on a specific platform
-      if (queryType === 'DEEP_DIVE') {
-        // Extract platform name from SQL
-        const platformMatch = sql.match(/platform\s*=\s*'([^']+)'/i);
-        const platform = platformMatch ? platformMatch[1] : 'Platform';
-        
-        return {
-          visualization: {
-            type: 'deep_dive',
-            platform: platform,
-            queryType: queryType,
-            goal: goal,
-            data: singleResult
-          },
-          rawData: singleResult
-        };
-      }
-            // Check if this is an executive summary
-      if (queryType === 'EXECUTIVE_SUMMARY') {
-        // Extract platform name from SQL
-        const platformMatch = sql.match(/platform\s*=\s*'([^']+)'/i);
-        const platform = platformMatch ? platformMatch[1] : 'Platform';
-        
-        return {
-          visualization: {
-            type: 'executive_summary',
-            platform: platform,
-            queryType: queryType,
-            goal: goal,
-            data: singleResult
-          },
-          rawData: singleResult
-        };
-      }
+      await readProviderStream(response, 'Anthropic', event => {
+        if (event.type === 'error') throw new Error(event.error.message);
+        if (event.type === 'message_start' && event.message.usage) {
+          usage.promptTokens = event.message.usage.input_tokens;
+        }
+        if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+          text += event.delta.text;
+          onToken(event.delta.text);
+        }
+        if (event.type === 'message_delta' && event.usage) {
+          usage.completionTokens = event.usage.output_tokens;
+        }
+      });
       
-      // Regular single result (overview)
-      return {
-        visualization: null,
-        rawData: singleResult
-      };
+      return { text, usage };
     }
     
-    // If comparison query (has GROUP BY), aggregate by dimension
-    const aggregated = aggregateByDimension(filteredData, visualization.dimension);
+    const data = await readProviderResponse(response, 'Anthropic');
     
-    // Detect requested metrics
-    const requestedMetrics = detectRequestedMetrics(sql, userQuestion, goal);
+    const toolUse = responseSchema && data.content.find(block => block.type === 'tool_use');
+    if (toolUse) {
+      return {
+        text: JSON.stringify(toolUse.input),
+        usage: {
+          promptTokens: data.usage ? data.usage.input_tokens : 0,
+          completionTokens: data.usage ? data.usage.output_tokens : 0
+        }
+      };
+    }
     
-    console.log('About to return visualization with requestedMetrics:', requestedMetrics);
     return {
-      visualization: {
-        type: 'comparison',
-        dimension: visualization.dimension,
-        requestedMetrics: requestedMetrics,  // NEW: Pass requested metrics
-        goal: goal,  // ADD THIS LINE
-        queryType: queryType,
-        data: aggregated
-      },
-      rawData: aggregated
+      text: data.content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join(''),
+      usage: {
+        promptTokens: data.usage ? data.usage.input_tokens : 0,
+        completionTokens: data.usage ? data.usage.output_tokens : 0
+      }
     };
-    
-  } catch (error) {
-    console.error('SQL Execution Error:', error);
-    throw error;
+  },
+  
+  async checkHealth({ model, signal }) {
+    if (!ANTHROPIC_API_KEY) throw new Error('ANTHROPIC_API_KEY is not set');
+    const response = await fetch(`https://api.anthropic.com/v1/models/${encodeURIComponent(model)}`, {
+      headers: { 'x-api-key': ANTHROPIC_API_KEY, 'anthropic-version': ANTHROPIC_VERSION },
+      signal
+    });
+    await readProviderResponse(response, 'Anthropic');
   }
+};
+
+// Helper: Normalize a question so fixtures match regardless of case/punctuation
+function normalizeFixtureQuestion(question) {
+  return String(question || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9$%.\s-]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .replace(/[.\s]+$/, '')
+    .trim();
 }
 
-// Helper: Aggregate single result (no grouping)
-function aggregateSingleResult(data) {
-  const result = {
-    spend: 0,
-    impressions: 0,
-    clicks: 0,
-    conversions: 0,
-    revenue: 0,
-    video_starts: 0,
-    views_3s: 0,
-    views_25: 0,
-    views_50: 0,
-    views_100: 0
-  };
-  
-  data.forEach(row => {
-    result.spend += parseFloat(row.spend || 0);
-    result.impressions += parseInt(row.impressions || 0);
-    result.clicks += parseInt(row.clicks || 0);
-    result.conversions += parseInt(row.conversions || 0);
-    result.revenue += parseFloat(row.revenue || 0);
-    result.video_starts += parseInt(row.video_starts || 0);
-    result.views_3s += parseInt(row.views_3s || 0);
-    result.views_25 += parseInt(row.views_25 || 0);
-    result.views_50 += parseInt(row.views_50 || 0);
-    result.views_100 += parseInt(row.views_100 || 0);
-  });
-  
-  // Calculate metrics
-  result.roas = result.spend > 0 ? Math.round(result.revenue / result.spend) : 0;
-  result.ctr = result.impressions > 0 ? parseFloat(((result.clicks / result.impressions) * 100).toFixed(2)) : 0;
-  result.cpa = result.conversions > 0 ? parseFloat((result.spend / result.conversions).toFixed(2)) : 0;
-  result.conversionRate = result.clicks > 0 ? parseFloat(((result.conversions / result.clicks) * 100).toFixed(2)) : 0;
-  result.completionRate = result.video_starts > 0 ? parseFloat(((result.views_100 / result.video_starts) * 100).toFixed(2)) : 0;
-  result.video_completion_rate = result.video_starts > 0 ? parseFloat(((result.views_100 / result.video_starts) * 100).toFixed(2)) : 0;
-  result.cpm = result.impressions > 0 ? parseFloat(((result.spend / result.impressions) * 1000).toFixed(2)) : 0;
-  
-  return result;
+let llmFixturesCache = null;
+
+function loadLLMFixtures() {
+  if (!llmFixturesCache) {
+    llmFixturesCache = JSON.parse(fs.readFileSync(LLM_FIXTURES_PATH, 'utf8'));
+  }
+  return llmFixturesCache;
 }
 
-// Helper: Aggregate by dimension
-function aggregateByDimension(data, dimension) {
-  const aggregated = {};
+// Deterministic provider: replays recorded responses matched by agent + question.
+// A fixture with question "*" is the default for its agent.
+// Token counts are estimated (about 4 characters per token) so usage and quotas work offline.
+const mockProvider = {
+  name: 'mock',
   
-  data.forEach(row => {
-    const key = row[dimension];
-    
-    if (!aggregated[key]) {
-      aggregated[key] = {
-        spend: 0,
-        impressions: 0,
-        clicks: 0,
-        conversions: 0,
-        revenue: 0,
-        video_starts: 0,
-        views_3s: 0,
-        views_25: 0,
-        views_50: 0,
-        views_100: 0
+  async complete({ systemPrompt, userPrompt, agent, question, onToken }) {
+    const fixtures = loadLLMFixtures();
+    const normalized = normalizeFixtureQuestion(question);
+    
+    const fixture = fixtures.find(entry => entry.agent === agent && normalizeFixtureQuestion(entry.question) === normalized) ||
+      fixtures.find(entry => entry.agent === agent && entry.question === '*');
+    
+    if (!fixture) {
+      throw new Error(`No mock LLM fixture for ${agent}: "${question}"`);
+    }
+    
+    // Structured responses can be recorded as JSON objects
+    const text = typeof fixture.response === 'string' ? fixture.response : JSON.stringify(fixture.response);
+    
+    if (onToken) {
+      (text.match(/\S+\s*/g) || []).forEach(token => onToken(token));
+    }
+    
+    return {
+      text: text,
+      usage: {
+        promptTokens: Math.ceil((systemPrompt.length + userPrompt.length) / 4),
+        completionTokens: Math.ceil(text.length / 4)
+      }
+    };
+  },
+  
+  // The recorded responses load
+  async checkHealth() {
+    loadLLMFixtures();
+  }
+};
+
+const LLM_PROVIDERS = {
+  openai: openAIProvider,
+  anthropic: anthropicProvider,
+  mock: mockProvider
+};
+
+// Pick the provider from LLM_PROVIDER, or from the model name
+function resolveLLMProvider(modelName) {
+  if (LLM_PROVIDER) {
+    const provider = LLM_PROVIDERS[LLM_PROVIDER.toLowerCase()];
+    if (!provider) {
+      throw new Error(`Unknown LLM_PROVIDER: ${LLM_PROVIDER} (expected ${Object.keys(LLM_PROVIDERS).join(', ')})`);
+    }
+    return provider;
+  }
+  
+  if (/^claude/i.test(modelName)) return anthropicProvider;
+  if (/^mock/i.test(modelName)) return mockProvider;
+  return openAIProvider;
+}
+
+// Helper: Append a live response to the fixture file (LLM_RECORD_FIXTURES=path)
+function recordLLMFixture(agent, question, response, isJSON) {
+  let fixtures = [];
+  if (fs.existsSync(LLM_RECORD_FIXTURES)) {
+    fixtures = JSON.parse(fs.readFileSync(LLM_RECORD_FIXTURES, 'utf8'));
+  }
+  
+  const normalized = normalizeFixtureQuestion(question);
+  fixtures = fixtures.filter(entry => !(entry.agent === agent && normalizeFixtureQuestion(entry.question) === normalized));
+  let recorded = response;
+  if (isJSON) {
+    try {
+      recorded = JSON.parse(response);
+    } catch (error) {
+      // Keep malformed output as text so the repair path can be replayed
+    }
+  }
+  fixtures.push({ agent, question, response: recorded });
+  
+  fs.writeFileSync(LLM_RECORD_FIXTURES, JSON.stringify(fixtures, null, 2) + '\n');
+}
+
+// ============================================================
+// LLM Usage and Rate Limits: every callLLM records its tokens and
+// estimated cost against the caller's key (see requestContext), and
+// each key gets a request rate and a daily token quota.
+// ============================================================
+
+// USD per million tokens: [prompt, completion]
+const LLM_PRICES = {
+  'gpt-4o-mini': [0.15, 0.6],
+  'gpt-4o': [2.5, 10],
+  'gpt-4.1-nano': [0.1, 0.4],
+  'gpt-4.1-mini': [0.4, 1.6],
+  'gpt-4.1': [2, 8],
+  'claude-3-haiku': [0.25, 1.25],
+  'claude-3-5-haiku': [0.8, 4],
+  'claude-3-5-sonnet': [3, 15],
+  'claude-3-7-sonnet': [3, 15],
+  'claude-sonnet-4': [3, 15],
+  'claude-3-opus': [15, 75]
+};
+
+// Helper: Price of a model; the longest matching name wins, so gpt-4o-mini isn't priced as gpt-4o.
+// Null when the model has no known price.
+function resolveLLMPrice(model) {
+  if (LLM_INPUT_PRICE_PER_MTOK || LLM_OUTPUT_PRICE_PER_MTOK) {
+    return [parseFloat(LLM_INPUT_PRICE_PER_MTOK || '0'), parseFloat(LLM_OUTPUT_PRICE_PER_MTOK || '0')];
+  }
+  const name = Object.keys(LLM_PRICES)
+    .filter(prefix => String(model).toLowerCase().startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+  return name ? LLM_PRICES[name] : null;
+}
+
+function estimateLLMCost(model, promptTokens, completionTokens) {
+  const price = resolveLLMPrice(model) || [0, 0];
+  return parseFloat(((promptTokens * price[0] + completionTokens * price[1]) / 1e6).toFixed(6));
+}
+
+// Helper: Usage is counted per UTC day
+function usageDay(date = new Date()) {
+  return date.toISOString().substring(0, 10);
+}
+
+const USAGE_COUNTERS = ['requests', 'calls', 'failures', 'promptTokens', 'completionTokens', 'costUsd'];
+
+// Usage stores share one async interface:
+//   record(event) adds { day, key, accountId, agent, model, ...USAGE_COUNTERS },
+//   list({ from, to, accountId }) returns the recorded rows (accountId undefined = every account)
+function createMemoryUsageStore() {
+  // Rows are summed per day, key, agent and model, so memory grows with days, not calls
+  const rows = new Map();
+  
+  return {
+    name: 'memory',
+    
+    async record(event) {
+      const id = [event.day, event.key, event.accountId, event.agent, event.model].join('|');
+      const row = rows.get(id) || {
+        day: event.day,
+        key: event.key,
+        accountId: event.accountId,
+        agent: event.agent,
+        model: event.model,
+        ...Object.fromEntries(USAGE_COUNTERS.map(counter => [counter, 0]))
       };
+      USAGE_COUNTERS.forEach(counter => {
+        row[counter] += event[counter] || 0;
+      });
+      rows.set(id, row);
+    },
+    
+    async list({ from, to, accountId }) {
+      return [...rows.values()].filter(row => row.day >= from && row.day <= to &&
+        (accountId === undefined || row.accountId === accountId));
     }
+  };
+}
+
+// Supabase-backed store (table llm_usage, one row per request or LLM call, see README)
+function createSupabaseUsageStore(client) {
+  return {
+    name: 'supabase',
+    
+    async record(event) {
+      const { error } = await client.from('llm_usage').insert({
+        day: event.day,
+        key: event.key,
+        account_id: event.accountId,
+        agent: event.agent,
+        model: event.model,
+        requests: event.requests || 0,
+        calls: event.calls || 0,
+        failures: event.failures || 0,
+        prompt_tokens: event.promptTokens || 0,
+        completion_tokens: event.completionTokens || 0,
+        cost_usd: event.costUsd || 0
+      });
+      if (error) throw error;
+    },
     
-    aggregated[key].spend += parseFloat(row.spend || 0);
-    aggregated[key].impressions += parseInt(row.impressions || 0);
-    aggregated[key].clicks += parseInt(row.clicks || 0);
-    aggregated[key].conversions += parseInt(row.conversions || 0);
-    aggregated[key].revenue += parseFloat(row.revenue || 0);
-    aggregated[key].video_starts += parseInt(row.video_starts || 0);
-    aggregated[key].views_3s += parseInt(row.views_3s || 0);
-    aggregated[key].views_25 += parseInt(row.views_25 || 0);
-    aggregated[key].views_50 += parseInt(row.views_50 || 0);
-    aggregated[key].views_100 += parseInt(row.views_100 || 0);
+    async list({ from, to, accountId }) {
+      let query = client.from('llm_usage').select('*').gte('day', from).lte('day', to);
+      if (accountId !== undefined) {
+        query = accountId === null ? query.is('account_id', null) : query.eq('account_id', accountId);
+      }
+      const { data, error } = await query;
+      if (error) throw error;
+      
+      return data.map(row => ({
+        day: String(row.day).substring(0, 10),
+        key: row.key,
+        accountId: row.account_id,
+        agent: row.agent,
+        model: row.model,
+        requests: row.requests,
+        calls: row.calls,
+        failures: row.failures,
+        promptTokens: row.prompt_tokens,
+        completionTokens: row.completion_tokens,
+        costUsd: Number(row.cost_usd)
+      }));
+    }
+  };
+}
+
+const USAGE_STORES = {
+  memory: () => createMemoryUsageStore(),
+  supabase: () => {
+    if (!supabase) throw new Error('USAGE_STORE=supabase requires DATA_SOURCE=supabase');
+    return createSupabaseUsageStore(supabase);
+  }
+};
+
+if (!USAGE_STORES[USAGE_STORE]) {
+  throw new Error(`Unknown USAGE_STORE: ${USAGE_STORE} (expected ${Object.keys(USAGE_STORES).join(', ')})`);
+}
+const usageStore = USAGE_STORES[USAGE_STORE]();
+
+// Helper: Record usage without holding up (or failing) the request
+function recordUsageEvent(event) {
+  usageStore.record({ day: usageDay(), agent: null, model: null, ...event }).catch(error => {
+    logEvent('error', 'usage.record_failed', { error });
   });
+}
+
+// Parse KEY_QUOTAS into { key id or account: { requestsPerMinute, tokensPerDay } }
+function parseKeyQuotas(value) {
+  if (!value) return {};
   
-  // Calculate metrics
-  Object.keys(aggregated).forEach(key => {
-    const d = aggregated[key];
-    d.roas = d.spend > 0 ? Math.round(d.revenue / d.spend) : 0;
-    d.ctr = d.impressions > 0 ? parseFloat(((d.clicks / d.impressions) * 100).toFixed(2)) : 0;
-    d.cpa = d.conversions > 0 ? parseFloat((d.spend / d.conversions).toFixed(2)) : 0;
-    d.conversionRate = d.clicks > 0 ? parseFloat(((d.conversions / d.clicks) * 100).toFixed(2)) : 0;
-    d.completionRate = d.video_starts > 0 ? parseFloat(((d.views_100 / d.video_starts) * 100).toFixed(2)) : 0;
-    d.video_completion_rate = d.video_starts > 0 ? parseFloat(((d.views_100 / d.video_starts) * 100).toFixed(2)) : 0;
-    d.cpm = d.impressions > 0 ? parseFloat(((d.spend / d.impressions) * 1000).toFixed(2)) : 0;
+  let quotas;
+  try {
+    quotas = JSON.parse(value);
+  } catch (error) {
+    throw new Error(`KEY_QUOTAS must be JSON: ${error.message}`);
+  }
+  Object.entries(quotas).forEach(([key, quota]) => {
+    const invalid = !quota || typeof quota !== 'object' || Object.entries(quota).some(([name, limit]) =>
+      !['requestsPerMinute', 'tokensPerDay'].includes(name) || !Number.isInteger(limit) || limit < 0);
+    if (invalid) {
+      throw new Error(`KEY_QUOTAS.${key} must be { "requestsPerMinute": <whole number>, "tokensPerDay": <whole number> }`);
+    }
   });
+  return quotas;
+}
+
+const KEY_QUOTA_OVERRIDES = parseKeyQuotas(KEY_QUOTAS);
+
+// Helper: A key's limits: its own KEY_QUOTAS entry, then its account's, then the defaults (0 = unlimited)
+function resolveKeyQuotas(keyId, accountId) {
+  const override = KEY_QUOTA_OVERRIDES[keyId] || (accountId && KEY_QUOTA_OVERRIDES[accountId]) || {};
+  return {
+    requestsPerMinute: override.requestsPerMinute !== undefined ? override.requestsPerMinute : RATE_LIMIT_PER_MINUTE,
+    tokensPerDay: override.tokensPerDay !== undefined ? override.tokensPerDay : TOKEN_QUOTA_PER_DAY
+  };
+}
+
+// Quota state for this server instance: request times in the last minute, and tokens used today, per key.
+// Tokens are re-read from the usage store every TOKEN_USAGE_SYNC_SECONDS, so with USAGE_STORE=supabase
+// the daily quota survives restarts and counts every instance's calls; the request rate stays per instance.
+const TOKEN_USAGE_SYNC_SECONDS = 60;
+const keyRequestTimes = new Map();
+const keyTokensToday = new Map(); // key -> { day, tokens, syncedAt }
+
+function tokensUsedToday(keyId) {
+  const used = keyTokensToday.get(keyId);
+  return used && used.day === usageDay() ? used.tokens : 0;
+}
+
+// Helper: A key's tokens used today, refreshed from the usage store when the last read is stale.
+// The larger count wins: the store misses inserts still in flight, this instance misses the others' calls.
+async function syncTokensUsedToday(keyId, accountId) {
+  const day = usageDay();
+  const used = keyTokensToday.get(keyId);
+  if (used && used.day === day && Date.now() - used.syncedAt < TOKEN_USAGE_SYNC_SECONDS * 1000) return used.tokens;
   
-  return aggregated;
+  let tokens = tokensUsedToday(keyId);
+  try {
+    const rows = await usageStore.list({ from: day, to: day, accountId });
+    const stored = rows
+      .filter(row => row.key === keyId)
+      .reduce((sum, row) => sum + (row.promptTokens || 0) + (row.completionTokens || 0), 0);
+    tokens = Math.max(stored, tokensUsedToday(keyId));
+  } catch (error) {
+    logEvent('error', 'usage.load_failed', { error });
+  }
+  keyTokensToday.set(keyId, { day, tokens, syncedAt: Date.now() });
+  return tokens;
 }
 
-// Agent 2: Answer Generator Agent
-async function answerGeneratorAgent(userQuestion, queryResults, sql, goal, queryType, agentPrompt) {
-  console.log('AnswerGeneratorAgent: Generating answer');
+// Drop quota state nobody needs any more: keys without a request in the last minute,
+// and token counts from earlier days
+function pruneQuotaState() {
+  const now = Date.now();
+  const day = usageDay();
+  keyRequestTimes.forEach((times, keyId) => {
+    if (times.length === 0 || now - times[times.length - 1] >= 60000) keyRequestTimes.delete(keyId);
+  });
+  keyTokensToday.forEach((used, keyId) => {
+    if (used.day !== day) keyTokensToday.delete(keyId);
+  });
+}
 
-  let systemPrompt = '';
-  let userPrompt = '';
+// Record one callLLM against the current request's key
+function recordLLMUsage(agent, model, usage, success) {
+  const context = requestContext.getStore();
+  const key = (context && context.key) || 'system';
+  const promptTokens = usage ? usage.promptTokens || 0 : 0;
+  const completionTokens = usage ? usage.completionTokens || 0 : 0;
+  const call = {
+    agent: agent || 'unknown',
+    model,
+    promptTokens,
+    completionTokens,
+    costUsd: estimateLLMCost(model, promptTokens, completionTokens),
+    success
+  };
   
-  // Extract conversation context and current question
-  let contextString = '';
-  let currentQuestion = userQuestion;
+  if (context) context.calls.push(call);
+  const used = keyTokensToday.get(key);
+  keyTokensToday.set(key, {
+    day: usageDay(),
+    tokens: tokensUsedToday(key) + promptTokens + completionTokens,
+    syncedAt: used && used.day === usageDay() ? used.syncedAt : 0
+  });
+  recordUsageEvent({
+    key,
+    accountId: context ? context.accountId : null,
+    agent: call.agent,
+    model,
+    calls: 1,
+    failures: success ? 0 : 1,
+    promptTokens,
+    completionTokens,
+    costUsd: call.costUsd
+  });
+}
+
+// Helper: Totals and per-call breakdown of a request's LLM calls (the usage field of /chat)
+function summarizeCallUsage(calls) {
+  return {
+    promptTokens: calls.reduce((sum, call) => sum + call.promptTokens, 0),
+    completionTokens: calls.reduce((sum, call) => sum + call.completionTokens, 0),
+    costUsd: parseFloat(calls.reduce((sum, call) => sum + call.costUsd, 0).toFixed(6)),
+    calls
+  };
+}
+
+// Middleware (after requireAccount): enforce the key's request rate, count the request
+// and attribute the request context to the key, so its LLM calls are counted against it
+function trackRequest(req, res, next) {
+  const keyId = req.keyId;
+  const { requestsPerMinute } = resolveKeyQuotas(keyId, req.accountId);
   
-  if (userQuestion.includes('Previous conversation:') && userQuestion.includes('Current question:')) {
-    const parts = userQuestion.split('Current question:');
-    contextString = parts[0].trim();
-    currentQuestion = parts[1].trim();
+  if (requestsPerMinute > 0) {
+    const now = Date.now();
+    const recent = (keyRequestTimes.get(keyId) || []).filter(time => now - time < 60000);
+    
+    if (recent.length >= requestsPerMinute) {
+      const retryAfterSeconds = Math.max(1, Math.ceil((recent[0] + 60000 - now) / 1000));
+      keyRequestTimes.set(keyId, recent);
+      res.set('Retry-After', String(retryAfterSeconds));
+      return res.status(429).json({
+        success: false,
+        code: 'RATE_LIMITED',
+        error: `Rate limit exceeded: ${requestsPerMinute} requests per minute for this key. Retry in ${retryAfterSeconds}s`,
+        limit: requestsPerMinute,
+        retryAfterSeconds
+      });
+    }
+    
+    recent.push(now);
+    keyRequestTimes.set(keyId, recent);
+    res.set('X-RateLimit-Limit', String(requestsPerMinute));
+    res.set('X-RateLimit-Remaining', String(requestsPerMinute - recent.length));
   }
+  
+  recordUsageEvent({ key: keyId, accountId: req.accountId, requests: 1 });
+  req.usage = requestContext.getStore();
+  req.usage.key = keyId;
+  req.usage.accountId = req.accountId;
+  next();
+}
 
+// Middleware for endpoints that call the LLM: refuse once the key's daily token quota is used.
+// The quota is checked before the request, so the request that crosses it still completes.
+async function enforceTokenQuota(req, res, next) {
+  const { tokensPerDay } = resolveKeyQuotas(req.keyId, req.accountId);
+  if (tokensPerDay === 0) return next();
+  const used = await syncTokensUsedToday(req.keyId, req.accountId);
+  if (used < tokensPerDay) return next();
+  
+  const midnight = new Date();
+  midnight.setUTCHours(24, 0, 0, 0);
+  const retryAfterSeconds = Math.ceil((midnight.getTime() - Date.now()) / 1000);
+  res.set('Retry-After', String(retryAfterSeconds));
+  res.status(429).json({
+    success: false,
+    code: 'TOKEN_QUOTA_EXCEEDED',
+    error: `Daily LLM token quota used: ${used} of ${tokensPerDay} tokens for this key. It resets at 00:00 UTC`,
+    limit: tokensPerDay,
+    used,
+    retryAfterSeconds
+  });
+}
 
-  const isExecutiveSummary = queryType === 'EXECUTIVE_SUMMARY';
+// Group usage rows by some of their fields and sum the counters
+function summarizeUsageRows(rows, fields) {
+  const groups = new Map();
   
-  // ADD THE EXECUTIVE SUMMARY HANDLING HERE
-  if (isExecutiveSummary) {
-    // Extract platform name from the data
-    const platformName = Object.keys(queryResults)[0] || 'Platform';
-    const metrics = queryResults[platformName] || queryResults;
+  rows.forEach(row => {
+    const id = fields.map(field => row[field]).join('|');
+    const group = groups.get(id) || {
+      ...Object.fromEntries(fields.map(field => [field, row[field]])),
+      ...Object.fromEntries(USAGE_COUNTERS.map(counter => [counter, 0]))
+    };
+    USAGE_COUNTERS.forEach(counter => {
+      group[counter] += row[counter] || 0;
+    });
+    groups.set(id, group);
+  });
+  
+  return [...groups.values()].map(group => ({
+    ...group,
+    totalTokens: group.promptTokens + group.completionTokens,
+    costUsd: parseFloat(group.costUsd.toFixed(6))
+  }));
+}
+
+// Failed LLM calls so far (answers built from fallbacks are not cached)
+let llmFailureCount = 0;
+
+// Call the configured LLM provider; every call's tokens and cost are recorded (see recordLLMUsage),
+// and its latency and outcome are logged and counted in the LLM metrics
+// options.agent / options.question identify the call for fixtures and recording,
+// options.onToken streams the response text as it arrives,
+// options.responseSchema ({ name, schema }) asks for JSON matching the schema
+async function callLLM(systemPrompt, userPrompt, maxTokens = 1000, options = {}) {
+  const provider = resolveLLMProvider(MODEL_NAME);
+  const agent = options.agent || 'unknown';
+  const started = process.hrtime.bigint();
+  
+  try {
+    const result = await provider.complete({
+      model: MODEL_NAME,
+      systemPrompt,
+      userPrompt,
+      maxTokens,
+      temperature: 0.3,
+      agent: options.agent,
+      question: options.question,
+      onToken: options.onToken,
+      responseSchema: options.responseSchema
+    });
     
-    systemPrompt = `You are a C-level marketing advisor providing executive insights.`;
+    const durationMs = elapsedMs(started);
+    const usage = result.usage || {};
+    llmRequestsTotal.inc({ agent, provider: provider.name, outcome: 'success' });
+    llmLatency.observe({ agent, provider: provider.name }, durationMs / 1000);
+    llmTokensTotal.inc({ agent, type: 'prompt' }, usage.promptTokens || 0);
+    llmTokensTotal.inc({ agent, type: 'completion' }, usage.completionTokens || 0);
+    logEvent('info', 'llm.call', {
+      agent, provider: provider.name, model: MODEL_NAME, outcome: 'success', durationMs,
+      promptTokens: usage.promptTokens || 0, completionTokens: usage.completionTokens || 0
+    });
     
-    userPrompt = `Create a strategic executive summary for ${platformName}'s performance.
-      
-      <data>
-      ${JSON.stringify(queryResults, null, 2)}
-      </data>
-      
-      Structure your response EXACTLY like this:
-      
-      **Performance Status: [Strong/Moderate/Needs Attention]**
-      Based on ROAS (${metrics.roas || 0}x)
-      
-      **Key Strengths:**
-      → [Top performing metric with value]
-      → [Second strength if any]
-      
-      **Strategic Concern:**
-      → [Main weakness or risk]
-      
-      **Budget Recommendation:**
-      Current spend: $${((metrics.spend || 0)/1000).toFixed(0)}k
-      Recommendation: [Increase by X% / Maintain / Decrease by X%]
-      Rationale: [One sentence explaining why]
-      
-      **Next Steps:**
-      1. [Immediate action - specific and measurable]
-      2. [30-day optimization]
-      
-      Keep it concise for executive review.`;
-      
-      // ADD THIS SECTION
-      try {
-        const response = await callLLM(systemPrompt, userPrompt, 1500);
-        return response;
-      } catch (error) {
-        console.error('Error in executive summary generation:', error);
-        return "I encountered an error generating the executive summary.";
-      }
+    recordLLMUsage(options.agent, MODEL_NAME, result.usage, true);
+    const text = result.text.trim();
+    
+    if (LLM_RECORD_FIXTURES && provider !== mockProvider && options.agent) {
+      recordLLMFixture(options.agent, options.question, text, !!options.responseSchema);
+    }
+    
+    return text;
+    
+  } catch (error) {
+    const durationMs = elapsedMs(started);
+    llmRequestsTotal.inc({ agent, provider: provider.name, outcome: 'error' });
+    llmLatency.observe({ agent, provider: provider.name }, durationMs / 1000);
+    logEvent('warn', 'llm.call', { agent, provider: provider.name, model: MODEL_NAME, outcome: 'error', durationMs, error });
+    recordLLMUsage(options.agent, MODEL_NAME, null, false);
+    llmFailureCount++;
+    throw error;
+  }
+}
+
+// Query plan contract for the query generator (JSON, validated against this schema)
+const QUERY_GOALS = ['AWARENESS', 'CONVERSION', 'ENGAGEMENT'];
+const QUERY_TYPES = ['DEEP_DIVE', 'COMPARISON', 'OVERVIEW', 'EXECUTIVE_SUMMARY', 'ANOMALIES', 'FUNNEL'];
+const QUERY_PLAN_REPAIR_ATTEMPTS = parseInt(process.env.QUERY_PLAN_REPAIR_ATTEMPTS || '1', 10);
+
+const QUERY_PLAN_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['goal', 'queryType', 'sql', 'dimensions', 'filters', 'notAnswerable'],
+  properties: {
+    goal: { type: 'string', enum: QUERY_GOALS },
+    queryType: { type: 'string', enum: QUERY_TYPES },
+    sql: { type: ['string', 'null'], description: 'PostgreSQL SELECT query, null when not answerable' },
+    dimensions: {
+      type: 'array',
+      description: 'GROUP BY columns, in order',
+      items: { type: 'string', enum: [...DIMENSION_COLUMNS, 'report_month'] }
+    },
+    filters: {
+      ...buildFilterSchema(),
+      description: 'Values the WHERE clause restricts each dimension to (empty array = no filter)',
+      required: DIMENSION_COLUMNS
+    },
+    notAnswerable: {
+      type: ['string', 'null'],
+      description: 'When the data cannot answer the question: why, and what data is available instead'
     }
+  }
+};
+
+const QUERY_PLAN_RESPONSE = { name: 'query_plan', schema: QUERY_PLAN_SCHEMA };
+
+// Helper: Validate a value against the JSON Schema subset used above.
+// Returns a list of error strings (empty when valid).
+function validateAgainstSchema(value, schema, pathName = '$') {
+  const errors = [];
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  const typeOf = v => (v === null ? 'null' : Array.isArray(v) ? 'array' : typeof v);
   
-  // Detect if this is a strategy question
-  const isStrategy = isStrategyQuery(currentQuestion);
+  if (schema.type && !types.includes(typeOf(value))) {
+    errors.push(`${pathName} must be ${types.join(' or ')}, got ${typeOf(value)}`);
+    return errors;
+  }
   
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${pathName} must be one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}`);
+  }
   
+  if (typeOf(value) === 'array' && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateAgainstSchema(item, schema.items, `${pathName}[${index}]`));
+    });
+  }
   
+  if (typeOf(value) === 'object' && schema.properties) {
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) errors.push(`${pathName}.${key} is required`);
+    });
+    Object.keys(value).forEach(key => {
+      if (schema.properties[key]) {
+        errors.push(...validateAgainstSchema(value[key], schema.properties[key], `${pathName}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${pathName}.${key} is not allowed`);
+      }
+    });
+  }
   
-  // System prompt - concise and focused
-  systemPrompt = agentPrompt || `You are a marketing performance analyst. Transform data into actionable insights with precise numbers and clear recommendations.`;
+  return errors;
+}
+
+// Helper: Extract and validate the query plan JSON from a model response.
+// Tolerates code fences and text around the JSON object.
+function parseQueryPlan(response) {
+  const text = String(response).replace(/```(?:json)?/gi, '').trim();
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    return { plan: null, errors: ['Response does not contain a JSON object'] };
+  }
   
-  // Sort data by ROAS for better analysis
-  let sortedResults = queryResults;
-  if (typeof queryResults === 'object' && !Array.isArray(queryResults)) {
-    const entries = Object.entries(queryResults);
-    entries.sort((a, b) => (b[1].roas || 0) - (a[1].roas || 0));
-    sortedResults = Object.fromEntries(entries);
+  let plan;
+  try {
+    plan = JSON.parse(text.substring(start, end + 1));
+  } catch (error) {
+    return { plan: null, errors: [`Invalid JSON: ${error.message}`] };
   }
   
-  const formattedResults = JSON.stringify(sortedResults, null, 2);
+  const errors = validateAgainstSchema(plan, QUERY_PLAN_SCHEMA);
+  if (errors.length === 0 && !plan.notAnswerable && !(plan.sql && plan.sql.trim())) {
+    errors.push('$.sql is required unless $.notAnswerable is set');
+  }
   
-  userPrompt;
+  return { plan, errors };
+}
+
+// Agent 1: Query Generator Agent
+// repair (optional): { sql, stage, code, error } of a failed attempt to fix
+async function queryGeneratorAgent(userQuestion, customPrompt, timeFrame, availableMonths, repair, customMetrics = []) {
   
-if (isStrategy) {
-  // Strategy prompt with goal awareness
-  let strategyMetric = '';
-  let strategyInstructions = '';
+  const range = timeFrame && timeFrame.range;
+  const dateCondition = dateRangeCondition(range) || 'report_month = <latest available month>';
   
-  if (goal === 'AWARENESS') {
-    strategyMetric = 'CPM (cost per 1000 impressions)';
-    strategyInstructions = `- For CUT: Remove budget from highest CPM (least efficient) platforms
-- For ADD: Allocate to lowest CPM platforms (most reach per dollar)
-- For REALLOCATE: Move from high CPM to low CPM platforms`;
-  } else if (goal === 'ENGAGEMENT') {
-    strategyMetric = 'CTR and cost per click';
-    strategyInstructions = `- For CUT: Remove from lowest CTR platforms
-- For ADD: Allocate to highest CTR platforms
-- For REALLOCATE: Move from low CTR to high CTR platforms`;
-  } else {
-    strategyMetric = 'ROAS';
-    strategyInstructions = `- For CUT: Remove from lowest ROAS segments until target reached
-- For ADD: Distribute using performance tiers (50% top, 30% mid, 20% low)
-- For REALLOCATE: Move 30-40% from worst to best performers`;
+  let timeFrameInstructions = `  The requested date range is ${range ? range.label : 'the latest available month'}.
+  Filter with: ${dateCondition}`;
+  
+  if (timeFrame && timeFrame.comparison) {
+    const { previous, current } = timeFrame.comparison;
+    timeFrameInstructions += `
+  
+  This is a PERIOD-OVER-PERIOD comparison: ${previous.label} (previous) vs ${current.label} (current).
+  - Cover BOTH periods in the WHERE clause with: ${dateCondition}
+  - Do NOT GROUP BY report_month, the server splits the two periods and computes the deltas
+  - Keep any platform/region/age_group/gender grouping the question asks for`;
   }
   
-  userPrompt = `Analyze this marketing data and provide strategic recommendations.
-<conversation_context>
-"""
-${contextString}
-"""
-</conversation_context>
-<current_question>
-"""
-${currentQuestion}
-"""
-</current_question>
-<context>
-SQL Query: ${sql}
-</context>
-<data>
-"""
-${formattedResults}
-"""
-</data>
-<goal_context>
-User's optimization goal: ${goal}
-Key metric to optimize: ${strategyMetric}
-</goal_context>
-<instructions>
-Step 1: Read the conversation context. When the user uses pronouns like "there", "it", "that", refer to the previously mentioned item.
-Step 2: Identify the budget action type
-- CUT: "reduce budget", "cut $X", "save money" → Decrease total budget
-- ADD: "have $X to invest", "extra budget", "additional $X" → Increase total budget  
-- REALLOCATE: "optimize", "shift", "move budget" → Keep total budget same
-Step 3: Identify the dimension in the data
-- Look at the data keys: platform, region, age_group, or gender
-Step 4: Apply the appropriate strategy based on the goal
-${strategyInstructions}
-Step 5: Calculate exact impact using the key metric (${strategyMetric})
-</instructions>
-<formatting>
-"""
-- Bold all numbers: **$75,000**, **5x**, **2.5%**
-- Bold all segments: **TikTok**, **Northeast**, **18-24**
-- Use bullet points with → arrows
-- Never use markdown tables
-"""
-</formatting>
-<examples>
-Example 1 - Adding Budget for ${goal}:
-User: "I have $100k to invest"
-Response Structure:
-**Current Performance (${strategyMetric}):**
-→ Platform rankings by ${strategyMetric}
-**Recommendation:**
-Add **$100k** distributed by ${strategyMetric} performance
+  const systemPrompt = customPrompt || `You are an expert SQL query generator. Convert natural language questions into PostgreSQL queries for the video_ad_performance table.
 
-Example 2 - Cutting Budget:
-User: "Cut $100k from total budget"
-Response Structure:
-**Recommendation:**
-Remove **$100k** from worst ${strategyMetric} performers
-</examples>
-Generate your response following the structure shown in the examples.`;
-    
-} else {
-  // Regular query prompt with goal-specific handling
+  STEP 1: Identify the user's business goal using this PRIORITY ORDER:
   
-  // Add goal-specific instructions
-  let goalInstructions = '';
+  1. FIRST CHECK - Explicit metric/keyword detection (HIGHEST PRIORITY):
+     - If question contains "impressions", "reach", "visibility", "CPM", "awareness" → AWARENESS
+     - If question contains "CTR", "clicks", "traffic", "click-through" → ENGAGEMENT  
+     - If question is about video viewing: "video", "views", "funnel", "drop-off", "retention", "hook rate", "hold rate", "completed views" → ENGAGEMENT
+     - If question contains "ROAS", "revenue", "sales", "conversions", "ROI", "profit" → CONVERSION
   
-  if (goal === 'AWARENESS') {
-    goalInstructions = `
-<goal_context>
-The user's goal is BRAND AWARENESS. They want to maximize reach and visibility.
-</goal_context>
+  2. SECOND CHECK - Action keywords (if no explicit metric found):
+     AWARENESS GOAL - Keywords: maximize reach, increase visibility, brand exposure, eyeballs
+     CONVERSION GOAL - Keywords: purchase, invest (when about returns), maximize profit
+     ENGAGEMENT GOAL - Keywords: drive traffic, maintain traffic, increase engagement
+  
+  3. THIRD CHECK - Follow-up context (ONLY if no keywords from #1 or #2):
+     If the question contains these follow-up indicators AND no explicit goal keyword:
+     - Pronouns: "there", "it", "that", "those"  
+     - References: "the best one", "the top performer"
+     - Check "Previous query goal:" in context
+  
+  4. DEFAULT: If no clear goal detected, assume CONVERSION.
 
-<metrics_priority>
-Step 1: Lead with total impressions (reach metrics)
-Step 2: Calculate and emphasize CPM (cost per 1000 impressions)  
-Step 3: Identify platforms with lowest CPM (most efficient for reach)
-Step 4: DO NOT lead with ROAS or revenue for awareness questions
-</metrics_priority>
+  5. SPECIAL CASE - Comprehensive Comparisons:
+     If the user asks to compare entities (using "vs", "versus", "compare X and Y") WITHOUT specifying a metric:
+     - Set GOAL: CONVERSION (default to business performance)
+     - Include multiple key metrics in the SQL: ROAS, revenue, spend, CTR, impressions, CPM
+     - This ensures a complete performance comparison
+     
+     Examples:
+     - "TikTok vs Instagram" → Include ROAS, revenue, CTR, impressions, CPM
+     - "Compare TikTok and Instagram" → Include all key metrics
+     - "TikTok vs Instagram impressions" → AWARENESS goal, focus on impressions/CPM
+     - "TikTok vs Instagram ROAS" → CONVERSION goal, focus on ROAS/revenue
 
-<example_response_pattern>
-Good: "YouTube delivers the highest reach with **147M impressions** at **$0.48 CPM**, making it the most cost-efficient for brand visibility."
-Bad: "TikTok has the highest ROAS at 8x..."
-</example_response_pattern>`;
-  } else if (goal === 'ENGAGEMENT') {
-    goalInstructions = `
-<goal_context>
-The user's goal is ENGAGEMENT. They want clicks, traffic, and interactions.
-</goal_context>
+  IMPORTANT: Explicit metric keywords (check #1) ALWAYS override previous context.
+  Examples:
+  - Previous: CONVERSION, Current: "What about impressions?" → AWARENESS (explicit keyword)
+  - Previous: AWARENESS, Current: "Show me the CTR" → ENGAGEMENT (explicit keyword)
+  - Previous: ENGAGEMENT, Current: "How much there?" → ENGAGEMENT (follow-up, no new keyword)
 
-<metrics_priority>
-Step 1: Lead with CTR and total clicks
-Step 2: Show video completion rates if relevant
-Step 3: Calculate cost per click
-Step 4: Identify platforms with highest engagement rates
-</metrics_priority>`;
-  } else {
-    // CONVERSION (default)
-    goalInstructions = `
-<goal_context>
-The user's goal is CONVERSIONS/SALES. They want revenue and ROI.
-</goal_context>
+  STEP 2: Identify the query type:
+    A. DEEP DIVE (single entity analysis):
+     - Mentions specific platform: "tell me about TikTok", "show me Instagram stats", "how is Facebook performing"
+     - Asks for "all metrics" or "full breakdown" of a specific entity
+     - SQL: Use WHERE platform = 'specific_platform', NO GROUP BY
+     - Include multiple metrics in SELECT
+  
+  B. COMPARISON (multi-entity analysis):
+     - Keywords: "compare", "across", "by platform", "which platform", "for each", "all platforms"
+     - SQL: Use GROUP BY for the requested dimension
+     - Two or more dimensions ("ROAS by platform and region", "CTR by age group and gender"):
+       select every dimension column and GROUP BY all of them, e.g. GROUP BY platform, region
+  
+  C. OVERVIEW (aggregated totals):
+     - Keywords: "overall", "total", "combined", "aggregate"
+     - SQL: No GROUP BY, aggregate all data
 
-<metrics_priority>
-Step 1: Lead with ROAS and revenue metrics
-Step 2: Show CPA and conversion rates
-Step 3: Focus on profitability and efficiency
-</metrics_priority>`;
-  }
+  D. EXECUTIVE_SUMMARY (strategic single entity analysis):
+     - Keywords: "executive summary for", "strategic view of", "CMO dashboard", "strategic analysis"
+     - Mentions specific platform with executive/strategic context
+     - SQL: Use WHERE platform = 'specific_platform', NO GROUP BY
+     - Include all key metrics for strategic decision making
   
-  userPrompt = `Answer this marketing question using the provided data.
+  E. ANOMALIES (weak spots and outliers across all segments):
+     - Keywords: "weakest", "weak spots", "underperforming", "anomalies", "outliers", "what stands out", "where am I losing"
+     - The server scans every platform, region, age group and gender slice itself
+     - SQL: Aggregate totals, NO GROUP BY; only add WHERE filters the user asked for (e.g. platform = 'TikTok')
+  
+  F. FUNNEL (video viewing funnel):
+     - Keywords: "video funnel", "drop-off", "where do viewers drop", "retention", "hook rate", "hold rate", "cost per completed view", "3-second views"
+     - SQL: SELECT SUM(spend), SUM(impressions), SUM(video_starts), SUM(views_3s), SUM(views_25), SUM(views_50), SUM(views_100)
+       with the same column names as aliases; GROUP BY the dimension if the user asks per segment ("by platform"), otherwise NO GROUP BY
+     
+  Examples:
+  - "Executive summary for TikTok" → EXECUTIVE_SUMMARY: WHERE platform = 'TikTok'
+  - "Tell me about TikTok" → DEEP_DIVE: WHERE platform = 'TikTok' 
+  - "Compare all platforms" → COMPARISON: GROUP BY platform
+  - "What's my total spend?" → OVERVIEW: No GROUP BY
+  - "Where is performance weakest?" → ANOMALIES: No GROUP BY
+  - "Video funnel by platform" → FUNNEL: GROUP BY platform
 
-${goalInstructions}
+    SPECIAL HANDLING FOR BUDGET QUESTIONS:
+  - If user asks about cutting/adding/investing budget, ALWAYS use GROUP BY platform
+  - Include these fields: platform, roas, spend, revenue
+  - Order by ROAS ASC for cuts (worst first), DESC for investments (best first)
+  
+  STEP 3: Apply the date range (worked out from the question by the server):
+  
+${timeFrameInstructions}
+  
+  STEP 4: Generate the SQL query using this schema:
+  
+  ${buildDatabaseSchema(availableMonths, customMetrics)}
+  
+  Rules:
+  - Only SELECT queries allowed, on video_ad_performance only (no joins, subqueries or UNION)
+  - Always include WHERE ${dateCondition}
+  - Only use the columns listed above and these functions: ${SQL_ALLOWED_FUNCTIONS.map(name => name.toUpperCase()).join(', ')}
+  - Row-level queries (no aggregates) need a LIMIT; never use a LIMIT above ${SQL_MAX_LIMIT}
+  - Use proper aggregations with GROUP BY when needed
+  - Include ORDER BY for meaningful results
+  - LIMIT results appropriately
+  - NO semicolons at the end`;
 
-<conversation_context>
-"""
-${contextString}
-"""
-</conversation_context>
+  const userPrompt = `Convert this question to SQL: "${userQuestion}"
 
-<current_question>
-"""
-${currentQuestion}
-"""
-</current_question>
+Return ONLY a JSON object (no markdown, no extra text) with these fields:
+{
+  "goal": "AWARENESS" | "CONVERSION" | "ENGAGEMENT",
+  "queryType": "DEEP_DIVE" | "COMPARISON" | "OVERVIEW" | "EXECUTIVE_SUMMARY" | "ANOMALIES" | "FUNNEL",
+  "sql": "your SQL query" or null,
+  "dimensions": GROUP BY columns in order, e.g. ["platform", "region"] ([] when not grouped),
+  "filters": { "platform": [...], "region": [...], "age_group": [...], "gender": [...] } values the WHERE clause keeps ([] = no filter),
+  "notAnswerable": null, or when the question cannot be answered with the available data: why, and what data is available instead (set "sql" to null)
+}`;
+  
+  // Repair attempt: show the failed SQL and the error so the model can correct it
+  let repairPrompt = '';
+  if (repair) {
+    repairPrompt = `
 
-<pronoun_resolution>
-When the user says "there", "it", "that", or "those", check the conversation context to identify what they're referring to.
-Examples:
-- "How much am I spending there?" where context shows TikTok was just discussed = Answer only about TikTok spend
-- "What about that platform?" where context shows Instagram was mentioned = Answer about Instagram
-</pronoun_resolution>
+Your previous SQL for this question failed ${repair.stage === 'validation' ? 'validation' : 'when it was executed'}:
+<failed_sql>
+${repair.sql}
+</failed_sql>
+<error>
+[${repair.code}] ${repair.error}
+</error>
 
-<context>
-SQL Query: ${sql}
-</context>
+Return a corrected JSON response. Keep the same goal and queryType unless the error requires a change.`;
+  }
 
-<data>
-"""
-${formattedResults}
-"""
-</data>
+  // The fixture/recording key is the current question without the conversation context
+  const currentQuestion = userQuestion.includes('Current question:')
+    ? userQuestion.split('Current question:').pop().trim()
+    : userQuestion;
+  
+  try {
+    const agent = repair ? 'queryRepair' : 'queryGenerator';
+    let response = await callLLM(systemPrompt, userPrompt + repairPrompt, 500, {
+      agent: agent,
+      question: currentQuestion,
+      responseSchema: QUERY_PLAN_RESPONSE
+    });
+    
+    // Validate the JSON plan; ask the model to fix malformed output
+    let { plan, errors } = parseQueryPlan(response);
+    for (let attempt = 1; errors.length > 0 && attempt <= QUERY_PLAN_REPAIR_ATTEMPTS; attempt++) {
+      logEvent('warn', 'query_plan.invalid', { attempt, errors });
+      response = await callLLM(systemPrompt, `${userPrompt}${repairPrompt}
 
-<instructions>
-Step 1: Read the goal_context to understand what metrics matter most
-Step 2: Check if the user is using pronouns that refer to previous context
-Step 3: Analyze data focusing on the metrics_priority for this goal
-Step 4: Structure response to lead with most relevant metrics
-Step 5: Make recommendations based on the goal (e.g., lowest CPM for awareness)
-Step 6: Keep response concise (2-3 paragraphs maximum)
-</instructions>
+Your previous response was not a valid JSON query plan:
+<response>
+${response}
+</response>
+<errors>
+${errors.map(error => `- ${error}`).join('\n')}
+</errors>
 
-<formatting>
-"""
-- Bold all numbers: **2.5%**, **$450k**
-- Bold dimension values: **TikTok**, **male**
-- Use → arrows for lists
-- No markdown tables
-"""
-</formatting>
+Return ONLY the corrected JSON object.`, 500, {
+        agent: 'queryPlanRepair',
+        question: currentQuestion,
+        responseSchema: QUERY_PLAN_RESPONSE
+      });
+      ({ plan, errors } = parseQueryPlan(response));
+    }
+    
+    if (errors.length > 0) {
+      throw new Error(`Query generator returned an invalid plan: ${errors.join('; ')}`);
+    }
+    logEvent('debug', 'query_plan', { plan });
+    
+    // Not answerable: return the explanation as a conversational answer
+    if (plan.notAnswerable) {
+      return {
+        isSQL: false,
+        content: plan.notAnswerable,
+        goal: plan.goal,
+        queryType: plan.queryType,
+        dimensions: plan.dimensions,
+        filters: plan.filters,
+        planSource: 'queryGenerator'
+      };
+    }
+    
+    let sql = plan.sql.trim();
+    
+    // Force GROUP BY platform for budget strategy questions
+    if (plan.queryType !== 'ANOMALIES' && isStrategyQuery(userQuestion) && !sql.toUpperCase().includes('GROUP BY')) {
+      // Add platform and metrics to SELECT if not there
+      if (!sql.toUpperCase().includes('PLATFORM')) {
+        sql = sql.replace(/SELECT/i, 'SELECT platform,');
+      }
+      // Add GROUP BY before ORDER BY
+      if (sql.toUpperCase().includes('ORDER BY')) {
+        sql = sql.replace(/ORDER BY/i, 'GROUP BY platform ORDER BY');
+      } else {
+        sql = sql + ' GROUP BY platform ORDER BY roas ASC';
+      }
+    }
+    
+    return {
+      isSQL: true,
+      content: sql,  // Return just the SQL part
+      goal: plan.goal,
+      queryType: plan.queryType,
+      dimensions: plan.dimensions,
+      filters: plan.filters,
+      planSource: 'queryGenerator'
+    };
+    
+  } catch (error) {
+    logEvent('warn', 'query_generator.failed', { agent: repair ? 'queryRepair' : 'queryGenerator', error });
+    throw error;
+  }
+}
+
+// Detect requested metrics from SQL and user question
+function detectRequestedMetrics(sql, userQuestion, goal, customMetrics = []) {
+  const upperSQL = sql.toUpperCase();
+  const lowerQuestion = userQuestion.toLowerCase();
+  
+  // The account's own metrics, when the question or query names them
+  const mentioned = customMetrics.filter(definition => mentionsCustomMetric(definition, sql, userQuestion));
+  if (mentioned.length > 0) {
+    return mentioned.map(definition => definition.name);
+  }
+
+  // Check for comprehensive comparisons FIRST (before goal-based detection)
+  if ((lowerQuestion.includes(' vs ') || lowerQuestion.includes(' versus ') || 
+       lowerQuestion.includes('compare ')) && 
+      !lowerQuestion.match(/impressions|ctr|clicks|roas|revenue|spend|cpm|cpa/)) {
+    return ['comprehensive'];
+  }
+  
+  // Check for specific metrics BEFORE goal-based defaults
+  if (isVideoFunnelQuestion(lowerQuestion)) {
+    return ['video_funnel'];
+  }
+  
+  if (lowerQuestion.includes('3-second') || lowerQuestion.includes('3 second') || 
+      upperSQL.includes('VIEWS_3S')) {
+    return ['video_retention'];
+  }
+  
+  if (upperSQL.includes('VIDEO_COMPLETION_RATE') || 
+      lowerQuestion.includes('video completion') || 
+      lowerQuestion.includes('completion rate')) {
+    return ['video_completion_rate'];
+  }
+  
+  // THEN fall back to goal-based detection
+  if (goal === 'AWARENESS') {
+    return ['impressions', 'cpm'];
+  } else if (goal === 'ENGAGEMENT') {
+    return ['ctr'];
+  } else if (goal === 'CONVERSION') {
+    return ['financial'];
+  }
+
+  
+  // Engagement metrics
+  if (upperSQL.includes('CTR') || lowerQuestion.includes('ctr') || 
+      lowerQuestion.includes('click-through') || lowerQuestion.includes('click through')) {
+    return ['ctr'];
+  }
+  
+  if (upperSQL.includes('CONVERSION_RATE') || 
+      (lowerQuestion.includes('conversion') && lowerQuestion.includes('rate'))) {
+    return ['conversion_rate'];
+  }
+  
+  // Cost metrics
+  if (upperSQL.includes('CPA') || lowerQuestion.includes('cost per acquisition') || 
+      lowerQuestion.includes('cpa') || lowerQuestion.includes('cost per conversion') ||
+      lowerQuestion.includes('acquisition cost')) {
+    return ['cpa'];
+  }
+  
+  if (upperSQL.includes('CPM') || lowerQuestion.includes('cpm') || 
+      lowerQuestion.includes('cost per thousand') || lowerQuestion.includes('cost per mille')) {
+    return ['cpm'];
+  }
+  
+  // Volume metrics
+  if (lowerQuestion.includes('conversion') && !lowerQuestion.includes('rate')) {
+    return ['conversions'];
+  }
+  
+  if (lowerQuestion.includes('click') && !lowerQuestion.includes('through') && !lowerQuestion.includes('rate')) {
+    return ['clicks'];
+  }
+  
+  if (lowerQuestion.includes('impression')) {
+    return ['impressions'];
+  }
+  
+  // Financial metrics
+  if (lowerQuestion.includes('spend') && !lowerQuestion.includes('revenue')) {
+    return ['spend'];
+  }
+  
+  if (lowerQuestion.includes('revenue') && !lowerQuestion.includes('spend')) {
+    return ['revenue'];
+  }
+  
+  if (upperSQL.includes('ROAS') || lowerQuestion.includes('roas') || 
+      lowerQuestion.includes('return on ad')) {
+    return ['roas'];
+  }
+  
+  // Strategy/Investment questions
+  if (lowerQuestion.includes('invest') || lowerQuestion.includes('budget') || 
+      lowerQuestion.includes('allocate') || lowerQuestion.includes('optimize')) {
+    return ['financial'];
+  }
+  
+  // Performance questions (general)
+  if (lowerQuestion.includes('performance') || lowerQuestion.includes('compare') || 
+      lowerQuestion.includes('best') || lowerQuestion.includes('top')) {
+    // Check what aspect of performance
+    if (lowerQuestion.includes('video')) {
+      return ['video_completion_rate'];
+    } else {
+      return ['financial'];
+    }
+  }
+  
+  // Default to financial metrics for general questions
+  return ['financial'];
+}
+
+// Detect if query is about the video viewing funnel
+function isVideoFunnelQuestion(lowerQuestion) {
+  return /\bfunnel\b|drop[- ]?off|hook rate|hold rate|completed views?|cost per completed|\bcpcv\b/.test(lowerQuestion) ||
+    (lowerQuestion.includes('video') && /\bdrop|retention|retain/.test(lowerQuestion));
+}
+
+// Detect visualization type and dimension from the parsed SQL
+function detectVisualization(statement) {
+  // Check if it has GROUP BY (comparative query)
+  if (statement.groupBy.length > 0) {
+    const dimensions = getGroupByColumns(statement).filter(column => column);
+    
+    // Two or more dimensions make a cross-tab (matrix/heatmap)
+    return {
+      type: dimensions.length > 1 ? 'matrix' : 'comparison',
+      dimension: dimensions[0] || null,
+      dimensions: dimensions
+    };
+  }
+  
+  // No aggregates at all means a row-level listing
+  const isAggregate = !!statement.having || statement.columns.some(column => containsAggregate(column.expr));
+  if (!isAggregate) {
+    return {
+      type: 'table',
+      dimension: null,
+      dimensions: []
+    };
+  }
+  
+  // No GROUP BY means single specific query
+  return {
+    type: 'single',
+    dimension: null,
+    dimensions: []
+  };
+}
+
+// Detect if query is asking for strategy/recommendations
+function isStrategyQuery(userQuestion) {
+  const strategyKeywords = [
+    'invest', 'budget', 'allocate', 'reallocate', 'shift', 'optimize',
+    'improve', 'maximize', 'should i', 'what should', 'how can i',
+    'recommend', 'suggestion', 'advice', 'strategy', 'best way', 'cut', 'reduce', 'decrease', 'save'
+  ];
+  
+  // Keywords start a word ("cuts" counts, "executive" doesn't)
+  const lowerQuestion = userQuestion.toLowerCase();
+  return strategyKeywords.some(keyword => new RegExp(`\\b${keyword}`).test(lowerQuestion));
+}
+
+// ============================================================
+// Intent Classifier: plans common phrasings ("ROAS by region",
+// "TikTok vs Instagram", "executive summary for YouTube") without
+// an LLM call. Only confident plans skip the query generator; the
+// best guess is also used when the query generator is unavailable.
+// ============================================================
+
+// Metric phrases, checked in order (a matched phrase is removed before the next check)
+const INTENT_METRICS = [
+  { key: 'video_completion_rate', goal: 'ENGAGEMENT', pattern: /\b(?:video )?completion rates?\b/g },
+  { key: 'conversion_rate', goal: 'CONVERSION', pattern: /\bconversion rates?\b|\bcvr\b/g },
+  { key: 'ctr', goal: 'ENGAGEMENT', pattern: /\bctr\b|\bclick[- ]?through(?: rates?)?\b/g },
+  { key: 'cpm', goal: 'AWARENESS', pattern: /\bcpm\b|\bcost per (?:thousand|mille)\b/g },
+  { key: 'cpa', goal: 'CONVERSION', pattern: /\bcpa\b|\bcost per (?:acquisition|conversion)\b|\bacquisition cost\b/g },
+  { key: 'roas', goal: 'CONVERSION', pattern: /\broas\b|\breturn on ad spend\b|\broi\b/g },
+  { key: 'revenue', goal: 'CONVERSION', pattern: /\brevenue\b|\bsales\b/g },
+  { key: 'conversions', goal: 'CONVERSION', pattern: /\bconversions?\b/g },
+  { key: 'impressions', goal: 'AWARENESS', pattern: /\bimpressions?\b|\breach\b|\bvisibility\b|\bawareness\b/g },
+  { key: 'clicks', goal: 'ENGAGEMENT', pattern: /\bclicks?\b|\btraffic\b/g },
+  { key: 'spend', goal: null, pattern: /\bspend(?:ing)?\b|\bspent\b|\bcosts?\b/g }
+];
+
+// SELECT expression for each metric (by SQL column name), with the columns shown next to it
+const INTENT_METRIC_SQL = {
+  ...Object.fromEntries(MEASURE_COLUMNS.map(column => [column, `SUM(${column}) AS ${column}`])),
+  ...Object.fromEntries(Object.keys(METRICS).map(metric => [metricColumn(metric), `${metricSQL(metric)} AS ${metricColumn(metric)}`]))
+};
+const INTENT_SUPPORTING_METRICS = Object.fromEntries(Object.entries(METRICS)
+  .map(([metric, definition]) => [metricColumn(metric), [definition.denominator, definition.numerator]]));
+const INTENT_GOAL_METRICS = {
+  CONVERSION: ['spend', 'revenue', 'roas', 'cpa'],
+  AWARENESS: ['impressions', 'cpm', 'spend'],
+  ENGAGEMENT: ['impressions', 'clicks', 'ctr']
+};
+const INTENT_COMPREHENSIVE_METRICS = ['spend', 'revenue', 'roas', 'ctr', 'impressions', 'cpm'];
+const INTENT_ENTITY_METRICS = ['spend', 'revenue', 'roas', 'impressions', 'cpm', 'ctr', 'cpa', 'conversions'];
+const INTENT_FUNNEL_METRICS = ['spend', 'impressions', 'video_starts', 'views_3s', 'views_25', 'views_50', 'views_100'];
+const INTENT_LOWER_IS_BETTER = Object.keys(METRICS).filter(metric => !METRICS[metric].higherIsBetter).map(metricColumn);
+// Goal priority when a question names metrics of several goals (same order as the generator prompt)
+const INTENT_GOAL_PRIORITY = ['AWARENESS', 'ENGAGEMENT', 'CONVERSION'];
+
+// Dimension values as they are written in questions
+const INTENT_VALUE_PATTERNS = {
+  platform: { TikTok: /\btik ?tok\b/g, Instagram: /\binstagram\b/g, Facebook: /\bfacebook\b/g, YouTube: /\byou ?tube\b/g, Snapchat: /\bsnap ?chat\b/g },
+  region: { Northeast: /\bnorth ?east\b/g, Midwest: /\bmid ?west\b/g, South: /\bsouth\b/g, West: /\bwest\b/g },
+  age_group: {
+    '18-24': /\b18 ?(?:-|–|to) ?24\b/g,
+    '25-34': /\b25 ?(?:-|–|to) ?34\b/g,
+    '35-44': /\b35 ?(?:-|–|to) ?44\b/g,
+    '45-54': /\b45 ?(?:-|–|to) ?54\b/g,
+    '55-64': /\b55 ?(?:-|–|to) ?64\b/g,
+    '65+': /\b65 ?(?:\+|plus\b|and (?:over|older|up)\b)|\bover 65\b/g
+  },
+  gender: { female: /\b(?:female|women)\b/g, male: /\b(?:male|men)\b/g }
+};
+const INTENT_DIMENSION_PATTERNS = {
+  platform: /\b(?:platforms?|channels?|networks?)\b/,
+  region: /\b(?:regions?|regional(?:ly)?)\b/,
+  age_group: /\b(?:age(?: groups?| brackets?| ranges?)?|ages)\b/,
+  gender: /\bgenders?\b/
+};
+
+const INTENT_EXECUTIVE_PATTERN = /\bexecutive summary\b|\bstrategic (?:view|analysis|overview)\b|\bcmo dashboard\b/g;
+const INTENT_ANOMALY_PATTERN = /\bweak(?:est)?(?: spots?)?\b|\bunderperform\w*|\banomal\w*|\boutliers?\b|\bstands? out\b|\blosing\b/g;
+const INTENT_FUNNEL_PATTERN = /\b(?:video )?funnel\b|\bdrop[- ]?offs?\b|\bdrops?\b|\bhook rates?\b|\bhold rates?\b|\bcompleted views?\b|\bcost per completed views?\b|\bcpcv\b|\bretention\b|\b3[- ]second views?\b|\bviewers?\b|\bvideos?\b|\bviews?\b/g;
+const INTENT_COMPARISON_PATTERN = /\bvs\.?|\bversus\b|\bcompar(?:e|ed|ing|ison)\b|\bagainst\b|\bbetween\b/g;
+const INTENT_PERIOD_CHANGE_PATTERN = /\bchang\w*|\bgrowth\b|\bgrew\b|\bgrow\w*|\bdrop\w*|\bdeclin\w*|\bincreas\w*|\bdecreas\w*|\bdifference\b|\btrend\w*/g;
+const INTENT_OVERVIEW_PATTERN = /\boverall\b|\btotal\b|\bcombined\b|\baggregate\b|\baltogether\b/g;
+const INTENT_LOW_PATTERN = /\blowest\b|\bleast\b|\bcheapest\b|\bbottom\b|\bsmallest\b/;
+const INTENT_HIGH_PATTERN = /\bhighest\b|\bmost\b|\bbiggest\b|\blargest\b/;
+const INTENT_WORST_PATTERN = /\bworst\b|\bpoorest\b/;
+const INTENT_FOLLOW_UP_PATTERN = /^\s*(?:and|what about|how about)\b/;
+
+// Time phrases are resolved separately (resolveTimeFrame)
+const INTENT_TIME_PATTERNS = [
+  MONTH_PATTERN,
+  QUARTER_PATTERN,
+  /\b(?:last|past|previous|prior|trailing|this)\s+(?:(?:\d+|two|three|four|five|six|twelve)\s+)?(?:months?|quarters?|years?)\b/g,
+  /\bmonth[\s-]over[\s-]month\b|\bquarter[\s-]over[\s-]quarter\b|\bmom\b|\bqoq\b|\bytd\b|\byear[\s-]to[\s-]date\b/g,
+  /\ball[\s-]time\b|\ball months\b|\ball (?:the )?data\b|\bevery month\b|\bover time\b|\bsince the start\b/g,
+  /\b20\d\d\b/g
+];
+
+// Words that carry no intent of their own
+const INTENT_FILLER_WORDS = new Set([
+  'what', 'whats', 'which', 'where', 'how', 'is', 'was', 'are', 'were', 'did', 'does', 'do', 'has', 'have', 'had',
+  'the', 'a', 'an', 'my', 'our', 'me', 'us', 'we', 'i', 'show', 'give', 'get', 'tell', 'about', 'list', 'see', 'view',
+  'for', 'in', 'on', 'of', 'by', 'per', 'across', 'each', 'every', 'and', 'with', 'to', 'from', 'at', 'all',
+  'much', 'many', 'performance', 'performing', 'perform', 'performed', 'doing', 'stats', 'statistics', 'metrics',
+  'numbers', 'results', 'breakdown', 'full', 'data', 'summary', 'report', 'please', 'can', 'you', 'ad', 'ads',
+  'best', 'top', 'worst', 'highest', 'lowest', 'most', 'least', 'cheapest', 'bottom', 'biggest', 'largest',
+  'smallest', 'poorest', 'month', 'audience', 'audiences', 'segment', 'segments', 'split',
+  'it', 'its', 'rate', 'rates', 'look', 'like', 'looking', 'people'
+]);
+
+// Helper: Find and remove matches of a pattern from the working text
+function takeIntentMatches(state, pattern) {
+  const matches = state.text.match(pattern) || [];
+  if (matches.length > 0) {
+    state.text = state.text.replace(pattern, ' ');
+  }
+  return matches;
+}
+
+// Classify a question into a query plan without the LLM.
+// Returns { goal, queryType, sql, dimensions, filters, notAnswerable, confident, reasons },
+// or null when nothing in the question was recognized.
+function classifyIntent(userQuestion, timeFrame, conversationHistory) {
+  const range = timeFrame && timeFrame.range;
+  if (!range) return null;
+  
+  const lowerQuestion = userQuestion.toLowerCase();
+  const state = { text: ` ${lowerQuestion.replace(/[?!,.;:"“”()]/g, ' ').replace(/['’]s\b/g, '').replace(/['’]/g, '')} ` };
+  const reasons = [];
+  
+  INTENT_TIME_PATTERNS.forEach(pattern => takeIntentMatches(state, pattern));
+  
+  // Period-over-period wording is already covered by the time frame
+  const isPeriodComparison = !!timeFrame.comparison;
+  if (isPeriodComparison) {
+    takeIntentMatches(state, INTENT_PERIOD_CHANGE_PATTERN);
+  }
+  
+  const isExecutive = takeIntentMatches(state, INTENT_EXECUTIVE_PATTERN).length > 0;
+  const isAnomalies = takeIntentMatches(state, INTENT_ANOMALY_PATTERN).length > 0;
+  const isFunnel = isVideoFunnelQuestion(lowerQuestion);
+  const isComparison = takeIntentMatches(state, INTENT_COMPARISON_PATTERN).length > 0 && !isPeriodComparison;
+  const isOverview = takeIntentMatches(state, INTENT_OVERVIEW_PATTERN).length > 0;
+  
+  const metrics = [];
+  const goals = [];
+  INTENT_METRICS.forEach(metric => {
+    if (takeIntentMatches(state, metric.pattern).length === 0) return;
+    metrics.push(metric.key);
+    if (metric.goal && !goals.includes(metric.goal)) goals.push(metric.goal);
+  });
+  if (isFunnel) {
+    takeIntentMatches(state, INTENT_FUNNEL_PATTERN);
+  }
+  
+  const filters = { platform: [], region: [], age_group: [], gender: [] };
+  Object.entries(INTENT_VALUE_PATTERNS).forEach(([dimension, values]) => {
+    Object.entries(values).forEach(([value, pattern]) => {
+      if (takeIntentMatches(state, pattern).length > 0) filters[dimension].push(value);
+    });
+  });
+  
+  // Dimensions in the order they are mentioned; a list of values ("TikTok vs Instagram") is compared
+  const mentioned = Object.entries(INTENT_DIMENSION_PATTERNS)
+    .map(([dimension, pattern]) => ({ dimension, index: state.text.search(pattern) }))
+    .filter(entry => entry.index !== -1)
+    .sort((a, b) => a.index - b.index)
+    .map(entry => entry.dimension);
+  Object.values(INTENT_DIMENSION_PATTERNS).forEach(pattern => takeIntentMatches(state, new RegExp(pattern.source, 'g')));
+  
+  const dimensions = [
+    ...Object.keys(filters).filter(dimension => filters[dimension].length > 1),
+    ...mentioned
+  ].filter((dimension, index, list) => list.indexOf(dimension) === index);
+  
+  const hasFilters = Object.values(filters).some(values => values.length > 0);
+  const isStrategy = isStrategyQuery(userQuestion);
+  const recognized = metrics.length > 0 || hasFilters || dimensions.length > 0 ||
+    isExecutive || isAnomalies || isFunnel || isComparison || isOverview || isStrategy;
+  if (!recognized) return null;
+  
+  // Anything left over might change the meaning: let the query generator decide
+  const unknownWords = state.text.split(/[^a-z0-9+\-]+/)
+    .filter(word => /[a-z0-9]/.test(word) && !INTENT_FILLER_WORDS.has(word));
+  if (unknownWords.length > 0) {
+    reasons.push(`unrecognized words: ${unknownWords.join(', ')}`);
+  }
+  
+  // Follow-ups depend on the previous turn
+  const hasHistory = conversationHistory && conversationHistory.length > 0;
+  if (hasHistory && (INTENT_FOLLOW_UP_PATTERN.test(lowerQuestion) || (!hasFilters && dimensions.length === 0 && !isOverview))) {
+    reasons.push('follow-up question');
+  }
+  // Budget questions are planned per platform, ranked by ROAS (worst first for cuts)
+  if (isStrategy) {
+    reasons.push('strategy question');
+    if (dimensions.length === 0 && !isAnomalies && !isFunnel) dimensions.push('platform');
+  }
+  if (goals.length > 1) {
+    reasons.push(`metrics of several goals (${goals.join(', ')})`);
+  }
+  if (dimensions.length > 2) {
+    reasons.push('more than two dimensions');
+  }
+  
+  let goal = INTENT_GOAL_PRIORITY.find(candidate => goals.includes(candidate));
+  if (!goal) goal = isFunnel ? 'ENGAGEMENT' : 'CONVERSION';
+  
+  // Query type, in the generator prompt's order of precedence
+  let queryType;
+  if (isAnomalies) {
+    queryType = 'ANOMALIES';
+  } else if (isFunnel) {
+    queryType = 'FUNNEL';
+  } else if (isExecutive) {
+    queryType = dimensions.length === 0 && filters.platform.length === 1 ? 'EXECUTIVE_SUMMARY' : 'OVERVIEW';
+    if (queryType !== 'EXECUTIVE_SUMMARY') reasons.push('executive summary without a single platform');
+  } else if (dimensions.length > 0) {
+    queryType = 'COMPARISON';
+  } else if (filters.platform.length === 1 && !isOverview) {
+    queryType = 'DEEP_DIVE';
+  } else {
+    queryType = 'OVERVIEW';
+  }
+  if (isComparison && queryType !== 'COMPARISON' && queryType !== 'FUNNEL') {
+    reasons.push('comparison without two values or a dimension');
+  }
+  
+  // Columns: the named metrics (with what they're computed from), else the defaults for the query type
+  let selected;
+  if (queryType === 'FUNNEL') {
+    selected = INTENT_FUNNEL_METRICS;
+  } else if (isStrategy && metrics.length === 0) {
+    selected = ['roas', 'spend', 'revenue'];
+  } else if (metrics.length > 0) {
+    selected = metrics.flatMap(metric => [metric, ...(INTENT_SUPPORTING_METRICS[metric] || [])]);
+  } else if (queryType === 'DEEP_DIVE' || queryType === 'EXECUTIVE_SUMMARY') {
+    selected = INTENT_ENTITY_METRICS;
+  } else if (queryType === 'COMPARISON' && isComparison) {
+    selected = INTENT_COMPREHENSIVE_METRICS;
+  } else {
+    selected = INTENT_GOAL_METRICS[goal];
+  }
+  selected = selected.filter((metric, index, list) => list.indexOf(metric) === index);
+  
+  const groupBy = queryType === 'ANOMALIES' ? [] : dimensions.slice(0, 2);
+  const sql = buildIntentSQL({
+    columns: [...groupBy, ...selected.map(metric => INTENT_METRIC_SQL[metric])],
+    range,
+    filters,
+    groupBy,
+    orderBy: queryType === 'FUNNEL'
+      ? groupBy.join(', ')
+      : isStrategy && metrics.length === 0
+        ? `roas ${/\b(?:cut|reduce|decrease|save)/.test(lowerQuestion) ? 'ASC' : 'DESC'}`
+        : intentOrder(lowerQuestion, metrics[0] || selected.find(metric => metric === 'roas') || selected[0])
+  });
+  
+  return {
+    goal,
+    queryType,
+    sql,
+    dimensions: groupBy,
+    filters,
+    notAnswerable: null,
+    confident: reasons.length === 0,
+    reasons
+  };
+}
+
+// Helper: ORDER BY for a ranked metric ("lowest CPM", "worst ROAS"; best = lowest for costs)
+function intentOrder(lowerQuestion, metric) {
+  const lowerIsBetter = INTENT_LOWER_IS_BETTER.includes(metric);
+  let ascending;
+  if (INTENT_LOW_PATTERN.test(lowerQuestion)) {
+    ascending = true;
+  } else if (INTENT_HIGH_PATTERN.test(lowerQuestion)) {
+    ascending = false;
+  } else {
+    ascending = INTENT_WORST_PATTERN.test(lowerQuestion) ? !lowerIsBetter : lowerIsBetter;
+  }
+  return `${metric} ${ascending ? 'ASC' : 'DESC'}`;
+}
+
+// Helper: Classifier plan in the query generator's result shape
+function intentToQueryResult(intent) {
+  return {
+    isSQL: true,
+    content: intent.sql,
+    goal: intent.goal,
+    queryType: intent.queryType,
+    dimensions: intent.dimensions,
+    filters: intent.filters,
+    planSource: 'classifier'
+  };
+}
+
+// Helper: SQL for a classified question
+function buildIntentSQL({ columns, range, filters, groupBy, orderBy }) {
+  const quote = value => `'${value.replace(/'/g, "''")}'`;
+  const conditions = [dateRangeCondition(range)];
+  Object.entries(filters).forEach(([dimension, values]) => {
+    if (values.length === 1) {
+      conditions.push(`${dimension} = ${quote(values[0])}`);
+    } else if (values.length > 1) {
+      conditions.push(`${dimension} IN (${values.map(quote).join(', ')})`);
+    }
+  });
+  
+  let sql = `SELECT ${columns.join(', ')} FROM video_ad_performance WHERE ${conditions.join(' AND ')}`;
+  if (groupBy.length > 0) {
+    sql += ` GROUP BY ${groupBy.join(', ')} ORDER BY ${orderBy} LIMIT 20`;
+  }
+  return sql;
+}
+
+// ============================================================
+// SQL Engine: parses the generated SELECT and evaluates it over
+// the rows fetched from Supabase, so the numbers we return are
+// exactly what the displayed SQL computes.
+// ============================================================
+
+const SQL_NUMERIC_COLUMNS = MEASURE_COLUMNS;
+
+// Words that end a select item / table reference when no AS is given
+const SQL_RESERVED_WORDS = [
+  'SELECT', 'FROM', 'WHERE', 'GROUP', 'BY', 'HAVING', 'ORDER', 'LIMIT', 'OFFSET',
+  'AND', 'OR', 'NOT', 'AS', 'ON', 'JOIN', 'LEFT', 'RIGHT', 'INNER', 'OUTER', 'FULL',
+  'CROSS', 'UNION', 'INTERSECT', 'EXCEPT', 'ASC', 'DESC', 'NULLS', 'IN', 'IS',
+  'BETWEEN', 'LIKE', 'ILIKE', 'CASE', 'WHEN', 'THEN', 'ELSE', 'END', 'DISTINCT',
+  'WITH', 'INTO', 'FETCH', 'FOR', 'WINDOW'
+];
+
+const SQL_AGGREGATE_FUNCTIONS = ['sum', 'count', 'avg', 'min', 'max'];
+
+// Helper: Error with a structured code (reported by validateSQL and /chat)
+function sqlError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Tokenize SQL into identifiers, literals, operators and punctuation
+function tokenizeSQL(sql) {
+  const tokens = [];
+  let i = 0;
+  
+  while (i < sql.length) {
+    const ch = sql[i];
+    
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+    
+    // Comments
+    if (ch === '-' && sql[i + 1] === '-') {
+      while (i < sql.length && sql[i] !== '\n') i++;
+      continue;
+    }
+    if (ch === '/' && sql[i + 1] === '*') {
+      const end = sql.indexOf('*/', i + 2);
+      i = end === -1 ? sql.length : end + 2;
+      continue;
+    }
+    
+    // String literal ('' escapes a quote)
+    if (ch === "'") {
+      let value = '';
+      i++;
+      while (i < sql.length) {
+        if (sql[i] === "'" && sql[i + 1] === "'") {
+          value += "'";
+          i += 2;
+        } else if (sql[i] === "'") {
+          break;
+        } else {
+          value += sql[i++];
+        }
+      }
+      if (i >= sql.length) throw new Error('Unterminated string literal');
+      i++;
+      tokens.push({ type: 'string', value });
+      continue;
+    }
+    
+    // Quoted identifier
+    if (ch === '"') {
+      const end = sql.indexOf('"', i + 1);
+      if (end === -1) throw new Error('Unterminated quoted identifier');
+      tokens.push({ type: 'identifier', value: sql.substring(i + 1, end), quoted: true });
+      i = end + 1;
+      continue;
+    }
+    
+    // Number
+    if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(sql[i + 1]))) {
+      const match = sql.substring(i).match(/^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i);
+      tokens.push({ type: 'number', value: parseFloat(match[0]), integer: /^\d+$/.test(match[0]) });
+      i += match[0].length;
+      continue;
+    }
+    
+    // Identifier / keyword
+    if (/[A-Za-z_]/.test(ch)) {
+      const match = sql.substring(i).match(/^[A-Za-z_][A-Za-z0-9_$]*/);
+      tokens.push({ type: 'identifier', value: match[0].toLowerCase(), upper: match[0].toUpperCase() });
+      i += match[0].length;
+      continue;
+    }
+    
+    // Operators
+    const twoChar = sql.substring(i, i + 2);
+    if (['<=', '>=', '<>', '!=', '||', '::'].includes(twoChar)) {
+      tokens.push({ type: 'operator', value: twoChar });
+      i += 2;
+      continue;
+    }
+    if ('=<>+-*/%'.includes(ch)) {
+      tokens.push({ type: 'operator', value: ch });
+      i++;
+      continue;
+    }
+    if ('(),.;'.includes(ch)) {
+      tokens.push({ type: 'punct', value: ch });
+      i++;
+      continue;
+    }
+    
+    throw new Error(`Unexpected character in SQL: ${ch}`);
+  }
+  
+  tokens.push({ type: 'eof' });
+  return tokens;
+}
+
+// Parse a single SELECT statement into an AST
+function parseSQL(sql) {
+  const tokens = tokenizeSQL(sql);
+  let pos = 0;
+  
+  const peek = (offset = 0) => tokens[pos + offset];
+  const next = () => tokens[pos++];
+  const isKeyword = (token, word) => token.type === 'identifier' && !token.quoted && token.upper === word;
+  const isPunct = (token, value) => token.type === 'punct' && token.value === value;
+  const isOperator = (token, value) => token.type === 'operator' && token.value === value;
+  
+  const acceptKeyword = word => {
+    if (isKeyword(peek(), word)) {
+      pos++;
+      return true;
+    }
+    return false;
+  };
+  const expectKeyword = word => {
+    if (!acceptKeyword(word)) throw new Error(`Expected ${word} near ${describeToken(peek())}`);
+  };
+  const acceptPunct = value => {
+    if (isPunct(peek(), value)) {
+      pos++;
+      return true;
+    }
+    return false;
+  };
+  const expectPunct = value => {
+    if (!acceptPunct(value)) throw new Error(`Expected "${value}" near ${describeToken(peek())}`);
+  };
+  const isReserved = token => token.type === 'identifier' && !token.quoted && SQL_RESERVED_WORDS.includes(token.upper);
+  
+  function parseStatement() {
+    if (isKeyword(peek(), 'WITH')) throw sqlError('SUBQUERY_NOT_ALLOWED', 'WITH clauses are not supported');
+    if (!acceptKeyword('SELECT')) throw sqlError('NOT_SELECT', 'Only SELECT queries are allowed');
+    
+    const statement = {
+      type: 'select',
+      distinct: acceptKeyword('DISTINCT'),
+      columns: [],
+      from: null,
+      where: null,
+      groupBy: [],
+      having: null,
+      orderBy: [],
+      limit: null,
+      offset: null
+    };
+    if (!statement.distinct) acceptKeyword('ALL');
+    
+    do {
+      statement.columns.push(parseSelectItem());
+    } while (acceptPunct(','));
+    
+    expectKeyword('FROM');
+    statement.from = parseTableRef();
+    
+    if (acceptPunct(',') || ['JOIN', 'LEFT', 'RIGHT', 'INNER', 'FULL', 'CROSS'].some(word => isKeyword(peek(), word))) {
+      throw sqlError('JOIN_NOT_ALLOWED', 'Joins are not supported');
+    }
+    
+    if (acceptKeyword('WHERE')) {
+      statement.where = parseExpression();
+    }
+    
+    if (acceptKeyword('GROUP')) {
+      expectKeyword('BY');
+      do {
+        statement.groupBy.push(parseExpression());
+      } while (acceptPunct(','));
+    }
+    
+    if (acceptKeyword('HAVING')) {
+      statement.having = parseExpression();
+    }
+    
+    if (acceptKeyword('ORDER')) {
+      expectKeyword('BY');
+      do {
+        const item = { expr: parseExpression(), direction: 'ASC', nulls: null };
+        if (acceptKeyword('DESC')) item.direction = 'DESC';
+        else acceptKeyword('ASC');
+        if (acceptKeyword('NULLS')) {
+          if (acceptKeyword('FIRST')) item.nulls = 'FIRST';
+          else {
+            expectKeyword('LAST');
+            item.nulls = 'LAST';
+          }
+        }
+        statement.orderBy.push(item);
+      } while (acceptPunct(','));
+    }
+    
+    // LIMIT / OFFSET in either order
+    for (let i = 0; i < 2; i++) {
+      if (acceptKeyword('LIMIT')) {
+        if (acceptKeyword('ALL')) continue;
+        statement.limit = parseCount('LIMIT');
+      } else if (acceptKeyword('OFFSET')) {
+        statement.offset = parseCount('OFFSET');
+        acceptKeyword('ROWS') || acceptKeyword('ROW');
+      }
+    }
+    
+    const hasSemicolon = acceptPunct(';');
+    if (peek().type !== 'eof') {
+      if (hasSemicolon) {
+        throw sqlError('MULTIPLE_STATEMENTS', 'Multiple queries not allowed');
+      }
+      if (isKeyword(peek(), 'UNION') || isKeyword(peek(), 'INTERSECT') || isKeyword(peek(), 'EXCEPT')) {
+        throw sqlError('SET_OPERATION_NOT_ALLOWED', 'Set operations (UNION/INTERSECT/EXCEPT) are not supported');
+      }
+      throw new Error(`Unexpected ${describeToken(peek())} after end of query`);
+    }
+    
+    return statement;
+  }
+  
+  function parseCount(clause) {
+    const token = next();
+    if (token.type !== 'number' || !Number.isInteger(token.value)) {
+      throw new Error(`${clause} must be a whole number`);
+    }
+    return token.value;
+  }
+  
+  function parseSelectItem() {
+    if (isOperator(peek(), '*')) {
+      pos++;
+      return { expr: { type: 'star' }, alias: null };
+    }
+    
+    const expr = parseExpression();
+    let alias = null;
+    if (acceptKeyword('AS')) {
+      const token = next();
+      if (token.type !== 'identifier' && token.type !== 'string') {
+        throw new Error(`Expected alias after AS near ${describeToken(token)}`);
+      }
+      alias = token.value;
+    } else if (peek().type === 'identifier' && !isReserved(peek())) {
+      alias = next().value;
+    }
+    
+    return { expr, alias };
+  }
+  
+  function parseTableRef() {
+    if (isPunct(peek(), '(')) throw sqlError('SUBQUERY_NOT_ALLOWED', 'Subqueries are not supported');
+    
+    const token = next();
+    if (token.type !== 'identifier') throw new Error(`Expected table name near ${describeToken(token)}`);
+    
+    let schema = null;
+    let table = token.value;
+    if (acceptPunct('.')) {
+      const tableToken = next();
+      if (tableToken.type !== 'identifier') throw new Error('Expected table name after schema');
+      schema = table;
+      table = tableToken.value;
+    }
+    
+    let alias = null;
+    if (acceptKeyword('AS')) {
+      alias = next().value;
+    } else if (peek().type === 'identifier' && !isReserved(peek())) {
+      alias = next().value;
+    }
+    
+    return { schema, table, alias };
+  }
+  
+  // Expression grammar, lowest to highest precedence
+  function parseExpression() {
+    return parseOr();
+  }
+  
+  function parseOr() {
+    let left = parseAnd();
+    while (acceptKeyword('OR')) {
+      left = { type: 'binary', operator: 'OR', left, right: parseAnd() };
+    }
+    return left;
+  }
+  
+  function parseAnd() {
+    let left = parseNot();
+    while (acceptKeyword('AND')) {
+      left = { type: 'binary', operator: 'AND', left, right: parseNot() };
+    }
+    return left;
+  }
+  
+  function parseNot() {
+    if (acceptKeyword('NOT')) {
+      return { type: 'unary', operator: 'NOT', operand: parseNot() };
+    }
+    return parseComparison();
+  }
+  
+  function parseComparison() {
+    let left = parsePredicate();
+    
+    while (peek().type === 'operator' && ['=', '<>', '!=', '<', '<=', '>', '>='].includes(peek().value)) {
+      const operator = next().value;
+      left = { type: 'binary', operator: operator === '!=' ? '<>' : operator, left, right: parsePredicate() };
+    }
+    
+    if (acceptKeyword('IS')) {
+      const negated = acceptKeyword('NOT');
+      if (acceptKeyword('NULL')) {
+        return { type: 'is_null', expr: left, negated };
+      }
+      if (acceptKeyword('TRUE')) {
+        return { type: 'binary', operator: negated ? 'IS DISTINCT FROM' : 'IS NOT DISTINCT FROM', left, right: { type: 'boolean', value: true } };
+      }
+      if (acceptKeyword('FALSE')) {
+        return { type: 'binary', operator: negated ? 'IS DISTINCT FROM' : 'IS NOT DISTINCT FROM', left, right: { type: 'boolean', value: false } };
+      }
+      if (acceptKeyword('DISTINCT')) {
+        expectKeyword('FROM');
+        return { type: 'binary', operator: negated ? 'IS NOT DISTINCT FROM' : 'IS DISTINCT FROM', left, right: parsePredicate() };
+      }
+      throw new Error(`Unsupported IS expression near ${describeToken(peek())}`);
+    }
+    
+    return left;
+  }
+  
+  function parsePredicate() {
+    const left = parseAdditive();
+    
+    const negated = isKeyword(peek(), 'NOT') &&
+      ['IN', 'BETWEEN', 'LIKE', 'ILIKE'].some(word => isKeyword(peek(1), word));
+    if (negated) pos++;
+    
+    if (acceptKeyword('IN')) {
+      expectPunct('(');
+      if (isKeyword(peek(), 'SELECT')) throw sqlError('SUBQUERY_NOT_ALLOWED', 'Subqueries are not supported');
+      const list = [];
+      do {
+        list.push(parseExpression());
+      } while (acceptPunct(','));
+      expectPunct(')');
+      return { type: 'in', expr: left, list, negated };
+    }
+    
+    if (acceptKeyword('BETWEEN')) {
+      const low = parseAdditive();
+      expectKeyword('AND');
+      const high = parseAdditive();
+      return { type: 'between', expr: left, low, high, negated };
+    }
+    
+    if (isKeyword(peek(), 'LIKE') || isKeyword(peek(), 'ILIKE')) {
+      const caseInsensitive = next().upper === 'ILIKE';
+      return { type: 'like', expr: left, pattern: parseAdditive(), negated, caseInsensitive };
+    }
+    
+    if (negated) throw new Error('Expected IN, BETWEEN or LIKE after NOT');
+    return left;
+  }
+  
+  function parseAdditive() {
+    let left = parseMultiplicative();
+    while (peek().type === 'operator' && ['+', '-', '||'].includes(peek().value)) {
+      const operator = next().value;
+      left = { type: 'binary', operator, left, right: parseMultiplicative() };
+    }
+    return left;
+  }
+  
+  function parseMultiplicative() {
+    let left = parseUnary();
+    while (peek().type === 'operator' && ['*', '/', '%'].includes(peek().value)) {
+      const operator = next().value;
+      left = { type: 'binary', operator, left, right: parseUnary() };
+    }
+    return left;
+  }
+  
+  function parseUnary() {
+    if (isOperator(peek(), '-') || isOperator(peek(), '+')) {
+      const operator = next().value;
+      const operand = parseUnary();
+      return operator === '-' ? { type: 'unary', operator: '-', operand } : operand;
+    }
+    return parseCast();
+  }
+  
+  function parseCast() {
+    let expr = parsePrimary();
+    while (isOperator(peek(), '::')) {
+      pos++;
+      expr = { type: 'cast', expr, targetType: parseTypeName() };
+    }
+    return expr;
+  }
+  
+  function parseTypeName() {
+    const token = next();
+    if (token.type !== 'identifier') throw new Error(`Expected type name near ${describeToken(token)}`);
+    let typeName = token.value;
+    if (typeName === 'double' && isKeyword(peek(), 'PRECISION')) {
+      pos++;
+      typeName = 'double precision';
+    }
+    // Ignore precision/scale, e.g. numeric(10,2)
+    if (acceptPunct('(')) {
+      while (!acceptPunct(')')) {
+        if (peek().type === 'eof') throw new Error('Unterminated type modifier');
+        pos++;
+      }
+    }
+    return typeName;
+  }
+  
+  function parsePrimary() {
+    const token = peek();
+    
+    if (token.type === 'number') {
+      pos++;
+      return { type: 'number', value: token.value, integer: token.integer };
+    }
+    
+    if (token.type === 'string') {
+      pos++;
+      return { type: 'string', value: token.value };
+    }
+    
+    if (isPunct(token, '(')) {
+      pos++;
+      if (isKeyword(peek(), 'SELECT')) throw sqlError('SUBQUERY_NOT_ALLOWED', 'Subqueries are not supported');
+      const expr = parseExpression();
+      expectPunct(')');
+      return expr;
+    }
+    
+    if (token.type !== 'identifier') {
+      throw new Error(`Unexpected ${describeToken(token)}`);
+    }
+    
+    if (!token.quoted) {
+      if (token.upper === 'NULL') {
+        pos++;
+        return { type: 'null' };
+      }
+      if (token.upper === 'TRUE' || token.upper === 'FALSE') {
+        pos++;
+        return { type: 'boolean', value: token.upper === 'TRUE' };
+      }
+      if (token.upper === 'CASE') {
+        pos++;
+        return parseCase();
+      }
+      if (token.upper === 'CAST' && isPunct(peek(1), '(')) {
+        pos += 2;
+        const expr = parseExpression();
+        expectKeyword('AS');
+        const targetType = parseTypeName();
+        expectPunct(')');
+        return { type: 'cast', expr, targetType };
+      }
+      if (token.upper === 'EXISTS') {
+        throw sqlError('SUBQUERY_NOT_ALLOWED', 'Subqueries are not supported');
+      }
+      // Typed literals: DATE '2025-10-01'
+      if ((token.upper === 'DATE' || token.upper === 'TIMESTAMP') && peek(1).type === 'string') {
+        pos++;
+        return { type: 'cast', expr: { type: 'string', value: next().value }, targetType: token.value };
+      }
+    }
+    
+    pos++;
+    
+    // Function call
+    if (isPunct(peek(), '(')) {
+      pos++;
+      const call = { type: 'function', name: token.value, args: [], distinct: false, star: false };
+      if (isOperator(peek(), '*')) {
+        pos++;
+        call.star = true;
+      } else if (!isPunct(peek(), ')')) {
+        if (isKeyword(peek(), 'SELECT')) throw sqlError('SUBQUERY_NOT_ALLOWED', 'Subqueries are not supported');
+        call.distinct = acceptKeyword('DISTINCT');
+        do {
+          call.args.push(parseExpression());
+        } while (acceptPunct(','));
+      }
+      expectPunct(')');
+      if (isKeyword(peek(), 'OVER') || isKeyword(peek(), 'FILTER')) {
+        throw sqlError('FUNCTION_NOT_ALLOWED', 'Window functions and FILTER clauses are not supported');
+      }
+      return call;
+    }
+    
+    // Qualified column reference: table.column
+    if (acceptPunct('.')) {
+      if (isOperator(peek(), '*')) {
+        pos++;
+        return { type: 'star', table: token.value };
+      }
+      const columnToken = next();
+      if (columnToken.type !== 'identifier') throw new Error(`Expected column name after "${token.value}."`);
+      return { type: 'column', table: token.value, name: columnToken.value };
+    }
+    
+    return { type: 'column', table: null, name: token.value };
+  }
+  
+  function parseCase() {
+    const node = { type: 'case', operand: null, whens: [], else: null };
+    if (!isKeyword(peek(), 'WHEN')) {
+      node.operand = parseExpression();
+    }
+    while (acceptKeyword('WHEN')) {
+      const when = parseExpression();
+      expectKeyword('THEN');
+      node.whens.push({ when, then: parseExpression() });
+    }
+    if (node.whens.length === 0) throw new Error('CASE requires at least one WHEN');
+    if (acceptKeyword('ELSE')) {
+      node.else = parseExpression();
+    }
+    expectKeyword('END');
+    return node;
+  }
+  
+  return parseStatement();
+}
+
+// Helper: Human readable token for parse errors
+function describeToken(token) {
+  if (!token || token.type === 'eof') return 'end of query';
+  if (token.type === 'string') return `'${token.value}'`;
+  return `"${token.value}"`;
+}
+
+// Helper: Does the expression contain an aggregate function?
+function containsAggregate(node) {
+  if (!node || typeof node !== 'object') return false;
+  if (node.type === 'function' && SQL_AGGREGATE_FUNCTIONS.includes(node.name)) return true;
+  return Object.values(node).some(value =>
+    Array.isArray(value) ? value.some(containsAggregate) : containsAggregate(value)
+  );
+}
+
+// Helper: Walk every node of an expression tree
+function walkExpression(node, visit) {
+  if (!node || typeof node !== 'object') return;
+  if (Array.isArray(node)) {
+    node.forEach(child => walkExpression(child, visit));
+    return;
+  }
+  if (node.type) visit(node);
+  Object.values(node).forEach(value => {
+    if (value && typeof value === 'object') walkExpression(value, visit);
+  });
+}
+
+// Helper: Default output column name (matches Postgres naming)
+function defaultColumnName(expr) {
+  if (expr.type === 'column') return expr.name;
+  if (expr.type === 'function') return expr.name;
+  if (expr.type === 'cast') return defaultColumnName(expr.expr);
+  return '?column?';
+}
+
+// Helper: Three-valued SQL comparison
+function compareSQLValues(a, b) {
+  if (a === null || a === undefined || b === null || b === undefined) return null;
+  if (typeof a === 'number' || typeof b === 'number') {
+    const numA = Number(a);
+    const numB = Number(b);
+    if (!Number.isNaN(numA) && !Number.isNaN(numB)) {
+      return numA === numB ? 0 : (numA < numB ? -1 : 1);
+    }
+  }
+  if (typeof a === 'boolean' || typeof b === 'boolean') {
+    return a === b ? 0 : (a ? 1 : -1);
+  }
+  const strA = String(a);
+  const strB = String(b);
+  return strA === strB ? 0 : (strA < strB ? -1 : 1);
+}
+
+function toSQLNumber(value) {
+  if (value === null || value === undefined) return null;
+  const number = Number(value);
+  if (Number.isNaN(number)) throw new Error(`invalid input syntax for type numeric: "${value}"`);
+  return number;
+}
+
+function castSQLValue(value, targetType) {
+  if (value === null || value === undefined) return null;
+  
+  switch (targetType) {
+    case 'numeric':
+    case 'decimal':
+    case 'float':
+    case 'float4':
+    case 'float8':
+    case 'real':
+    case 'double precision':
+      return toSQLNumber(value);
+    case 'int':
+    case 'integer':
+    case 'int4':
+    case 'int8':
+    case 'bigint':
+    case 'smallint': {
+      const number = toSQLNumber(value);
+      return Math.sign(number) * Math.round(Math.abs(number));
+    }
+    case 'text':
+    case 'varchar':
+    case 'char':
+    case 'character':
+      return String(value);
+    case 'date':
+    case 'timestamp':
+      return String(value).substring(0, 10);
+    case 'boolean':
+    case 'bool':
+      return value === true || value === 't' || value === 'true';
+    default:
+      throw new Error(`Unsupported cast type: ${targetType}`);
+  }
+}
+
+// Evaluate an expression against a row (or a group of rows for aggregates)
+function evaluateExpression(node, context) {
+  switch (node.type) {
+    case 'number':
+    case 'string':
+    case 'boolean':
+      return node.value;
+    
+    case 'null':
+      return null;
+    
+    case 'column': {
+      if (context.outputValues && node.table === null && Object.prototype.hasOwnProperty.call(context.outputValues, node.name) &&
+          !(context.row && Object.prototype.hasOwnProperty.call(context.row, node.name))) {
+        return context.outputValues[node.name];
+      }
+      if (!context.row || !Object.prototype.hasOwnProperty.call(context.row, node.name)) {
+        throw new Error(`column "${node.name}" does not exist`);
+      }
+      return context.row[node.name];
+    }
+    
+    case 'unary': {
+      const value = evaluateExpression(node.operand, context);
+      if (node.operator === 'NOT') {
+        return value === null || value === undefined ? null : !value;
+      }
+      return value === null || value === undefined ? null : -toSQLNumber(value);
+    }
+    
+    case 'binary':
+      return evaluateBinary(node, context);
+    
+    case 'cast':
+      return castSQLValue(evaluateExpression(node.expr, context), node.targetType);
+    
+    case 'is_null': {
+      const value = evaluateExpression(node.expr, context);
+      const isNull = value === null || value === undefined;
+      return node.negated ? !isNull : isNull;
+    }
+    
+    case 'in': {
+      const value = evaluateExpression(node.expr, context);
+      if (value === null || value === undefined) return null;
+      let sawNull = false;
+      for (const item of node.list) {
+        const comparison = compareSQLValues(value, evaluateExpression(item, context));
+        if (comparison === 0) return !node.negated;
+        if (comparison === null) sawNull = true;
+      }
+      return sawNull ? null : node.negated;
+    }
+    
+    case 'between': {
+      const value = evaluateExpression(node.expr, context);
+      const low = compareSQLValues(value, evaluateExpression(node.low, context));
+      const high = compareSQLValues(value, evaluateExpression(node.high, context));
+      if (low === null || high === null) return null;
+      const inside = low >= 0 && high <= 0;
+      return node.negated ? !inside : inside;
+    }
+    
+    case 'like': {
+      const value = evaluateExpression(node.expr, context);
+      const pattern = evaluateExpression(node.pattern, context);
+      if (value === null || value === undefined || pattern === null || pattern === undefined) return null;
+      const regex = new RegExp('^' + String(pattern)
+        .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+        .replace(/%/g, '.*')
+        .replace(/_/g, '.') + '$', node.caseInsensitive ? 'is' : 's');
+      const matches = regex.test(String(value));
+      return node.negated ? !matches : matches;
+    }
+    
+    case 'case': {
+      const operand = node.operand ? evaluateExpression(node.operand, context) : undefined;
+      for (const branch of node.whens) {
+        const when = evaluateExpression(branch.when, context);
+        const matched = node.operand ? compareSQLValues(operand, when) === 0 : when === true;
+        if (matched) return evaluateExpression(branch.then, context);
+      }
+      return node.else ? evaluateExpression(node.else, context) : null;
+    }
+    
+    case 'function':
+      return evaluateFunction(node, context);
+    
+    case 'star':
+      throw new Error('"*" is only allowed in the select list or COUNT(*)');
+    
+    default:
+      throw new Error(`Unsupported expression: ${node.type}`);
+  }
+}
+
+// Integer types a cast can produce
+const SQL_INTEGER_TYPES = ['int', 'integer', 'int4', 'int8', 'bigint', 'smallint'];
+const integerExpressionCache = new WeakMap();
+
+// Helper: Is an expression integer-typed in Postgres? Integer / integer truncates there, which
+// is why the prompt casts to ::numeric; column references that aren't measures count as non-integer.
+function isIntegerExpression(node) {
+  if (integerExpressionCache.has(node)) return integerExpressionCache.get(node);
+  
+  let integer = false;
+  switch (node.type) {
+    case 'number':
+      integer = !!node.integer;
+      break;
+    case 'column':
+      integer = MEASURE_COLUMNS.includes(node.name) && MEASURES[node.name].type === 'bigint';
+      break;
+    case 'cast':
+      integer = SQL_INTEGER_TYPES.includes(node.targetType);
+      break;
+    case 'unary':
+      integer = node.operator === '-' && isIntegerExpression(node.operand);
+      break;
+    case 'binary':
+      integer = ['+', '-', '*', '/', '%'].includes(node.operator) &&
+        isIntegerExpression(node.left) && isIntegerExpression(node.right);
+      break;
+    case 'case':
+      integer = node.whens.every(branch => isIntegerExpression(branch.then)) && (!node.else || isIntegerExpression(node.else));
+      break;
+    case 'function':
+      if (node.name === 'count') integer = true;
+      else if (['sum', 'min', 'max', 'abs', 'nullif'].includes(node.name)) integer = !node.star && node.args.length > 0 && isIntegerExpression(node.args[0]);
+      else if (['coalesce', 'greatest', 'least'].includes(node.name)) integer = node.args.length > 0 && node.args.every(isIntegerExpression);
+      break;
+  }
+  
+  integerExpressionCache.set(node, integer);
+  return integer;
+}
+
+function evaluateBinary(node, context) {
+  const { operator } = node;
+  
+  if (operator === 'AND') {
+    const left = evaluateExpression(node.left, context);
+    if (left === false) return false;
+    const right = evaluateExpression(node.right, context);
+    if (right === false) return false;
+    if (left === null || left === undefined || right === null || right === undefined) return null;
+    return true;
+  }
+  
+  if (operator === 'OR') {
+    const left = evaluateExpression(node.left, context);
+    if (left === true) return true;
+    const right = evaluateExpression(node.right, context);
+    if (right === true) return true;
+    if (left === null || left === undefined || right === null || right === undefined) return null;
+    return false;
+  }
+  
+  const left = evaluateExpression(node.left, context);
+  const right = evaluateExpression(node.right, context);
+  
+  if (operator === 'IS DISTINCT FROM' || operator === 'IS NOT DISTINCT FROM') {
+    const leftNull = left === null || left === undefined;
+    const rightNull = right === null || right === undefined;
+    const same = leftNull || rightNull ? leftNull && rightNull : compareSQLValues(left, right) === 0;
+    return operator === 'IS NOT DISTINCT FROM' ? same : !same;
+  }
+  
+  if (left === null || left === undefined || right === null || right === undefined) return null;
+  
+  switch (operator) {
+    case '=': return compareSQLValues(left, right) === 0;
+    case '<>': return compareSQLValues(left, right) !== 0;
+    case '<': return compareSQLValues(left, right) < 0;
+    case '<=': return compareSQLValues(left, right) <= 0;
+    case '>': return compareSQLValues(left, right) > 0;
+    case '>=': return compareSQLValues(left, right) >= 0;
+    case '||': return String(left) + String(right);
+    case '+': return toSQLNumber(left) + toSQLNumber(right);
+    case '-': return toSQLNumber(left) - toSQLNumber(right);
+    case '*': return toSQLNumber(left) * toSQLNumber(right);
+    case '/': {
+      const divisor = toSQLNumber(right);
+      if (divisor === 0) throw new Error('division by zero');
+      // Integer division truncates toward zero, as in Postgres
+      const quotient = toSQLNumber(left) / divisor;
+      return isIntegerExpression(node.left) && isIntegerExpression(node.right) ? Math.trunc(quotient) : quotient;
+    }
+    case '%': {
+      const divisor = toSQLNumber(right);
+      if (divisor === 0) throw new Error('division by zero');
+      return toSQLNumber(left) % divisor;
+    }
+    default:
+      throw new Error(`Unsupported operator: ${operator}`);
+  }
+}
+
+function evaluateFunction(node, context) {
+  const name = node.name;
+  
+  // Aggregates run over the rows of the current group
+  if (SQL_AGGREGATE_FUNCTIONS.includes(name)) {
+    if (!context.groupRows) {
+      throw new Error(`aggregate function ${name}() is not allowed here`);
+    }
+    
+    if (node.star) {
+      if (name !== 'count') throw new Error(`${name}(*) is not supported`);
+      return context.groupRows.length;
+    }
+    if (node.args.length !== 1) throw new Error(`${name}() takes exactly one argument`);
+    
+    let values = context.groupRows
+      .map(row => evaluateExpression(node.args[0], { row }))
+      .filter(value => value !== null && value !== undefined);
+    
+    if (node.distinct) {
+      const seen = new Set();
+      values = values.filter(value => {
+        const key = typeof value === 'number' ? `n:${value}` : `s:${value}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+    }
+    
+    if (name === 'count') return values.length;
+    if (values.length === 0) return null;
+    
+    switch (name) {
+      case 'sum':
+        return values.reduce((total, value) => total + toSQLNumber(value), 0);
+      case 'avg':
+        return values.reduce((total, value) => total + toSQLNumber(value), 0) / values.length;
+      case 'min':
+        return values.reduce((min, value) => (compareSQLValues(value, min) < 0 ? value : min));
+      case 'max':
+        return values.reduce((max, value) => (compareSQLValues(value, max) > 0 ? value : max));
+    }
+  }
+  
+  if (node.star || node.distinct) {
+    throw new Error(`Invalid use of ${node.star ? '*' : 'DISTINCT'} in ${name}()`);
+  }
+  
+  const args = node.args.map(arg => evaluateExpression(arg, context));
+  const isNull = value => value === null || value === undefined;
+  
+  switch (name) {
+    case 'nullif':
+      if (args.length !== 2) throw new Error('NULLIF() takes exactly two arguments');
+      return compareSQLValues(args[0], args[1]) === 0 ? null : args[0];
+    case 'coalesce': {
+      const found = args.find(value => !isNull(value));
+      return found === undefined ? null : found;
+    }
+    case 'round': {
+      if (isNull(args[0])) return null;
+      const places = args.length > 1 ? toSQLNumber(args[1]) : 0;
+      const factor = Math.pow(10, places);
+      const number = toSQLNumber(args[0]);
+      return Math.sign(number) * Math.round(Math.abs(number) * factor) / factor;
+    }
+    case 'trunc': {
+      if (isNull(args[0])) return null;
+      const places = args.length > 1 ? toSQLNumber(args[1]) : 0;
+      const factor = Math.pow(10, places);
+      return Math.trunc(toSQLNumber(args[0]) * factor) / factor;
+    }
+    case 'abs':
+      return isNull(args[0]) ? null : Math.abs(toSQLNumber(args[0]));
+    case 'ceil':
+    case 'ceiling':
+      return isNull(args[0]) ? null : Math.ceil(toSQLNumber(args[0]));
+    case 'floor':
+      return isNull(args[0]) ? null : Math.floor(toSQLNumber(args[0]));
+    case 'greatest':
+    case 'least': {
+      const values = args.filter(value => !isNull(value));
+      if (values.length === 0) return null;
+      return values.reduce((best, value) => {
+        const comparison = compareSQLValues(value, best);
+        return (name === 'greatest' ? comparison > 0 : comparison < 0) ? value : best;
+      });
+    }
+    case 'upper':
+      return isNull(args[0]) ? null : String(args[0]).toUpperCase();
+    case 'lower':
+      return isNull(args[0]) ? null : String(args[0]).toLowerCase();
+    case 'concat':
+      return args.filter(value => !isNull(value)).map(String).join('');
+    case 'date_trunc': {
+      if (isNull(args[1])) return null;
+      const unit = String(args[0]).toLowerCase();
+      const date = String(args[1]).substring(0, 10);
+      if (unit === 'month') return `${date.substring(0, 7)}-01`;
+      if (unit === 'year') return `${date.substring(0, 4)}-01-01`;
+      if (unit === 'quarter') {
+        const month = parseInt(date.substring(5, 7), 10);
+        return `${date.substring(0, 4)}-${String(Math.floor((month - 1) / 3) * 3 + 1).padStart(2, '0')}-01`;
+      }
+      throw new Error(`Unsupported date_trunc unit: ${unit}`);
+    }
+    default:
+      throw new Error(`function ${name}() is not supported`);
+  }
+}
+
+// Helper: Coerce Supabase values (numeric columns can arrive as strings)
+function normalizeSQLRows(rows) {
+  return rows.map(row => {
+    const normalized = { ...row };
+    SQL_NUMERIC_COLUMNS.forEach(column => {
+      if (normalized[column] !== null && normalized[column] !== undefined) {
+        normalized[column] = Number(normalized[column]);
+      }
+    });
+    if (normalized.report_month) {
+      normalized.report_month = String(normalized.report_month).substring(0, 10);
+    }
+    return normalized;
+  });
+}
+
+// Evaluate a parsed SELECT over in-memory rows.
+// Returns the result rows plus the source rows behind each result row.
+function evaluateSelect(statement, sourceRows) {
+  const rows = normalizeSQLRows(sourceRows);
+  
+  // Resolve output column names
+  const outputColumns = statement.columns.map(column => ({
+    ...column,
+    name: column.alias || (column.expr.type === 'star' ? '*' : defaultColumnName(column.expr))
+  }));
+  
+  // WHERE
+  const filteredRows = statement.where
+    ? rows.filter(row => evaluateExpression(statement.where, { row }) === true)
+    : rows;
+  
+  // GROUP BY items may be ordinals or select-list aliases
+  const resolveOutputReference = expr => {
+    if (expr.type === 'number' && Number.isInteger(expr.value)) {
+      const column = outputColumns[expr.value - 1];
+      if (!column || column.expr.type === 'star') throw new Error(`position ${expr.value} is not in select list`);
+      return column.expr;
+    }
+    if (expr.type === 'column' && expr.table === null && !rows.some(row => Object.prototype.hasOwnProperty.call(row, expr.name))) {
+      const column = outputColumns.find(col => col.alias === expr.name);
+      if (column) return column.expr;
+    }
+    return expr;
+  };
+  
+  const groupByExprs = statement.groupBy.map(resolveOutputReference);
+  const isAggregate = groupByExprs.length > 0 || !!statement.having ||
+    statement.columns.some(column => containsAggregate(column.expr));
+  
+  // Build groups (or one pseudo-group per row)
+  let groups;
+  if (isAggregate) {
+    if (groupByExprs.length === 0) {
+      groups = [filteredRows];
+    } else {
+      const groupMap = new Map();
+      filteredRows.forEach(row => {
+        const key = JSON.stringify(groupByExprs.map(expr => evaluateExpression(expr, { row })));
+        if (!groupMap.has(key)) groupMap.set(key, []);
+        groupMap.get(key).push(row);
+      });
+      groups = [...groupMap.values()];
+    }
+  } else {
+    groups = filteredRows.map(row => [row]);
+  }
+  
+  // Project each group into an output row
+  let results = groups.map(groupRows => {
+    const context = { row: groupRows[0] || {}, groupRows: isAggregate ? groupRows : null };
+    const values = {};
+    
+    outputColumns.forEach(column => {
+      if (column.expr.type === 'star') {
+        if (isAggregate) throw new Error('SELECT * cannot be combined with GROUP BY or aggregates');
+        Object.assign(values, context.row);
+      } else {
+        const value = evaluateExpression(column.expr, context);
+        // Trim floating point noise (Postgres numeric is exact)
+        values[column.name] = typeof value === 'number' && !Number.isInteger(value)
+          ? parseFloat(value.toPrecision(12))
+          : value;
+      }
+    });
+    
+    return { values, groupRows, context: { ...context, outputValues: values } };
+  });
+  
+  // HAVING
+  if (statement.having) {
+    results = results.filter(result => evaluateExpression(statement.having, result.context) === true);
+  }
+  
+  // DISTINCT
+  if (statement.distinct) {
+    const seen = new Set();
+    results = results.filter(result => {
+      const key = JSON.stringify(result.values);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+  
+  // ORDER BY (aliases and ordinals refer to output columns)
+  if (statement.orderBy.length > 0) {
+    const sortKeys = results.map(result => statement.orderBy.map(item => {
+      const expr = item.expr;
+      if (expr.type === 'number' && Number.isInteger(expr.value)) {
+        const column = outputColumns[expr.value - 1];
+        if (!column) throw new Error(`ORDER BY position ${expr.value} is not in select list`);
+        return result.values[column.name];
+      }
+      if (expr.type === 'column' && expr.table === null && outputColumns.some(column => column.alias === expr.name)) {
+        return result.values[expr.name];
+      }
+      return evaluateExpression(expr, result.context);
+    }));
+    
+    const order = results.map((result, index) => index);
+    order.sort((a, b) => {
+      for (let i = 0; i < statement.orderBy.length; i++) {
+        const { direction, nulls } = statement.orderBy[i];
+        const valueA = sortKeys[a][i];
+        const valueB = sortKeys[b][i];
+        const nullA = valueA === null || valueA === undefined;
+        const nullB = valueB === null || valueB === undefined;
+        
+        if (nullA || nullB) {
+          if (nullA && nullB) continue;
+          // Postgres default: NULLS LAST for ASC, NULLS FIRST for DESC
+          const nullsFirst = nulls ? nulls === 'FIRST' : direction === 'DESC';
+          return (nullA ? -1 : 1) * (nullsFirst ? 1 : -1);
+        }
+        
+        const comparison = compareSQLValues(valueA, valueB);
+        if (comparison !== 0) return direction === 'DESC' ? -comparison : comparison;
+      }
+      return a - b;
+    });
+    results = order.map(index => results[index]);
+  }
+  
+  // OFFSET / LIMIT
+  if (statement.offset) {
+    results = results.slice(statement.offset);
+  }
+  if (statement.limit !== null) {
+    results = results.slice(0, statement.limit);
+  }
+  
+  const columns = outputColumns.some(column => column.expr.type === 'star')
+    ? Object.keys(results.length > 0 ? results[0].values : (rows[0] || {}))
+    : outputColumns.map(column => column.name);
+  
+  return {
+    isAggregate,
+    columns,
+    rows: results.map(result => result.values),
+    groups: results.map(result => result.groupRows)
+  };
+}
+
+// Helper: Column names in the GROUP BY (resolving ordinals and aliases)
+function getGroupByColumns(statement) {
+  return statement.groupBy.map(expr => {
+    let resolved = expr;
+    if (expr.type === 'number' && Number.isInteger(expr.value)) {
+      const column = statement.columns[expr.value - 1];
+      resolved = column ? column.expr : expr;
+    } else if (expr.type === 'column') {
+      const aliased = statement.columns.find(column => column.alias === expr.name && column.expr.type === 'column');
+      if (aliased) resolved = aliased.expr;
+    }
+    return resolved.type === 'column' ? resolved.name : null;
+  });
+}
+
+// SQL Validation Layer
+// Parses the query and checks it against the allowlists below.
+// Returns { valid: true, statement } or { valid: false, code, error }.
+const SQL_ALLOWED_TABLES = ['video_ad_performance'];
+const SQL_TABLE_COLUMNS = ['report_month', ...DIMENSION_COLUMNS, ...SQL_NUMERIC_COLUMNS];
+const SQL_SCALAR_FUNCTIONS = [
+  'nullif', 'coalesce', 'round', 'trunc', 'abs', 'ceil', 'ceiling', 'floor',
+  'greatest', 'least', 'upper', 'lower', 'concat', 'date_trunc'
+];
+const SQL_ALLOWED_FUNCTIONS = [...SQL_AGGREGATE_FUNCTIONS, ...SQL_SCALAR_FUNCTIONS];
+const SQL_MAX_LIMIT = parseInt(process.env.SQL_MAX_LIMIT || '100', 10);
+
+// Validate a generated query (see checkSQL), counting rejections by code
+function validateSQL(sql) {
+  const validation = checkSQL(sql);
+  if (!validation.valid) sqlValidationFailuresTotal.inc({ code: validation.code });
+  return validation;
+}
+
+// The checks themselves, without the metric
+function checkSQL(sql) {
+  let statement;
+  try {
+    statement = parseSQL(sql);
+  } catch (error) {
+    return { valid: false, code: error.code || 'PARSE_ERROR', error: error.message };
+  }
+  
+  const fail = (code, error) => ({ valid: false, code, error });
+  
+  // Only approved tables
+  const { from } = statement;
+  if (!SQL_ALLOWED_TABLES.includes(from.table) || (from.schema && from.schema !== 'public')) {
+    return fail('TABLE_NOT_ALLOWED', `Table not allowed: ${from.schema ? from.schema + '.' : ''}${from.table}`);
+  }
+  const tableNames = [from.table, from.alias].filter(Boolean);
+  
+  // Select-list aliases can be referenced from GROUP BY, HAVING and ORDER BY
+  const aliases = statement.columns.map(column => column.alias).filter(Boolean);
+  
+  const checkExpression = (node, allowAliases) => {
+    let failure = null;
+    
+    walkExpression(node, child => {
+      if (failure) return;
+      
+      if ((child.type === 'column' || child.type === 'star') && child.table && !tableNames.includes(child.table)) {
+        failure = fail('TABLE_NOT_ALLOWED', `Unknown table reference: ${child.table}`);
+      } else if (child.type === 'column' && child.name === 'account_id') {
+        // The account comes from the caller's credentials, never from the query
+        failure = fail('ACCOUNT_NOT_ALLOWED', 'account_id cannot be used in queries: results are limited to your account');
+      } else if (child.type === 'column' && !SQL_TABLE_COLUMNS.includes(child.name) &&
+          !(allowAliases && !child.table && aliases.includes(child.name))) {
+        failure = fail('COLUMN_NOT_ALLOWED', `Column not allowed: ${child.name}`);
+      } else if (child.type === 'function' && !SQL_ALLOWED_FUNCTIONS.includes(child.name)) {
+        failure = fail('FUNCTION_NOT_ALLOWED', `Function not allowed: ${child.name}()`);
+      } else if (child.type === 'function' && SQL_AGGREGATE_FUNCTIONS.includes(child.name) &&
+          child.args.some(containsAggregate)) {
+        failure = fail('PARSE_ERROR', `Aggregate functions cannot be nested: ${child.name}()`);
+      }
+    });
+    
+    return failure;
+  };
+  
+  const checks = [
+    ...statement.columns.map(column => checkExpression(column.expr, false)),
+    checkExpression(statement.where, false),
+    ...statement.groupBy.map(expr => checkExpression(expr, true)),
+    checkExpression(statement.having, true),
+    ...statement.orderBy.map(item => checkExpression(item.expr, true))
+  ];
+  const failure = checks.find(Boolean);
+  if (failure) return failure;
+  
+  if (statement.where && containsAggregate(statement.where)) {
+    return fail('PARSE_ERROR', 'Aggregate functions are not allowed in WHERE');
+  }
+  
+  // Every query must be bounded by report_month
+  if (!hasDatePredicate(statement.where)) {
+    return fail('MISSING_DATE_FILTER', 'WHERE clause must filter report_month');
+  }
+  
+  // Row-level queries must be limited; no query may exceed the maximum
+  const isAggregate = statement.groupBy.length > 0 || !!statement.having ||
+    statement.columns.some(column => containsAggregate(column.expr));
+  if (statement.limit !== null && statement.limit > SQL_MAX_LIMIT) {
+    return fail('LIMIT_TOO_LARGE', `LIMIT ${statement.limit} exceeds the maximum of ${SQL_MAX_LIMIT}`);
+  }
+  if (!isAggregate && statement.limit === null) {
+    return fail('LIMIT_REQUIRED', `Row-level queries need a LIMIT (maximum ${SQL_MAX_LIMIT})`);
+  }
+
+  // As in Postgres, aggregate queries may only use grouped columns outside aggregates
+  if (isAggregate) {
+    const ungrouped = findUngroupedColumn(statement);
+    if (ungrouped) {
+      return fail('UNGROUPED_COLUMN', `Column "${ungrouped}" must appear in the GROUP BY clause or be used in an aggregate function`);
+    }
+  }
+
+  return { valid: true, statement };
+}
+
+// Helper: Comparable key of an expression (table qualifiers ignored, single table only)
+function expressionKey(node) {
+  return JSON.stringify(node, (key, value) =>
+    (value && value.type === 'column' ? { type: 'column', name: value.name } : value));
+}
+
+// Helper: First column of an aggregate query used outside an aggregate without
+// being grouped by (in the select list, HAVING or ORDER BY), or null
+function findUngroupedColumn(statement) {
+  const aliases = statement.columns.map(column => column.alias).filter(Boolean);
+  const groupKeys = new Set(statement.groupBy.map(expr => {
+    if (expr.type === 'number' && Number.isInteger(expr.value) && statement.columns[expr.value - 1]) {
+      return expressionKey(statement.columns[expr.value - 1].expr);
+    }
+    if (expr.type === 'column' && !expr.table && !SQL_TABLE_COLUMNS.includes(expr.name)) {
+      const aliased = statement.columns.find(column => column.alias === expr.name);
+      if (aliased) return expressionKey(aliased.expr);
+    }
+    return expressionKey(expr);
+  }));
+
+  // outputNames: names that refer to select-list columns rather than table columns
+  const find = (node, outputNames) => {
+    if (!node || typeof node !== 'object') return null;
+    if (Array.isArray(node)) {
+      for (const child of node) {
+        const found = find(child, outputNames);
+        if (found) return found;
+      }
+      return null;
+    }
+    if (node.type && groupKeys.has(expressionKey(node))) return null;
+    if (node.type === 'function' && SQL_AGGREGATE_FUNCTIONS.includes(node.name)) return null;
+    if (node.type === 'column') return node.table || !outputNames.includes(node.name) ? node.name : null;
+    for (const value of Object.values(node)) {
+      const found = value && typeof value === 'object' ? find(value, outputNames) : null;
+      if (found) return found;
+    }
+    return null;
+  };
+
+  const outputOnlyAliases = aliases.filter(alias => !SQL_TABLE_COLUMNS.includes(alias));
+  return find(statement.columns.map(column => column.expr), []) ||
+    find(statement.having, outputOnlyAliases) ||
+    // ORDER BY names refer to output columns first; ordinals are output columns too
+    find(statement.orderBy.map(item => item.expr), aliases);
+}
+
+// Helper: Is the WHERE clause guaranteed to restrict report_month?
+// Predicates under OR must appear on both sides; NOT never counts.
+function hasDatePredicate(node) {
+  if (!node) return false;
+  
+  const isDateColumn = expr => {
+    if (expr.type === 'cast') return isDateColumn(expr.expr);
+    return expr.type === 'column' && expr.name === 'report_month';
+  };
+  
+  if (node.type === 'binary' && node.operator === 'AND') {
+    return hasDatePredicate(node.left) || hasDatePredicate(node.right);
+  }
+  if (node.type === 'binary' && node.operator === 'OR') {
+    return hasDatePredicate(node.left) && hasDatePredicate(node.right);
+  }
+  if (node.type === 'binary' && ['=', '<', '<=', '>', '>='].includes(node.operator)) {
+    return isDateColumn(node.left) || isDateColumn(node.right);
+  }
+  if ((node.type === 'between' || node.type === 'in') && !node.negated) {
+    return isDateColumn(node.expr);
+  }
+  
+  return false;
+}
+
+// Helper: The report_month span the WHERE clause can match, as { start, end } months
+// (null on an unbounded side). Predicates under OR are combined, under AND intersected;
+// anything else on report_month (functions, NOT) leaves the span unbounded.
+function statementDateRange(node) {
+  const unbounded = { start: null, end: null };
+  if (!node) return unbounded;
+  
+  const isDateColumn = expr => (expr.type === 'cast' ? isDateColumn(expr.expr) : expr.type === 'column' && expr.name === 'report_month');
+  // '2025-10-01', DATE '2025-10-15' → '2025-10-01' (rows hold the first day of the month)
+  const literalMonth = expr => {
+    if (expr.type === 'cast') return literalMonth(expr.expr);
+    return expr.type === 'string' && /^\d{4}-\d{2}/.test(expr.value) ? `${expr.value.substring(0, 7)}-01` : null;
+  };
+  const pick = (a, b, fn) => (a && b ? fn(a, b) : null);
+  const earlier = (a, b) => (a < b ? a : b);
+  const later = (a, b) => (a > b ? a : b);
+  
+  if (node.type === 'binary' && node.operator === 'AND') {
+    const left = statementDateRange(node.left);
+    const right = statementDateRange(node.right);
+    return {
+      start: left.start && right.start ? later(left.start, right.start) : left.start || right.start,
+      end: left.end && right.end ? earlier(left.end, right.end) : left.end || right.end
+    };
+  }
+  if (node.type === 'binary' && node.operator === 'OR') {
+    const left = statementDateRange(node.left);
+    const right = statementDateRange(node.right);
+    return { start: pick(left.start, right.start, earlier), end: pick(left.end, right.end, later) };
+  }
+  if (node.type === 'binary' && ['=', '<', '<=', '>', '>='].includes(node.operator)) {
+    // Put the column on the left: '2025-10-01' <= report_month is report_month >= '2025-10-01'
+    const flipped = { '<': '>', '<=': '>=', '>': '<', '>=': '<=', '=': '=' };
+    const [operator, month] = isDateColumn(node.left)
+      ? [node.operator, literalMonth(node.right)]
+      : isDateColumn(node.right) ? [flipped[node.operator], literalMonth(node.left)] : [null, null];
+    if (!month) return unbounded;
+    if (operator === '=') return { start: month, end: month };
+    return operator.startsWith('>') ? { start: month, end: null } : { start: null, end: month };
+  }
+  if (node.type === 'between' && !node.negated && isDateColumn(node.expr)) {
+    return { start: literalMonth(node.low), end: literalMonth(node.high) };
+  }
+  if (node.type === 'in' && !node.negated && isDateColumn(node.expr)) {
+    const months = node.list.map(literalMonth);
+    if (months.length === 0 || months.includes(null)) return unbounded;
+    return { start: months.reduce(earlier), end: months.reduce(later) };
+  }
+  
+  return unbounded;
+}
+
+// Helper: The smallest range covering both (null sides stay unbounded)
+function coverDateRanges(a, b) {
+  return {
+    start: a.start && b.start ? (a.start < b.start ? a.start : b.start) : null,
+    end: a.end && b.end ? (a.end > b.end ? a.end : b.end) : null
+  };
+}
+
+// Helper: Fetch the account's rows for a date range from Supabase (or the fixture file).
+// Either side of the range can be null (unbounded).
+async function fetchPerformanceRows(range, accountId = null) {
+  if (DATA_SOURCE === 'fixture') {
+    const rows = scopeRowsToAccount(loadFixtureRows(), accountId);
+    return range ? rows.filter(row => isInDateRange(row, range)) : rows;
+  }
+  
+  // Callers copy the rows before changing them, so cached rows can be shared
+  const key = cacheKey('rows', [accountId, range ? range.start : null, range ? range.end : null]);
+  const cached = rowsCache.get(key);
+  if (cached) return cached;
+  
+  let query = scopeQueryToAccount(supabase
+    .from('video_ad_performance')
+    .select('*'), accountId);
+  
+  if (range && range.start && range.start === range.end) {
+    query = query.eq('report_month', range.start);
+  } else if (range) {
+    if (range.start) query = query.gte('report_month', range.start);
+    if (range.end) query = query.lte('report_month', range.end);
+  }
+  
+  const { data, error } = await query;
+  if (error) throw error;
+  
+  rowsCache.set(key, data);
+  return data;
+}
+
+// Helper: AND the account into the WHERE clause, so the query itself can't match another account's rows
+function scopeStatementToAccount(statement, accountId) {
+  if (!MULTI_TENANT) return statement;
+  
+  const predicate = {
+    type: 'binary',
+    operator: '=',
+    left: { type: 'column', table: null, name: 'account_id' },
+    right: { type: 'string', value: requireAccountId(accountId) }
+  };
+  return { ...statement, where: statement.where ? { type: 'binary', operator: 'AND', left: statement.where, right: predicate } : predicate };
+}
+
+// Helper: Is the row inside the date range? (a null start or end is unbounded)
+function isInDateRange(row, range) {
+  const month = String(row.report_month).substring(0, 10);
+  return (!range.start || month >= range.start) && (!range.end || month <= range.end);
+}
+
+// Execute SQL over the account's rows and aggregate data
+async function executeAndAggregate(sql, userQuestion, goal, queryType, timeFrame, accountId = null, customMetrics = null) {
+  const definitions = customMetrics || await loadCustomMetrics(accountId);
+  const result = await runQueryAndAggregate(sql, userQuestion, goal, queryType, timeFrame, accountId, definitions);
+  
+  // Tell the frontend and exports how to label and format the account's metrics
+  if (definitions.length > 0) {
+    result.customMetrics = definitions.map(describeCustomMetric);
+    if (result.visualization && !['table', 'anomalies', 'funnel'].includes(result.visualization.type)) {
+      result.visualization.customMetrics = result.customMetrics;
+    }
+  }
+  return result;
+}
+
+async function runQueryAndAggregate(sql, userQuestion, goal, queryType, timeFrame, accountId, customMetrics) {
+  const range = timeFrame ? timeFrame.range : null;
+  const comparison = timeFrame ? timeFrame.comparison : null;
+  
+  try {
+    const statement = parseSQL(sql);
+    
+    // Fetch every month the SQL can match, plus the question's period(s) the comparison is split by,
+    // so the numbers are what the displayed SQL computes even when its dates differ from the question's
+    const fetchRange = range ? coverDateRanges(range, statementDateRange(statement.where)) : null;
+    let data;
+    try {
+      data = await fetchPerformanceRows(fetchRange, accountId);
+    } catch (error) {
+      throw sqlError('DATA_SOURCE_ERROR', error.message || String(error));
+    }
+    
+    // Run the full query (WHERE, GROUP BY, HAVING, ORDER BY, LIMIT) over the fetched rows
+    const scopedStatement = scopeStatementToAccount(statement, accountId);
+    const resultSet = evaluateSelect(scopedStatement, data);
+    const sqlResult = { columns: resultSet.columns, rows: resultSet.rows };
+    logEvent('debug', 'sql.executed', { rows: resultSet.rows.length, fetched: data.length });
+    
+    // Detect visualization type
+    const visualization = detectVisualization(statement);
+    
+    // Row-level query: return the rows as the SQL produced them
+    if (visualization.type === 'table') {
+      return {
+        visualization: {
+          type: 'table',
+          columns: resultSet.columns,
+          goal: goal,
+          queryType: queryType,
+          data: resultSet.rows
+        },
+        rawData: resultSet.rows,
+        resultSet: sqlResult
+      };
+    }
+    
+    // Weak spots: score every slice of the rows the query selects
+    if (queryType === 'ANOMALIES') {
+      const scopedRows = resultSet.groups.flat()
+        .filter(row => !comparison || isInDateRange(row, comparison.current));
+      const anomalies = detectAnomalies(scopedRows);
+      
+      return {
+        visualization: {
+          type: 'anomalies',
+          goal: goal,
+          queryType: queryType,
+          ...anomalies
+        },
+        rawData: anomalies,
+        resultSet: sqlResult
+      };
+    }
+    
+    // Period-over-period: run the query on each period separately and compute deltas
+    if (comparison) {
+      const aggregatePeriod = periodRange => {
+        const periodResult = evaluateSelect(scopedStatement, data.filter(row => isInDateRange(row, periodRange)));
+        if (visualization.dimensions.length > 0) {
+          return mergeResultMetrics(periodResult, visualization.dimensions, customMetrics);
+        }
+        const platformMatch = sql.match(/platform\s*=\s*'([^']+)'/i);
+        return { [platformMatch ? platformMatch[1] : 'Total']: mergeResultMetrics(periodResult, [], customMetrics) };
+      };
+      
+      const deltas = comparePeriods(aggregatePeriod(comparison.current), aggregatePeriod(comparison.previous),
+        customMetrics.map(definition => definition.name));
+      
+      return {
+        visualization: {
+          type: 'period_comparison',
+          dimension: visualization.dimension,
+          dimensions: visualization.dimensions,
+          requestedMetrics: detectRequestedMetrics(sql, userQuestion, goal, customMetrics),
+          goal: goal,
+          queryType: queryType,
+          currentPeriod: comparison.current,
+          previousPeriod: comparison.previous,
+          data: deltas
+        },
+        rawData: deltas,
+        resultSet: sqlResult
+      };
+    }
+    
+    // Video funnel: one funnel per segment (or for the whole selection)
+    if (queryType === 'FUNNEL' || isVideoFunnelQuestion(userQuestion.toLowerCase())) {
+      let segments;
+      if (visualization.type === 'single') {
+        const platformMatch = sql.match(/platform\s*=\s*'([^']+)'/i);
+        segments = { [platformMatch ? platformMatch[1] : 'Total']: mergeResultMetrics(resultSet, []) };
+      } else {
+        segments = mergeResultMetrics(resultSet, visualization.dimensions);
+      }
+      
+      const funnels = {};
+      Object.entries(segments).forEach(([segment, metrics]) => {
+        funnels[segment] = buildVideoFunnel(addVideoMetrics(metrics));
+      });
+      
+      return {
+        visualization: {
+          type: 'funnel',
+          dimension: visualization.dimension,
+          dimensions: visualization.dimensions,
+          stages: VIDEO_FUNNEL_STAGES,
+          goal: goal,
+          queryType: queryType,
+          data: funnels
+        },
+        rawData: funnels,
+        resultSet: sqlResult
+      };
+    }
+    
+    // FIX: If single query (no GROUP BY), return null for visualization
+    // Handle single query results
+    if (visualization.type === 'single') {
+      const singleResult = mergeResultMetrics(resultSet, [], customMetrics);
+      
+      // Check if this is a deep dive on a specific platform
+      if (queryType === 'DEEP_DIVE') {
+        // Extract platform name from SQL
+        const platformMatch = sql.match(/platform\s*=\s*'([^']+)'/i);
+        const platform = platformMatch ? platformMatch[1] : 'Platform';
+        
+        return {
+          visualization: {
+            type: 'deep_dive',
+            platform: platform,
+            queryType: queryType,
+            goal: goal,
+            data: singleResult
+          },
+          rawData: singleResult,
+          resultSet: sqlResult
+        };
+      }
+            // Check if this is an executive summary
+      if (queryType === 'EXECUTIVE_SUMMARY') {
+        // Extract platform name from SQL
+        const platformMatch = sql.match(/platform\s*=\s*'([^']+)'/i);
+        const platform = platformMatch ? platformMatch[1] : 'Platform';
+        
+        return {
+          visualization: {
+            type: 'executive_summary',
+            platform: platform,
+            queryType: queryType,
+            goal: goal,
+            data: singleResult
+          },
+          rawData: singleResult,
+          resultSet: sqlResult
+        };
+      }
+      
+      // Regular single result (overview)
+      return {
+        visualization: null,
+        rawData: singleResult,
+        resultSet: sqlResult
+      };
+    }
+    
+    // If comparison query (has GROUP BY), key the result rows by dimension
+    const aggregated = mergeResultMetrics(resultSet, visualization.dimensions, customMetrics);
+    
+    // Detect requested metrics
+    const requestedMetrics = detectRequestedMetrics(sql, userQuestion, goal, customMetrics);
+    
+    // Several GROUP BY dimensions: describe a cross-tab for the frontend
+    if (visualization.type === 'matrix') {
+      return {
+        visualization: {
+          ...buildCrossTab(resultSet, visualization.dimensions, customMetrics),
+          requestedMetrics: requestedMetrics,
+          significance: compareSegmentRates(aggregated),
+          goal: goal,
+          queryType: queryType
+        },
+        rawData: aggregated,
+        resultSet: sqlResult
+      };
+    }
+    
+    return {
+      visualization: {
+        type: 'comparison',
+        dimension: visualization.dimension,
+        requestedMetrics: requestedMetrics,  // NEW: Pass requested metrics
+        goal: goal,  // ADD THIS LINE
+        queryType: queryType,
+        data: aggregated,
+        significance: compareSegmentRates(aggregated)
+      },
+      rawData: aggregated,
+      resultSet: sqlResult
+    };
+    
+  } catch (error) {
+    logEvent('warn', 'sql.execution_failed', { error });
+    throw error;
+  }
+}
+
+// Separator for flattened multi-dimension keys, e.g. "TikTok | West"
+const DIMENSION_KEY_SEPARATOR = ' | ';
+
+// Helper: Value of a GROUP BY dimension for a result row
+function getDimensionValue(row, groupRows, dimension) {
+  return row[dimension] !== undefined ? row[dimension] : (groupRows[0] || {})[dimension];
+}
+
+// Helper: Full metric set of one result row. The SQL's other columns are kept, but measures and
+// registry (and custom) metrics are always computed from the group's rows, so an alias such as
+// "SUM(clicks) / SUM(impressions) AS ctr" can't replace a metric with a differently scaled value.
+function resultRowMetrics(row, groupRows, customMetrics) {
+  return { ...row, ...aggregateSingleResult(groupRows, customMetrics) };
+}
+
+// Helper: Full metric set for each result row (HAVING/ORDER BY/LIMIT already applied).
+// Rows are keyed by the dimension value, or by a flattened "a | b" key for several dimensions.
+function mergeResultMetrics(resultSet, dimensions, customMetrics = []) {
+  if (dimensions.length === 0) {
+    return resultRowMetrics(resultSet.rows[0] || {}, resultSet.groups[0] || [], customMetrics);
+  }
+  
+  const merged = {};
+  resultSet.rows.forEach((row, index) => {
+    const groupRows = resultSet.groups[index];
+    const key = dimensions
+      .map(dimension => getDimensionValue(row, groupRows, dimension))
+      .join(DIMENSION_KEY_SEPARATOR);
+    merged[key] = resultRowMetrics(row, groupRows, customMetrics);
+  });
+  
+  return merged;
+}
+
+// Helper: Cross-tab payload for multi-dimension results.
+// Rows are the first dimension, columns the remaining dimension(s); data is nested row → column.
+function buildCrossTab(resultSet, dimensions, customMetrics = []) {
+  const [rowDimension, ...columnDimensions] = dimensions;
+  const rowKeys = [];
+  const columnKeys = [];
+  const data = {};
+  const cells = [];
+  
+  resultSet.rows.forEach((row, index) => {
+    const groupRows = resultSet.groups[index];
+    const keys = {};
+    dimensions.forEach(dimension => {
+      keys[dimension] = getDimensionValue(row, groupRows, dimension);
+    });
+    
+    const rowKey = String(keys[rowDimension]);
+    const columnKey = columnDimensions.map(dimension => keys[dimension]).join(DIMENSION_KEY_SEPARATOR);
+    const metrics = resultRowMetrics(row, groupRows, customMetrics);
+    
+    if (!rowKeys.includes(rowKey)) rowKeys.push(rowKey);
+    if (!columnKeys.includes(columnKey)) columnKeys.push(columnKey);
+    
+    if (!data[rowKey]) data[rowKey] = {};
+    data[rowKey][columnKey] = metrics;
+    
+    cells.push({
+      key: [rowKey, columnKey].join(DIMENSION_KEY_SEPARATOR),
+      keys: keys,
+      ...metrics
+    });
+  });
+  
+  return {
+    type: 'matrix',
+    dimension: rowDimension,
+    dimensions: dimensions,
+    rowDimension: rowDimension,
+    columnDimensions: columnDimensions,
+    rowKeys: rowKeys,
+    columnKeys: columnKeys,
+    data: data,
+    cells: cells
+  };
+}
+
+// Metrics reported in period-over-period deltas
+const PERIOD_DELTA_METRICS = [
+  'spend', 'revenue', 'impressions', 'clicks', 'conversions', 'video_starts', 'views_3s', 'views_100',
+  ...Object.keys(METRICS)
+];
+
+// Helper: Absolute and percentage change per segment between two aggregated periods
+// (extraMetrics: the account's custom metrics, reported after the built-in ones)
+function comparePeriods(currentAggregated, previousAggregated, extraMetrics = []) {
+  const deltas = {};
+  const segments = [...new Set([...Object.keys(previousAggregated), ...Object.keys(currentAggregated)])];
+  
+  segments.forEach(segment => {
+    const current = currentAggregated[segment] || {};
+    const previous = previousAggregated[segment] || {};
+    
+    deltas[segment] = {};
+    [...PERIOD_DELTA_METRICS, ...extraMetrics].forEach(metric => {
+      const currentValue = current[metric] || 0;
+      const previousValue = previous[metric] || 0;
+      const change = currentValue - previousValue;
+      
+      deltas[segment][metric] = {
+        current: currentValue,
+        previous: previousValue,
+        change: parseFloat(change.toFixed(2)),
+        changePct: previousValue !== 0 ? parseFloat(((change / Math.abs(previousValue)) * 100).toFixed(2)) : null
+      };
+    });
+  });
+  
+  return deltas;
+}
+
+// Video funnel stages, top to bottom
+const VIDEO_FUNNEL_STAGES = [
+  { key: 'impressions', label: 'Impressions' },
+  { key: 'video_starts', label: 'Video starts' },
+  { key: 'views_3s', label: '3-second views' },
+  { key: 'views_25', label: '25% views' },
+  { key: 'views_50', label: '50% views' },
+  { key: 'views_100', label: 'Completed views' }
+];
+
+// Helper: Video metrics on aggregated totals (hook rate, hold rate, cost per completed view)
+function addVideoMetrics(d) {
+  ['hookRate', 'holdRate', 'costPerCompletedView'].forEach(metric => {
+    d[metric] = roundedMetric(metric, d);
+  });
+  return d;
+}
+
+// Helper: Funnel for one segment: each stage with its drop-off from the stage before
+function buildVideoFunnel(metrics) {
+  const stages = VIDEO_FUNNEL_STAGES.map((stage, index) => {
+    const value = Number(metrics[stage.key]) || 0;
+    const previous = index > 0 ? Number(metrics[VIDEO_FUNNEL_STAGES[index - 1].key]) || 0 : null;
+    
+    return {
+      stage: stage.key,
+      label: stage.label,
+      value: value,
+      rateFromPrevious: previous ? parseFloat(((value / previous) * 100).toFixed(2)) : null,
+      dropOff: previous !== null ? previous - value : null,
+      dropOffPct: previous ? parseFloat((((previous - value) / previous) * 100).toFixed(2)) : null
+    };
+  });
+  
+  // The stage transition that loses the most viewers
+  const biggestDrop = stages.slice(1).reduce((worst, stage) =>
+    (worst === null || (stage.dropOffPct || 0) > (worst.dropOffPct || 0) ? stage : worst), null);
+  
+  return {
+    stages: stages,
+    spend: metrics.spend,
+    hookRate: metrics.hookRate,
+    holdRate: metrics.holdRate,
+    completionRate: metrics.completionRate,
+    costPerCompletedView: metrics.costPerCompletedView,
+    biggestDropOff: biggestDrop ? biggestDrop.stage : null
+  };
+}
+
+// Helper: Aggregate single result (no grouping): summed measures plus every derived and custom metric
+function aggregateSingleResult(data, customMetrics = []) {
+  return addCustomMetrics(addDerivedMetrics(sumMeasures(data)), customMetrics);
+}
+
+// Helper: Aggregate by dimension (or several dimensions, keyed "a | b")
+function aggregateByDimension(data, dimension, customMetrics = []) {
+  const dimensions = Array.isArray(dimension) ? dimension : [dimension];
+  const groups = {};
+  
+  data.forEach(row => {
+    const key = dimensions.map(dim => row[dim]).join(DIMENSION_KEY_SEPARATOR);
+    (groups[key] = groups[key] || []).push(row);
+  });
+  
+  return Object.fromEntries(Object.entries(groups).map(([key, rows]) => [key, aggregateSingleResult(rows, customMetrics)]));
+}
+
+// ============================================================
+// Custom Metrics: account-defined metrics such as profit
+// (revenue - spend) or click-to-start rate (video_starts / clicks).
+// The expression is evaluated over the summed measures like the
+// built-in metrics, so it is added to the query generator's schema,
+// every aggregated segment, visualizations and exports.
+// Stores share one async interface:
+//   listDefinitions(), getDefinition(id), saveDefinition(definition), deleteDefinition(id)
+// ============================================================
+
+const CUSTOM_METRIC_FORMATS = ['ratio', 'percent', 'currency', 'integer', 'number'];
+const CUSTOM_METRIC_NAME_PATTERN = /^[a-z][a-z0-9_]{1,39}$/;
+const CUSTOM_METRIC_MAX_EXPRESSION_LENGTH = 500;
+const CUSTOM_METRIC_MAX_PER_ACCOUNT = 50;
+
+// Names a custom metric can't take: columns, built-in metrics and the SQL columns they are aliased as
+const RESERVED_METRIC_NAMES = [
+  'report_month', 'account_id', ...DIMENSION_COLUMNS, ...MEASURE_COLUMNS,
+  ...Object.keys(METRICS).flatMap(metric => [metric, metricColumn(metric), ...(METRICS[metric].aliases || [])])
+].map(name => name.toLowerCase());
+
+const METRIC_DEFINITION_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['name', 'expression'],
+  properties: {
+    name: { type: 'string' },
+    label: { type: ['string', 'null'] },
+    expression: { type: 'string' },
+    format: { type: 'string', enum: CUSTOM_METRIC_FORMATS },
+    precision: { type: 'number' },
+    higherIsBetter: { type: 'boolean' },
+    description: { type: ['string', 'null'] }
+  }
+};
+
+// Parsed expressions by source text (definitions are re-read per request, their expressions rarely change)
+const metricExpressionCache = new Map();
+
+// Parse an expression over the base measures: column names, numbers, parentheses and + - * /.
+// Throws an Error with code INVALID_EXPRESSION describing the first problem.
+function parseMetricExpression(expression) {
+  if (metricExpressionCache.has(expression)) return metricExpressionCache.get(expression);
+  
+  const invalid = message => sqlError('INVALID_EXPRESSION', message);
+  if (/--|\/\*|;/.test(expression)) {
+    throw invalid('Comments and semicolons are not allowed');
+  }
+  let statement;
+  try {
+    statement = parseSQL(`SELECT (${expression}) AS value FROM video_ad_performance`);
+  } catch (error) {
+    throw invalid(`Could not parse the expression: ${error.message}`);
+  }
+  // Anything that closed the parenthesis early shows up as an extra column or clause
+  const { columns, from, where, groupBy, having, orderBy, limit, offset, distinct } = statement;
+  if (columns.length !== 1 || from.table !== 'video_ad_performance' || from.schema || from.alias || where || having ||
+      groupBy.length > 0 || orderBy.length > 0 || limit !== null || offset !== null || distinct) {
+    throw invalid('The expression must be a single arithmetic expression');
+  }
+  
+  const referenced = new Set();
+  const check = node => {
+    if (node.type === 'number') return;
+    if (node.type === 'column') {
+      if (node.table || !MEASURE_COLUMNS.includes(node.name)) {
+        throw invalid(`Unknown column "${node.name}" (use ${MEASURE_COLUMNS.join(', ')})`);
+      }
+      referenced.add(node.name);
+      return;
+    }
+    if (node.type === 'unary' && node.operator === '-') return check(node.operand);
+    if (node.type === 'binary' && ['+', '-', '*', '/'].includes(node.operator)) {
+      check(node.left);
+      check(node.right);
+      return;
+    }
+    if (node.type === 'function') {
+      throw invalid(`Functions are not allowed (${node.name.toUpperCase()}); columns are summed before the expression is applied`);
+    }
+    throw invalid('Only base columns, numbers, parentheses and + - * / are allowed');
+  };
+  const ast = columns[0].expr;
+  check(ast);
+  if (referenced.size === 0) {
+    throw invalid('The expression must use at least one column');
+  }
+  
+  const parsed = { ast, columns: [...referenced] };
+  metricExpressionCache.set(expression, parsed);
+  return parsed;
+}
+
+// Helper: Value of a parsed expression on summed measures (null on a division by zero)
+function evaluateMetricExpression(node, totals) {
+  switch (node.type) {
+    case 'number':
+      return node.value;
+    case 'column':
+      return Number(totals[node.name]) || 0;
+    case 'unary': {
+      const operand = evaluateMetricExpression(node.operand, totals);
+      return operand === null ? null : -operand;
+    }
+    default: {
+      const left = evaluateMetricExpression(node.left, totals);
+      const right = evaluateMetricExpression(node.right, totals);
+      if (left === null || right === null) return null;
+      switch (node.operator) {
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        default: return right === 0 ? null : left / right;
+      }
+    }
+  }
+}
+
+// Helper: SQL for a parsed expression: columns become sums, divisions are guarded with NULLIF
+function metricExpressionSQL(node) {
+  switch (node.type) {
+    case 'number':
+      return String(node.value);
+    case 'column':
+      return `SUM(${node.name})${MEASURES[node.name].type === 'bigint' ? '::numeric' : ''}`;
+    case 'unary':
+      return `(-${metricExpressionSQL(node.operand)})`;
+    default: {
+      const left = metricExpressionSQL(node.left);
+      const right = metricExpressionSQL(node.right);
+      return node.operator === '/' ? `(${left} / NULLIF(${right}, 0))` : `(${left} ${node.operator} ${right})`;
+    }
+  }
+}
+
+// Helper: A custom metric's SQL formula (percent metrics are fractions shown × 100, like CTR)
+function customMetricSQL(definition) {
+  const sql = metricExpressionSQL(parseMetricExpression(definition.expression).ast);
+  return definition.format === 'percent' ? `${sql} * 100` : sql;
+}
+
+// Helper: A custom metric on summed measures, rounded to its precision (0 when undefined, like the built-in metrics)
+function computeCustomMetric(definition, totals) {
+  const value = evaluateMetricExpression(parseMetricExpression(definition.expression).ast, totals);
+  if (value === null || !Number.isFinite(value)) return 0;
+  return parseFloat((definition.format === 'percent' ? value * 100 : value).toFixed(definition.precision));
+}
+
+// Helper: Add the account's custom metrics to summed measures
+function addCustomMetrics(totals, customMetrics) {
+  customMetrics.forEach(definition => {
+    totals[definition.name] = computeCustomMetric(definition, totals);
+  });
+  return totals;
+}
+
+// Helper: What visualizations and exports need to show a custom metric
+function describeCustomMetric({ name, label, format, precision, higherIsBetter, description }) {
+  return { name, label, format, precision, higherIsBetter, description };
+}
+
+// Helper: Does a question or SQL refer to the custom metric (by name, or label in the question)?
+function mentionsCustomMetric(definition, sql, userQuestion) {
+  const lowerQuestion = userQuestion.toLowerCase();
+  const namePattern = new RegExp(`\\b${definition.name}\\b`, 'i');
+  return namePattern.test(sql) || namePattern.test(userQuestion) ||
+    lowerQuestion.includes(definition.label.toLowerCase()) ||
+    lowerQuestion.includes(definition.name.replace(/_/g, ' '));
+}
+
+// Helper: Validate a definition body; on update the body is merged over the stored definition.
+// others are the account's other definitions (names must be unique per account). Returns { definition, errors }.
+function buildMetricDefinition(body, existing, others, accountId = null) {
+  const input = { ...(existing ? pickMetricDefinitionFields(existing) : {}), ...(body || {}) };
+  const errors = validateAgainstSchema(input, METRIC_DEFINITION_SCHEMA, 'metric');
+  
+  if (typeof input.name === 'string') {
+    const name = input.name.trim();
+    if (!CUSTOM_METRIC_NAME_PATTERN.test(name)) {
+      errors.push('metric.name must be 2-40 lowercase letters, digits or underscores, starting with a letter');
+    } else if (RESERVED_METRIC_NAMES.includes(name)) {
+      errors.push(`metric.name "${name}" is a column or built-in metric`);
+    } else if (others.some(other => other.name === name)) {
+      errors.push(`metric.name "${name}" is already defined`);
+    }
+  }
+  if (typeof input.expression === 'string') {
+    if (input.expression.length > CUSTOM_METRIC_MAX_EXPRESSION_LENGTH) {
+      errors.push(`metric.expression must be at most ${CUSTOM_METRIC_MAX_EXPRESSION_LENGTH} characters`);
+    } else {
+      try {
+        parseMetricExpression(input.expression.trim());
+      } catch (error) {
+        errors.push(`metric.expression: ${error.message}`);
+      }
+    }
+  }
+  if (typeof input.precision === 'number' && (!Number.isInteger(input.precision) || input.precision < 0 || input.precision > 6)) {
+    errors.push('metric.precision must be an integer from 0 to 6');
+  }
+  if (!existing && others.length >= CUSTOM_METRIC_MAX_PER_ACCOUNT) {
+    errors.push(`An account can define at most ${CUSTOM_METRIC_MAX_PER_ACCOUNT} metrics`);
+  }
+  if (errors.length > 0) return { definition: null, errors };
+  
+  const name = input.name.trim();
+  const now = new Date().toISOString();
+  return {
+    definition: {
+      id: existing ? existing.id : crypto.randomUUID(),
+      accountId: existing ? existing.accountId || null : accountId,
+      name: name,
+      label: input.label && input.label.trim() ? input.label.trim()
+        : name.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' '),
+      expression: input.expression.trim(),
+      format: input.format || 'number',
+      precision: input.precision === undefined ? 2 : input.precision,
+      higherIsBetter: input.higherIsBetter !== false,
+      description: input.description || null,
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now
+    },
+    errors
+  };
+}
+
+// Helper: The fields of a definition a client can set
+function pickMetricDefinitionFields(definition) {
+  const { name, label, expression, format, precision, higherIsBetter, description } = definition;
+  return { name, label, expression, format, precision, higherIsBetter, description };
+}
+
+function createMemoryMetricDefinitionStore() {
+  const definitions = new Map();
+  
+  return {
+    name: 'memory',
+    
+    async listDefinitions() {
+      return [...definitions.values()];
+    },
+    
+    async getDefinition(id) {
+      return definitions.get(id) || null;
+    },
+    
+    async saveDefinition(definition) {
+      definitions.set(definition.id, definition);
+      return definition;
+    },
+    
+    async deleteDefinition(id) {
+      return definitions.delete(id);
+    }
+  };
+}
+
+// Supabase-backed store (table metric_definitions, see README)
+function createSupabaseMetricDefinitionStore(client) {
+  return {
+    name: 'supabase',
+    
+    async listDefinitions() {
+      const { data, error } = await client
+        .from('metric_definitions')
+        .select('*')
+        .order('created_at', { ascending: true });
+      if (error) throw error;
+      return data.map(row => row.definition);
+    },
+    
+    async getDefinition(id) {
+      const { data, error } = await client
+        .from('metric_definitions')
+        .select('*')
+        .eq('id', id)
+        .maybeSingle();
+      if (error) throw error;
+      return data ? data.definition : null;
+    },
+    
+    async saveDefinition(definition) {
+      const { error } = await client
+        .from('metric_definitions')
+        .upsert({ id: definition.id, definition: definition, updated_at: definition.updatedAt }, { onConflict: 'id' });
+      if (error) throw error;
+      return definition;
+    },
+    
+    async deleteDefinition(id) {
+      const { data, error } = await client.from('metric_definitions').delete().eq('id', id).select();
+      if (error) throw error;
+      return data.length > 0;
+    }
+  };
+}
+
+const METRIC_DEFINITION_STORES = {
+  memory: () => createMemoryMetricDefinitionStore(),
+  supabase: () => {
+    if (!supabase) throw new Error('METRIC_DEFINITION_STORE=supabase requires DATA_SOURCE=supabase');
+    return createSupabaseMetricDefinitionStore(supabase);
+  }
+};
+
+if (!METRIC_DEFINITION_STORES[METRIC_DEFINITION_STORE]) {
+  throw new Error(`Unknown METRIC_DEFINITION_STORE: ${METRIC_DEFINITION_STORE} (expected ${Object.keys(METRIC_DEFINITION_STORES).join(', ')})`);
+}
+const metricDefinitionStore = METRIC_DEFINITION_STORES[METRIC_DEFINITION_STORE]();
+
+// Helper: The account's definitions, oldest first
+async function listAccountMetricDefinitions(accountId) {
+  const definitions = await metricDefinitionStore.listDefinitions();
+  return definitions.filter(definition => belongsToAccount(definition, accountId));
+}
+
+// Helper: The account's definition, or null when it doesn't exist or belongs to another account
+async function getAccountMetricDefinition(id, accountId) {
+  const definition = await metricDefinitionStore.getDefinition(id);
+  return definition && belongsToAccount(definition, accountId) ? definition : null;
+}
+
+// Helper: The account's definitions for a query; answers go on without them when the store is unavailable
+async function loadCustomMetrics(accountId) {
+  try {
+    return await listAccountMetricDefinitions(accountId);
+  } catch (error) {
+    logEvent('warn', 'metric_definitions.load_failed', { error });
+    return [];
+  }
+}
+
+// ============================================================
+// Anomaly Detection: scans every platform / region / age_group /
+// gender slice against the account average and ranks the outliers
+// by spend-weighted deviation.
+// ============================================================
+
+const ANOMALY_MIN_DEVIATION = parseFloat(process.env.ANOMALY_MIN_DEVIATION || '0.15'); // 15% from the average
+const ANOMALY_MIN_SPEND_SHARE = 0.02; // ignore slices under 2% of spend
+const ANOMALY_MAX_RESULTS = 10;
+
+// Metrics scored per slice (values and direction from METRICS). impact is the slice's gain (+)
+// or loss (-) versus performing at the account average, in the metric's outcome unit.
+const ANOMALY_METRICS = {
+  roas: { impact: (d, average) => ({ unit: 'revenue', value: d.revenue - d.spend * average }) },
+  cpa: { impact: (d, average) => ({ unit: 'conversions', value: d.conversions - d.spend / average }) },
+  ctr: { impact: (d, average) => ({ unit: 'clicks', value: d.clicks - (d.impressions * average) / 100 }) },
+  completionRate: { impact: (d, average) => ({ unit: 'completions', value: d.views_100 - (d.video_starts * average) / 100 }) }
+};
+
+// Score every slice of the rows against the account average.
+// Returns { average, slicesScanned, anomalies } with anomalies ranked by |score|.
+function detectAnomalies(rows) {
+  const round = value => parseFloat(value.toFixed(2));
+  const account = aggregateSingleResult(rows);
+  
+  const average = {};
+  Object.keys(ANOMALY_METRICS).forEach(metric => {
+    average[metric] = computeMetric(metric, account);
+  });
+  
+  const anomalies = [];
+  let slicesScanned = 0;
+  
+  DIMENSION_COLUMNS.forEach(dimension => {
+    const slices = aggregateByDimension(rows, dimension);
+    
+    Object.entries(slices).forEach(([segment, slice]) => {
+      slicesScanned++;
+      const spendShare = account.spend > 0 ? slice.spend / account.spend : 0;
+      if (spendShare < ANOMALY_MIN_SPEND_SHARE) return;
+      
+      Object.entries(ANOMALY_METRICS).forEach(([metric, definition]) => {
+        const value = computeMetric(metric, slice);
+        if (value === null || !average[metric]) return;
+        
+        // Positive = better than average, whichever direction the metric runs
+        const relative = (value - average[metric]) / average[metric];
+        const performance = METRICS[metric].higherIsBetter ? relative : -relative;
+        if (Math.abs(performance) < ANOMALY_MIN_DEVIATION) return;
+        
+        const impact = definition.impact(slice, average[metric]);
+        anomalies.push({
+          dimension,
+          segment,
+          metric,
+          value: round(value),
+          average: round(average[metric]),
+          deviationPct: round(relative * 100),
+          direction: performance < 0 ? 'below' : 'above',
+          spend: round(slice.spend),
+          spendShare: round(spendShare * 100),
+          score: parseFloat((performance * spendShare).toFixed(4)),
+          impact: { unit: impact.unit, value: round(impact.value) }
+        });
+      });
+    });
+  });
+  
+  anomalies.sort((a, b) => Math.abs(b.score) - Math.abs(a.score) ||
+    a.dimension.localeCompare(b.dimension) || a.segment.localeCompare(b.segment));
+  
+  return {
+    average: Object.fromEntries(Object.entries(average).map(([metric, value]) => [metric, value === null ? null : round(value)])),
+    totalSpend: round(account.spend),
+    slicesScanned,
+    anomalies: anomalies.slice(0, ANOMALY_MAX_RESULTS).map((anomaly, index) => ({ rank: index + 1, ...anomaly }))
+  };
+}
+
+// ============================================================
+// Segment Significance: 95% confidence intervals for the rate
+// metrics of each segment, and two-proportion z-tests between
+// segments, so answers can tell real gaps from noise.
+// ============================================================
+
+// Rate metrics tested: each is successes / trials of its numerator and denominator counts
+const SIGNIFICANCE_METRICS = ['ctr', 'conversionRate', 'completionRate'];
+const SIGNIFICANCE_ALPHA = 0.05;
+const SIGNIFICANCE_Z = 1.96; // two-sided 95%
+const SIGNIFICANCE_MAX_PAIRWISE_SEGMENTS = 10; // 45 pairs; larger breakdowns only get top vs rest
+
+// Helper: Standard normal CDF (Abramowitz & Stegun 7.1.26, error < 1.5e-7)
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Helper: Wilson score interval of a proportion, as [lower, upper] fractions
+function wilsonInterval(successes, trials) {
+  const p = successes / trials;
+  const z2 = SIGNIFICANCE_Z * SIGNIFICANCE_Z;
+  const denominator = 1 + z2 / trials;
+  const center = (p + z2 / (2 * trials)) / denominator;
+  const halfWidth = (SIGNIFICANCE_Z * Math.sqrt(p * (1 - p) / trials + z2 / (4 * trials * trials))) / denominator;
+  return [Math.max(0, center - halfWidth), Math.min(1, center + halfWidth)];
+}
+
+// Helper: Two-sided p-value of a pooled two-proportion z-test
+function twoProportionPValue(a, b) {
+  const pooled = (a.successes + b.successes) / (a.trials + b.trials);
+  const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / a.trials + 1 / b.trials));
+  if (standardError === 0) return 1;
+  const z = (a.successes / a.trials - b.successes / b.trials) / standardError;
+  return 2 * (1 - normalCdf(Math.abs(z)));
+}
+
+// Helper: Holm-Bonferroni adjusted p-values (same order as given)
+function holmAdjust(pValues) {
+  const order = pValues.map((pValue, index) => ({ pValue, index })).sort((a, b) => a.pValue - b.pValue);
+  const adjusted = new Array(pValues.length);
+  let running = 0;
+  order.forEach(({ pValue, index }, rank) => {
+    running = Math.max(running, Math.min(1, pValue * (pValues.length - rank)));
+    adjusted[index] = running;
+  });
+  return adjusted;
+}
+
+// Confidence intervals and significance tests for aggregated segments ({ segment: totals }, as from
+// aggregateByDimension or mergeResultMetrics). Per rate metric:
+//   intervals: { segment: { value, lower, upper, successes, trials } } (values in the metric's percent scale)
+//   topVsRest: the best segment against all the others pooled
+//   pairwise: every pair of segments, p-values Holm-adjusted across the metric's pairs
+// Segments without a denominator are left out of a metric.
+function compareSegmentRates(segments) {
+  const metrics = {};
+  
+  SIGNIFICANCE_METRICS.forEach(metric => {
+    const { label, numerator, denominator, scale, precision, higherIsBetter } = METRICS[metric];
+    const round = value => parseFloat(value.toFixed(precision + 1));
+    
+    const samples = Object.entries(segments)
+      .map(([segment, totals]) => ({ segment, successes: Number(totals[numerator]) || 0, trials: Number(totals[denominator]) || 0 }))
+      .filter(sample => sample.trials > 0 && sample.successes <= sample.trials);
+    if (samples.length === 0) return;
+    
+    const intervals = {};
+    samples.forEach(sample => {
+      const [lower, upper] = wilsonInterval(sample.successes, sample.trials);
+      intervals[sample.segment] = {
+        value: round((sample.successes / sample.trials) * scale),
+        lower: round(lower * scale),
+        upper: round(upper * scale),
+        successes: sample.successes,
+        trials: sample.trials
+      };
+    });
+    
+    let topVsRest = null;
+    if (samples.length > 1) {
+      const rate = sample => sample.successes / sample.trials;
+      const top = samples.reduce((best, sample) => ((higherIsBetter ? rate(sample) > rate(best) : rate(sample) < rate(best)) ? sample : best));
+      const others = samples.filter(sample => sample !== top);
+      const rest = {
+        successes: others.reduce((sum, sample) => sum + sample.successes, 0),
+        trials: others.reduce((sum, sample) => sum + sample.trials, 0)
+      };
+      const pValue = twoProportionPValue(top, rest);
+      topVsRest = {
+        segment: top.segment,
+        value: round(rate(top) * scale),
+        restValue: round(rate(rest) * scale),
+        difference: round((rate(top) - rate(rest)) * scale),
+        pValue: parseFloat(pValue.toFixed(4)),
+        significant: pValue < SIGNIFICANCE_ALPHA
+      };
+    }
+    
+    let pairwise = null;
+    if (samples.length > 1 && samples.length <= SIGNIFICANCE_MAX_PAIRWISE_SEGMENTS) {
+      const pairs = [];
+      samples.forEach((a, i) => {
+        samples.slice(i + 1).forEach(b => pairs.push([a, b]));
+      });
+      const pValues = pairs.map(([a, b]) => twoProportionPValue(a, b));
+      const adjusted = holmAdjust(pValues);
+      pairwise = pairs.map(([a, b], index) => ({
+        segments: [a.segment, b.segment],
+        difference: round((a.successes / a.trials - b.successes / b.trials) * scale),
+        pValue: parseFloat(pValues[index].toFixed(4)),
+        adjustedPValue: parseFloat(adjusted[index].toFixed(4)),
+        significant: adjusted[index] < SIGNIFICANCE_ALPHA
+      }));
+    }
+    
+    metrics[metric] = { label, intervals, topVsRest, pairwise };
+  });
+  
+  return {
+    confidenceLevel: 1 - SIGNIFICANCE_ALPHA,
+    method: 'Wilson score intervals; pooled two-proportion z-tests, pairwise p-values Holm-adjusted per metric',
+    metrics
+  };
+}
+
+// Helper: The significance results as prompt lines for the answer generator
+function describeSignificance(significance) {
+  const formatP = pValue => (pValue < 0.001 ? 'p < 0.001' : `p = ${pValue.toFixed(3)}`);
+  const lines = [];
+  
+  Object.values(significance.metrics).forEach(({ label, intervals, topVsRest, pairwise }) => {
+    if (!topVsRest) return;
+    const top = intervals[topVsRest.segment];
+    lines.push(`- ${label}: ${topVsRest.segment} ${topVsRest.value}% (95% CI ${top.lower}-${top.upper}%) vs the rest ${topVsRest.restValue}%: ` +
+      `${topVsRest.significant ? 'significant' : 'NOT significant'} (${formatP(topVsRest.pValue)})`);
+    if (pairwise) {
+      const notSignificant = pairwise.filter(pair => !pair.significant);
+      lines.push(notSignificant.length === 0
+        ? `  Every pair of segments differs significantly`
+        : `  Not significantly different: ${notSignificant.slice(0, 10).map(pair =>
+          `${pair.segments.join(' vs ')} (${formatP(pair.adjustedPValue)})`).join(', ')}${notSignificant.length > 10 ? `, and ${notSignificant.length - 10} more pairs` : ''}`);
+    }
+  });
+  
+  return lines.join('\n');
+}
+
+// ============================================================
+// Budget Optimizer: computes a per-platform allocation in code
+// so budget answers are reproducible. The LLM only narrates it.
+// ============================================================
+
+// What each goal optimizes: outcome = spend × (outcome per dollar) at current efficiency
+const BUDGET_GOALS = {
+  ROAS: { outcome: 'revenue', metric: 'roas' },
+  CPM: { outcome: 'impressions', metric: 'cpm' },
+  CTR: { outcome: 'clicks', metric: 'ctr' }
+};
+const BUDGET_DEFAULT_REALLOCATION_CAP = 0.3; // max share of a platform's spend that can move
+const QUERY_GOAL_TO_BUDGET_GOAL = { CONVERSION: 'ROAS', AWARENESS: 'CPM', ENGAGEMENT: 'CTR' };
+
+// Helper: Error with a structured code (reported as 400 by /budget/optimize)
+function budgetError(code, message) {
+  const error = new Error(message);
+  error.name = 'BudgetError';
+  error.code = code;
+  return error;
+}
+
+// Helper: Validate a /budget/optimize request body into optimizer options
+function parseBudgetRequest(body) {
+  const budgetChange = body.budgetChange === undefined ? 0 : Number(body.budgetChange);
+  if (!Number.isFinite(budgetChange)) {
+    throw budgetError('INVALID_BUDGET_CHANGE', 'budgetChange must be a number (negative to cut budget)');
+  }
+  
+  const goal = String(body.goal || 'ROAS').toUpperCase();
+  if (!BUDGET_GOALS[goal]) {
+    throw budgetError('INVALID_GOAL', `goal must be one of ${Object.keys(BUDGET_GOALS).join(', ')}`);
+  }
+  
+  let reallocationCap = BUDGET_DEFAULT_REALLOCATION_CAP;
+  if (body.reallocationCap !== undefined && body.reallocationCap !== null) {
+    reallocationCap = Number(body.reallocationCap);
+    if (!Number.isFinite(reallocationCap) || reallocationCap < 0) {
+      throw budgetError('INVALID_REALLOCATION_CAP', 'reallocationCap must be a fraction >= 0, e.g. 0.3 for 30%');
+    }
+  } else if (body.reallocationCap === null) {
+    reallocationCap = null;
+  }
+  
+  const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+  if (body.constraints !== undefined && body.constraints !== null && !isPlainObject(body.constraints)) {
+    throw budgetError('INVALID_CONSTRAINT', 'constraints must be an object like { "YouTube": { "min": 20000, "max": 60000 } }');
+  }
+  
+  const constraints = {};
+  Object.entries(body.constraints || {}).forEach(([platform, limits]) => {
+    if (!DIMENSIONS.platform.values.includes(platform)) {
+      throw budgetError('INVALID_CONSTRAINT', `Unknown platform ${platform} in constraints (expected ${DIMENSIONS.platform.values.join(', ')})`);
+    }
+    if (!isPlainObject(limits) || Object.keys(limits).some(key => !['min', 'max'].includes(key))) {
+      throw budgetError('INVALID_CONSTRAINT', `Constraint for ${platform} must be an object with min and/or max`);
+    }
+    const min = limits.min === undefined ? undefined : Number(limits.min);
+    const max = limits.max === undefined ? undefined : Number(limits.max);
+    if ((min !== undefined && !(min >= 0)) || (max !== undefined && !(max >= 0)) ||
+        (min !== undefined && max !== undefined && min > max)) {
+      throw budgetError('INVALID_CONSTRAINT', `Invalid min/max for ${platform}`);
+    }
+    constraints[platform] = { min, max };
+  });
+  
+  return { budgetChange, goal, reallocationCap, constraints };
+}
+
+// Allocate spend across platforms for the goal.
+// Each platform keeps its current efficiency (outcome per dollar), bounded by
+// its min/max constraint and the reallocation cap; the remaining budget goes
+// to the most efficient platforms first.
+function optimizeBudget(aggregated, options) {
+  const { budgetChange, goal, reallocationCap, constraints } = options;
+  const { outcome, metric } = BUDGET_GOALS[goal];
+  const round = value => parseFloat(value.toFixed(2));
+  
+  const platforms = Object.keys(aggregated).sort();
+  if (platforms.length === 0) {
+    throw budgetError('NO_DATA', 'No spend data for the selected period');
+  }
+  Object.keys(constraints).forEach(platform => {
+    if (!aggregated[platform]) {
+      throw budgetError('UNKNOWN_PLATFORM', `No data for constrained platform ${platform}`);
+    }
+  });
+  
+  const segments = platforms.map(platform => {
+    const data = aggregated[platform];
+    const limits = constraints[platform] || {};
+    let lower = reallocationCap === null ? 0 : data.spend * Math.max(0, 1 - reallocationCap);
+    let upper = reallocationCap === null ? Infinity : data.spend * (1 + reallocationCap);
+    if (limits.min !== undefined) lower = Math.max(lower, limits.min);
+    if (limits.max !== undefined) upper = Math.min(upper, limits.max);
+    // An explicit min/max wins over the reallocation cap
+    if (limits.min !== undefined && upper < limits.min) upper = limits.min;
+    if (limits.max !== undefined && lower > limits.max) lower = limits.max;
+    
+    return {
+      platform,
+      currentSpend: data.spend,
+      efficiency: data.spend > 0 ? data[outcome] / data.spend : 0,
+      metricValue: data[metric],
+      lower,
+      upper,
+      recommendedSpend: lower
+    };
+  });
+  
+  const currentTotal = segments.reduce((sum, s) => sum + s.currentSpend, 0);
+  const targetTotal = currentTotal + budgetChange;
+  const minTotal = segments.reduce((sum, s) => sum + s.lower, 0);
+  const maxTotal = segments.reduce((sum, s) => sum + s.upper, 0);
+  
+  if (targetTotal < 0) {
+    throw budgetError('INFEASIBLE', `Cannot cut $${round(-budgetChange)} from a total budget of $${round(currentTotal)}`);
+  }
+  if (targetTotal < minTotal - 0.005 || targetTotal > maxTotal + 0.005) {
+    throw budgetError('INFEASIBLE',
+      `A total budget of $${round(targetTotal)} is outside what the constraints allow ($${round(minTotal)} to $${round(maxTotal)}); relax the min/max constraints or the reallocation cap`);
+  }
+  
+  // Greedy fill: most efficient first (ties by platform name for stable output)
+  let remaining = targetTotal - minTotal;
+  [...segments]
+    .sort((a, b) => b.efficiency - a.efficiency || a.platform.localeCompare(b.platform))
+    .forEach(segment => {
+      const add = Math.min(remaining, segment.upper - segment.lower);
+      segment.recommendedSpend += add;
+      remaining -= add;
+    });
+  
+  const allocations = segments.map(segment => {
+    const change = segment.recommendedSpend - segment.currentSpend;
+    return {
+      platform: segment.platform,
+      [metric]: segment.metricValue,
+      currentSpend: round(segment.currentSpend),
+      recommendedSpend: round(segment.recommendedSpend),
+      change: round(change),
+      changePct: segment.currentSpend > 0 ? round((change / segment.currentSpend) * 100) : null,
+      [`current_${outcome}`]: round(segment.currentSpend * segment.efficiency),
+      [`projected_${outcome}`]: round(segment.recommendedSpend * segment.efficiency)
+    };
+  }).sort((a, b) => b.recommendedSpend - a.recommendedSpend);
+  
+  const currentOutcome = allocations.reduce((sum, a) => sum + a[`current_${outcome}`], 0);
+  const projectedOutcome = allocations.reduce((sum, a) => sum + a[`projected_${outcome}`], 0);
+  
+  return {
+    goal,
+    outcome,
+    budgetChange: round(budgetChange),
+    reallocationCap,
+    allocations,
+    totals: {
+      currentSpend: round(currentTotal),
+      recommendedSpend: round(targetTotal),
+      [`current_${outcome}`]: round(currentOutcome),
+      [`projected_${outcome}`]: round(projectedOutcome),
+      change: round(projectedOutcome - currentOutcome),
+      changePct: currentOutcome > 0 ? round(((projectedOutcome - currentOutcome) / currentOutcome) * 100) : null
+    },
+    assumptions: `Projections assume each platform keeps its current ${outcome} per dollar of spend.`
+  };
+}
+
+// Helper: Keep only rows matching the query plan's filters (empty list = no filter)
+function applyDimensionFilters(rows, filters) {
+  if (!filters) return rows;
+  return rows.filter(row => Object.entries(filters).every(([dimension, values]) =>
+    !values || values.length === 0 || values.includes(row[dimension])));
+}
+
+// Run the optimizer over the platform totals for a time frame
+async function runBudgetOptimization(timeFrame, options, filters, accountId = null) {
+  const range = timeFrame.comparison ? timeFrame.comparison.current : timeFrame.range;
+  const rows = applyDimensionFilters(normalizeSQLRows(await fetchPerformanceRows(range, accountId)), filters);
+  const optimization = optimizeBudget(aggregateByDimension(rows, 'platform'), options);
+  optimization.period = range ? range.label : 'All time';
+  return optimization;
+}
+
+// Helper: Dollar amount like "$100k", "$1.5M" or "$25,000"
+function parseDollarAmount(text) {
+  const match = text.match(/\$\s?(\d[\d,]*(?:\.\d+)?)\s*(k|m|thousand|million)?\b/i);
+  if (!match) return null;
+  const multipliers = { k: 1e3, thousand: 1e3, m: 1e6, million: 1e6 };
+  const value = parseFloat(match[1].replace(/,/g, ''));
+  return value * (match[2] ? multipliers[match[2].toLowerCase()] : 1);
+}
+
+// Detect a budget allocation request in a chat question.
+// Returns optimizer options, or null when the question isn't about moving budget.
+function parseBudgetQuestion(question, queryGoal) {
+  const lowerQuestion = question.toLowerCase();
+  const mentionsBudget = /\b(budget|invest|allocat|reallocat)/.test(lowerQuestion);
+  const movesMoney = /\b(shift|move|cut|reduce|add|spend more|spend less)\b/.test(lowerQuestion) && parseDollarAmount(question) !== null;
+  if (!mentionsBudget && !movesMoney) {
+    return null;
+  }
+  
+  const options = {
+    budgetChange: 0,
+    goal: QUERY_GOAL_TO_BUDGET_GOAL[queryGoal] || 'ROAS',
+    reallocationCap: BUDGET_DEFAULT_REALLOCATION_CAP,
+    constraints: {}
+  };
+  if (/\bcpm\b|reach|awareness|impressions/.test(lowerQuestion)) options.goal = 'CPM';
+  else if (/\bctr\b|clicks|engagement/.test(lowerQuestion)) options.goal = 'CTR';
+  else if (/\broas\b|revenue|return/.test(lowerQuestion)) options.goal = 'ROAS';
+  
+  // Per-platform limits: "at least $20k on YouTube", "no more than $50k for TikTok"
+  const platforms = DIMENSIONS.platform.values;
+  const limitPattern = /\b(at least|minimum of|min|at most|no more than|maximum of|max|up to)\s+(\$\s?[\d,.]+\s*(?:k|m|thousand|million)?)\s+(?:on|for|in|to)\s+(\w+)/gi;
+  let limitMatch;
+  let questionWithoutLimits = question;
+  while ((limitMatch = limitPattern.exec(question)) !== null) {
+    const platform = platforms.find(p => p.toLowerCase() === limitMatch[3].toLowerCase());
+    if (!platform) continue;
+    const amount = parseDollarAmount(limitMatch[2]);
+    const bound = /least|min/i.test(limitMatch[1]) ? 'min' : 'max';
+    options.constraints[platform] = { ...(options.constraints[platform] || {}), [bound]: amount };
+    questionWithoutLimits = questionWithoutLimits.replace(limitMatch[0], '');
+  }
+  
+  // Reallocation cap: "move at most 20%", "cap changes at 15%"
+  const capMatch = lowerQuestion.match(/(?:at most|no more than|max(?:imum)?|cap\w*(?: \w+)? at|up to|limit\w*(?: \w+)? to)\s+(\d+(?:\.\d+)?)\s*%/);
+  if (capMatch) options.reallocationCap = parseFloat(capMatch[1]) / 100;
+  
+  const amount = parseDollarAmount(questionWithoutLimits);
+  if (amount !== null) {
+    const isCut = /\b(cut|reduce|decrease|save|remove|lower|trim|less)\b/.test(questionWithoutLimits.toLowerCase());
+    options.budgetChange = isCut ? -amount : amount;
+  }
+  
+  return options;
+}
+
+// Agent 2: Answer Generator Agent
+async function answerGeneratorAgent(userQuestion, queryResults, sql, goal, queryType, agentPrompt, timeFrame, onToken, significance = null) {
+
+  let systemPrompt = '';
+  let userPrompt = '';
+  
+  // Extract conversation context and current question
+  let contextString = '';
+  let currentQuestion = userQuestion;
+  
+  if (userQuestion.includes('Current question:')) {
+    const parts = userQuestion.split('Current question:');
+    contextString = parts[0].trim();
+    currentQuestion = parts[1].trim();
+  }
+
+
+  // Describe the period(s) the data covers
+  const isPeriodComparison = !!(timeFrame && timeFrame.comparison);
+  let timeFrameContext = '';
+  if (isPeriodComparison) {
+    timeFrameContext = `
+<time_frame>
+Period-over-period comparison: ${timeFrame.comparison.previous.label} (previous) → ${timeFrame.comparison.current.label} (current).
+Each metric in the data has current, previous, change (absolute) and changePct (percent, null when previous is 0).
+Lead with the biggest changes, state both values and the delta, e.g. "ROAS went from **4.1x** to **5.3x** (**+29.3%**)".
+</time_frame>`;
+  } else if (timeFrame && timeFrame.range) {
+    timeFrameContext = `
+<time_frame>
+Data covers: ${timeFrame.range.label}
+</time_frame>`;
+  }
+
+  // Segment comparisons: which rate differences are real and which are noise
+  const significanceLines = significance ? describeSignificance(significance) : '';
+  const significanceContext = significanceLines ? `
+<significance>
+${significance.method}, at ${significance.confidenceLevel * 100}% confidence:
+${significanceLines}
+Only call a difference in these rates real when it is significant. Describe non-significant gaps as within noise,
+and do not recommend moving budget because of them.
+</significance>` : '';
+  
+  // Budget allocations are computed by optimizeBudget; the LLM only explains them
+  if (queryType === 'BUDGET_OPTIMIZATION') {
+    systemPrompt = `You are a marketing performance analyst explaining a budget allocation that has already been calculated.`;
+    userPrompt = `Explain this budget allocation to the user.
+<conversation_context>
+"""
+${contextString}
+"""
+</conversation_context>
+<current_question>
+"""
+${currentQuestion}
+"""
+</current_question>${timeFrameContext}
+<allocation>
+${JSON.stringify(queryResults, null, 2)}
+</allocation>
+<instructions>
+Step 1: State the total budget change and the goal (${queryResults.goal}, projected ${queryResults.outcome})
+Step 2: List each platform's current → recommended spend and the change, biggest moves first
+Step 3: State the projected ${queryResults.outcome} change from totals
+Step 4: Mention the assumption and any platform held at a min/max constraint or the reallocation cap
+Use ONLY the numbers in the allocation. Do not recalculate, round differently or invent figures.
+</instructions>
+<formatting>
+"""
+- Bold all numbers: **$75,000**, **5x**, **2.5%**
+- Bold all segments: **TikTok**, **Northeast**, **18-24**
+- Use bullet points with → arrows
+- Never use markdown tables
+"""
+</formatting>`;
+    
+    try {
+      return await callLLM(systemPrompt, userPrompt, 1500, { agent: 'answerGenerator', question: currentQuestion, onToken });
+    } catch (error) {
+      recordFallback('budgetNarration', error);
+      return formatBudgetFallback(queryResults);
+    }
+  }
+  
+  // Weak spots are found by detectAnomalies; the LLM explains the ranked list
+  if (queryType === 'ANOMALIES') {
+    systemPrompt = agentPrompt || `You are a marketing performance analyst pointing out where an account over- and underperforms.`;
+    userPrompt = `Explain these performance outliers to the user.
+<conversation_context>
+"""
+${contextString}
+"""
+</conversation_context>
+<current_question>
+"""
+${currentQuestion}
+"""
+</current_question>${timeFrameContext}
+<anomalies>
+${JSON.stringify(queryResults, null, 2)}
+</anomalies>
+<instructions>
+Step 1: Each anomaly is one segment (dimension = segment) whose metric is deviationPct away from the account average; direction "below" means worse than average (for cpa, a higher cost).
+Step 2: Lead with the weakest spots (direction "below") in rank order, then mention the strongest one or two.
+Step 3: For each, state value vs average and the impact: how much revenue, conversions, clicks or completions it costs (or adds) compared to performing at the average.
+Step 4: End with one concrete action for the biggest weak spot.
+Use ONLY the numbers in the anomalies. If the list is empty, say performance is even across segments.
+</instructions>
+<formatting>
+"""
+- Bold all numbers: **$75,000**, **5x**, **2.5%**
+- Bold all segments: **TikTok**, **Northeast**, **18-24**
+- Use bullet points with → arrows
+- Never use markdown tables
+"""
+</formatting>`;
+    
+    try {
+      return await callLLM(systemPrompt, userPrompt, 1500, { agent: 'answerGenerator', question: currentQuestion, onToken });
+    } catch (error) {
+      recordFallback('anomalyNarration', error);
+      return formatAnomaliesFallback(queryResults);
+    }
+  }
+  
+  // Video funnels: explain where viewers drop off
+  if (queryType === 'FUNNEL') {
+    systemPrompt = agentPrompt || `You are a video advertising analyst explaining how audiences move through the viewing funnel.`;
+    userPrompt = `Explain this video funnel data.
+<conversation_context>
+"""
+${contextString}
+"""
+</conversation_context>
+<current_question>
+"""
+${currentQuestion}
+"""
+</current_question>${timeFrameContext}
+<funnels>
+${JSON.stringify(queryResults, null, 2)}
+</funnels>
+<instructions>
+Step 1: Each key is a segment. stages run impressions → video starts → 3-second → 25% → 50% → completed views; dropOffPct is the share lost from the stage before.
+Step 2: Point out the biggest drop-off (biggestDropOff) and how it differs between segments.
+Step 3: Compare hook rate (3-second views / impressions), hold rate (completed / 3-second views) and cost per completed view across segments.
+Step 4: Recommend one creative or placement change for the weakest stage.
+Use ONLY the numbers in the funnels.
+</instructions>
+<formatting>
+"""
+- Bold all numbers: **2.5%**, **$0.04**
+- Bold all segments: **TikTok**, **Northeast**, **18-24**
+- Use → arrows for lists
+- No markdown tables
+"""
+</formatting>`;
+    
+    try {
+      return await callLLM(systemPrompt, userPrompt, 1500, { agent: 'answerGenerator', question: currentQuestion, onToken });
+    } catch (error) {
+      recordFallback('funnelNarration', error);
+      return formatFunnelFallback(queryResults);
+    }
+  }
+  
+  const isExecutiveSummary = queryType === 'EXECUTIVE_SUMMARY' && !isPeriodComparison;
+  
+  // ADD THE EXECUTIVE SUMMARY HANDLING HERE
+  if (isExecutiveSummary) {
+    // Extract platform name from the data
+    const platformName = Object.keys(queryResults)[0] || 'Platform';
+    const metrics = queryResults[platformName] || queryResults;
+    
+    systemPrompt = `You are a C-level marketing advisor providing executive insights.`;
+    
+    userPrompt = `Create a strategic executive summary for ${platformName}'s performance.
+      
+      <data>
+      ${JSON.stringify(queryResults, null, 2)}
+      </data>
+      
+      Structure your response EXACTLY like this:
+      
+      **Performance Status: [Strong/Moderate/Needs Attention]**
+      Based on ROAS (${metrics.roas || 0}x)
+      
+      **Key Strengths:**
+      → [Top performing metric with value]
+      → [Second strength if any]
+      
+      **Strategic Concern:**
+      → [Main weakness or risk]
+      
+      **Budget Recommendation:**
+      Current spend: $${((metrics.spend || 0)/1000).toFixed(0)}k
+      Recommendation: [Increase by X% / Maintain / Decrease by X%]
+      Rationale: [One sentence explaining why]
+      
+      **Next Steps:**
+      1. [Immediate action - specific and measurable]
+      2. [30-day optimization]
+      
+      Keep it concise for executive review.`;
+      
+      // ADD THIS SECTION
+      try {
+        const response = await callLLM(systemPrompt, userPrompt, 1500, { agent: 'answerGenerator', question: currentQuestion, onToken });
+        return response;
+      } catch (error) {
+        recordFallback('executiveSummary', error);
+        return "I encountered an error generating the executive summary.";
+      }
+    }
+  
+  // Detect if this is a strategy question
+  const isStrategy = isStrategyQuery(currentQuestion);
+  
+  
+  
+  
+  // System prompt - concise and focused
+  systemPrompt = agentPrompt || `You are a marketing performance analyst. Transform data into actionable insights with precise numbers and clear recommendations.`;
+  
+  // Sort data by ROAS for better analysis
+  let sortedResults = queryResults;
+  if (typeof queryResults === 'object' && !Array.isArray(queryResults) && !isPeriodComparison) {
+    const entries = Object.entries(queryResults);
+    entries.sort((a, b) => ((b[1] && b[1].roas) || 0) - ((a[1] && a[1].roas) || 0));
+    sortedResults = Object.fromEntries(entries);
+  }
+  
+  const formattedResults = JSON.stringify(sortedResults, null, 2);
+  
+  userPrompt;
+  
+if (isStrategy) {
+  // Strategy prompt with goal awareness
+  let strategyMetric = '';
+  let strategyInstructions = '';
+  
+  if (goal === 'AWARENESS') {
+    strategyMetric = 'CPM (cost per 1000 impressions)';
+    strategyInstructions = `- For CUT: Remove budget from highest CPM (least efficient) platforms
+- For ADD: Allocate to lowest CPM platforms (most reach per dollar)
+- For REALLOCATE: Move from high CPM to low CPM platforms`;
+  } else if (goal === 'ENGAGEMENT') {
+    strategyMetric = 'CTR and cost per click';
+    strategyInstructions = `- For CUT: Remove from lowest CTR platforms
+- For ADD: Allocate to highest CTR platforms
+- For REALLOCATE: Move from low CTR to high CTR platforms`;
+  } else {
+    strategyMetric = 'ROAS';
+    strategyInstructions = `- For CUT: Remove from lowest ROAS segments until target reached
+- For ADD: Distribute using performance tiers (50% top, 30% mid, 20% low)
+- For REALLOCATE: Move 30-40% from worst to best performers`;
+  }
+  
+  userPrompt = `Analyze this marketing data and provide strategic recommendations.
+<conversation_context>
+"""
+${contextString}
+"""
+</conversation_context>
+<current_question>
+"""
+${currentQuestion}
+"""
+</current_question>
+<context>
+SQL Query: ${sql}
+</context>${timeFrameContext}${significanceContext}
+<data>
+"""
+${formattedResults}
+"""
+</data>
+<goal_context>
+User's optimization goal: ${goal}
+Key metric to optimize: ${strategyMetric}
+</goal_context>
+<instructions>
+Step 1: Read the conversation context. When the user uses pronouns like "there", "it", "that", refer to the previously mentioned item.
+Step 2: Identify the budget action type
+- CUT: "reduce budget", "cut $X", "save money" → Decrease total budget
+- ADD: "have $X to invest", "extra budget", "additional $X" → Increase total budget  
+- REALLOCATE: "optimize", "shift", "move budget" → Keep total budget same
+Step 3: Identify the dimension in the data
+- Look at the data keys: platform, region, age_group, or gender
+- Keys like "TikTok | West" combine several dimensions (in GROUP BY order)
+Step 4: Apply the appropriate strategy based on the goal
+${strategyInstructions}
+Step 5: Calculate exact impact using the key metric (${strategyMetric})
+</instructions>
+<formatting>
+"""
+- Bold all numbers: **$75,000**, **5x**, **2.5%**
+- Bold all segments: **TikTok**, **Northeast**, **18-24**
+- Use bullet points with → arrows
+- Never use markdown tables
+"""
+</formatting>
+<examples>
+Example 1 - Adding Budget for ${goal}:
+User: "I have $100k to invest"
+Response Structure:
+**Current Performance (${strategyMetric}):**
+→ Platform rankings by ${strategyMetric}
+**Recommendation:**
+Add **$100k** distributed by ${strategyMetric} performance
+
+Example 2 - Cutting Budget:
+User: "Cut $100k from total budget"
+Response Structure:
+**Recommendation:**
+Remove **$100k** from worst ${strategyMetric} performers
+</examples>
+Generate your response following the structure shown in the examples.`;
+    
+} else {
+  // Regular query prompt with goal-specific handling
+  
+  // Add goal-specific instructions
+  let goalInstructions = '';
+  
+  if (goal === 'AWARENESS') {
+    goalInstructions = `
+<goal_context>
+The user's goal is BRAND AWARENESS. They want to maximize reach and visibility.
+</goal_context>
+
+<metrics_priority>
+Step 1: Lead with total impressions (reach metrics)
+Step 2: Calculate and emphasize CPM (cost per 1000 impressions)  
+Step 3: Identify platforms with lowest CPM (most efficient for reach)
+Step 4: DO NOT lead with ROAS or revenue for awareness questions
+</metrics_priority>
+
+<example_response_pattern>
+Good: "YouTube delivers the highest reach with **147M impressions** at **$0.48 CPM**, making it the most cost-efficient for brand visibility."
+Bad: "TikTok has the highest ROAS at 8x..."
+</example_response_pattern>`;
+  } else if (goal === 'ENGAGEMENT') {
+    goalInstructions = `
+<goal_context>
+The user's goal is ENGAGEMENT. They want clicks, traffic, and interactions.
+</goal_context>
+
+<metrics_priority>
+Step 1: Lead with CTR and total clicks
+Step 2: Show video completion rates if relevant
+Step 3: Calculate cost per click
+Step 4: Identify platforms with highest engagement rates
+</metrics_priority>`;
+  } else {
+    // CONVERSION (default)
+    goalInstructions = `
+<goal_context>
+The user's goal is CONVERSIONS/SALES. They want revenue and ROI.
+</goal_context>
+
+<metrics_priority>
+Step 1: Lead with ROAS and revenue metrics
+Step 2: Show CPA and conversion rates
+Step 3: Focus on profitability and efficiency
+</metrics_priority>`;
+  }
+  
+  userPrompt = `Answer this marketing question using the provided data.
+
+${goalInstructions}
+
+<conversation_context>
+"""
+${contextString}
+"""
+</conversation_context>
+
+<current_question>
+"""
+${currentQuestion}
+"""
+</current_question>
+
+<pronoun_resolution>
+When the user says "there", "it", "that", or "those", check the conversation context to identify what they're referring to.
+Examples:
+- "How much am I spending there?" where context shows TikTok was just discussed = Answer only about TikTok spend
+- "What about that platform?" where context shows Instagram was mentioned = Answer about Instagram
+</pronoun_resolution>
+
+<context>
+SQL Query: ${sql}
+</context>
+${timeFrameContext}${significanceContext}
+<data>
+"""
+${formattedResults}
+"""
+</data>
+
+<instructions>
+Step 1: Read the goal_context to understand what metrics matter most
+Step 2: Check if the user is using pronouns that refer to previous context
+Step 3: Analyze data focusing on the metrics_priority for this goal (keys like "TikTok | West" combine dimensions in GROUP BY order)
+Step 4: Structure response to lead with most relevant metrics
+Step 5: Make recommendations based on the goal (e.g., lowest CPM for awareness)
+Step 6: Keep response concise (2-3 paragraphs maximum)
+</instructions>
+
+<formatting>
+"""
+- Bold all numbers: **2.5%**, **$450k**
+- Bold dimension values: **TikTok**, **male**
+- Use → arrows for lists
+- No markdown tables
+"""
+</formatting>
+
+<example>
+Context: User previously asked about TikTok
+Question: "How much am I spending there?"
+Response: You're spending **$70,493** on **TikTok**.
+
+Question: "Which gender has highest CTR?"
+Response: The gender with the highest **CTR** is **unknown** at **2.5%**, followed by **male** at **2.4%** and **female** at **2.2%**.
+</example>
+
+Generate your answer now.`;
+}
+  
+  try {
+    const response = await callLLM(systemPrompt, userPrompt, isStrategy ? 2000 : 1500, { agent: 'answerGenerator', question: currentQuestion, onToken });
+    return response;
+    
+  } catch (error) {
+    recordFallback('answer', error);
+    return formatDataFallback(sortedResults);
+  }
+}
+
+// Metrics shown in fallback answers, in order
+const FALLBACK_METRICS = ['roas', 'spend', 'revenue', 'ctr'];
+
+// Fallback formatting if answer agent fails
+function formatDataFallback(results) {
+  let output = "Here's what I found:\n\n";
+  const round = value => parseFloat(Number(value).toFixed(2));
+  const label = key => (METRICS[key] || MEASURES[key]).label;
+  
+  const formatMetrics = data => {
+    let lines = '';
+    FALLBACK_METRICS.forEach(key => {
+      if (data[key]) lines += `→ ${label(key)}: **${formatMetricValue(key, data[key])}**\n`;
+    });
+    return lines;
+  };
+  
+  if (Array.isArray(results)) {
+    // Row-level table results
+    results.slice(0, 20).forEach(row => {
+      output += `→ ${Object.entries(row).map(([column, value]) => {
+        const metric = resolveMetricKey(column);
+        return `${column}: **${typeof value !== 'number' ? value : metric ? formatMetricValue(metric, value) : round(value)}**`;
+      }).join(', ')}\n`;
+    });
+  } else if (typeof results === 'object' && results !== null && typeof results.spend === 'number') {
+    // Single aggregated result
+    output += formatMetrics(results);
+  } else if (typeof results === 'object' && results !== null) {
+    Object.keys(results).forEach(key => {
+      const data = results[key];
+      if (data && typeof data === 'object' && data.roas && typeof data.roas === 'object') {
+        // Period-over-period deltas
+        output += `**${key}**\n`;
+        FALLBACK_METRICS.forEach(metric => {
+          const delta = data[metric];
+          const pct = delta.changePct !== null ? ` (${delta.changePct > 0 ? '+' : ''}${delta.changePct}%)` : '';
+          output += `→ ${label(metric)}: **${formatMetricValue(metric, delta.previous)}** → **${formatMetricValue(metric, delta.current)}**${pct}\n`;
+        });
+        output += '\n';
+      } else if (data && typeof data === 'object') {
+        output += `**${key}**\n`;
+        output += formatMetrics(data);
+        output += '\n';
+      }
+    });
+  }
+  
+  return output;
+}
+
+
+// Fallback formatting for video funnels if the answer agent fails
+function formatFunnelFallback(funnels) {
+  let output = "Here's the video funnel:\n\n";
+  
+  Object.entries(funnels).forEach(([segment, funnel]) => {
+    output += `**${segment}**\n`;
+    funnel.stages.forEach(stage => {
+      const drop = stage.dropOffPct !== null ? ` (-${stage.dropOffPct}%)` : '';
+      output += `→ ${stage.label}: **${stage.value.toLocaleString('en-US')}**${drop}\n`;
+    });
+    output += `→ Hook rate: **${funnel.hookRate}%**, hold rate: **${funnel.holdRate}%**, cost per completed view: **$${funnel.costPerCompletedView}**\n\n`;
+  });
+  
+  return output;
+}
+
+// Fallback formatting for anomalies if the answer agent fails
+function formatAnomaliesFallback(result) {
+  if (result.anomalies.length === 0) {
+    return `Performance is even across segments: no slice is more than ${Math.round(ANOMALY_MIN_DEVIATION * 100)}% from the account average.`;
+  }
+  
+  let output = "Here's where performance stands out:\n\n";
+  result.anomalies.forEach(anomaly => {
+    const impact = anomaly.impact.unit === 'revenue'
+      ? `$${Math.round(anomaly.impact.value).toLocaleString('en-US')}`
+      : `${Math.round(anomaly.impact.value).toLocaleString('en-US')} ${anomaly.impact.unit}`;
+    output += `→ **${anomaly.segment}** (${anomaly.dimension}) ${anomaly.metric}: **${anomaly.value}** vs **${anomaly.average}** average (${anomaly.deviationPct > 0 ? '+' : ''}${anomaly.deviationPct}%, impact ${impact})\n`;
+  });
+  
+  return output;
+}
+
+// Fallback formatting for a budget allocation if the answer agent fails
+function formatBudgetFallback(optimization) {
+  const money = value => `$${Math.round(Math.abs(value)).toLocaleString('en-US')}`;
+  const outcome = optimization.outcome;
+  let output = `**Budget allocation (${optimization.goal}, ${optimization.period}):**\n`;
+  
+  optimization.allocations.forEach(allocation => {
+    const sign = allocation.change >= 0 ? '+' : '-';
+    output += `→ **${allocation.platform}**: ${money(allocation.currentSpend)} → **${money(allocation.recommendedSpend)}** (${sign}${money(allocation.change)})\n`;
+  });
+  
+  const totals = optimization.totals;
+  output += `\nProjected ${outcome}: **${Math.round(totals[`projected_${outcome}`]).toLocaleString('en-US')}**`;
+  if (totals.changePct !== null) {
+    output += ` (${totals.changePct >= 0 ? '+' : ''}${totals.changePct}%)`;
+  }
+  output += `\n\n${optimization.assumptions}`;
+  
+  return output;
+}
+
+// ============================================================
+// Conversation Sessions: server-side history of each chat turn.
+// Stores share one async interface so they can be swapped:
+//   createSession(metadata, accountId), getSession(id), deleteSession(id), appendTurn(id, turn)
+// ============================================================
+
+function createMemorySessionStore() {
+  const sessions = new Map();
+  
+  return {
+    name: 'memory',
+    
+    async createSession(metadata = {}, accountId = null) {
+      const session = {
+        id: crypto.randomUUID(),
+        accountId: accountId,
+        createdAt: new Date().toISOString(),
+        metadata: metadata,
+        turns: []
+      };
+      sessions.set(session.id, session);
+      return session;
+    },
+    
+    async getSession(id) {
+      return sessions.get(id) || null;
+    },
+    
+    async deleteSession(id) {
+      return sessions.delete(id);
+    },
+    
+    async appendTurn(id, turn) {
+      const session = sessions.get(id);
+      if (!session) return null;
+      
+      const storedTurn = { id: crypto.randomUUID(), createdAt: new Date().toISOString(), ...turn };
+      session.turns.push(storedTurn);
+      return storedTurn;
+    }
+  };
+}
+
+// Supabase-backed store (tables chat_sessions and chat_turns, see README)
+function createSupabaseSessionStore(client) {
+  const toTurn = row => ({
+    id: row.id,
+    createdAt: row.created_at,
+    question: row.question,
+    sql: row.sql,
+    goal: row.goal,
+    queryType: row.query_type,
+    visualization: row.visualization,
+    answer: row.answer,
+    success: row.success
+  });
+  
+  return {
+    name: 'supabase',
+    
+    async createSession(metadata = {}, accountId = null) {
+      const { data, error } = await client
+        .from('chat_sessions')
+        .insert({ id: crypto.randomUUID(), account_id: accountId, metadata: metadata })
+        .select()
+        .single();
+      if (error) throw error;
+      
+      return { id: data.id, accountId: data.account_id, createdAt: data.created_at, metadata: data.metadata, turns: [] };
+    },
+    
+    async getSession(id) {
+      const { data: session, error } = await client
+        .from('chat_sessions')
+        .select('*')
+        .eq('id', id)
+        .maybeSingle();
+      if (error) throw error;
+      if (!session) return null;
+      
+      const { data: turns, error: turnsError } = await client
+        .from('chat_turns')
+        .select('*')
+        .eq('session_id', id)
+        .order('created_at', { ascending: true });
+      if (turnsError) throw turnsError;
+      
+      return { id: session.id, accountId: session.account_id, createdAt: session.created_at, metadata: session.metadata, turns: turns.map(toTurn) };
+    },
+    
+    async deleteSession(id) {
+      const { error: turnsError } = await client.from('chat_turns').delete().eq('session_id', id);
+      if (turnsError) throw turnsError;
+      
+      const { data, error } = await client.from('chat_sessions').delete().eq('id', id).select();
+      if (error) throw error;
+      return data.length > 0;
+    },
+    
+    async appendTurn(id, turn) {
+      const { data, error } = await client
+        .from('chat_turns')
+        .insert({
+          id: crypto.randomUUID(),
+          session_id: id,
+          question: turn.question,
+          sql: turn.sql,
+          goal: turn.goal,
+          query_type: turn.queryType,
+          visualization: turn.visualization,
+          answer: turn.answer,
+          success: turn.success
+        })
+        .select()
+        .single();
+      if (error) throw error;
+      
+      return toTurn(data);
+    }
+  };
+}
+
+const SESSION_STORES = {
+  memory: () => createMemorySessionStore(),
+  supabase: () => {
+    if (!supabase) throw new Error('SESSION_STORE=supabase requires DATA_SOURCE=supabase');
+    return createSupabaseSessionStore(supabase);
+  }
+};
+
+if (!SESSION_STORES[SESSION_STORE]) {
+  throw new Error(`Unknown SESSION_STORE: ${SESSION_STORE} (expected ${Object.keys(SESSION_STORES).join(', ')})`);
+}
+const sessionStore = SESSION_STORES[SESSION_STORE]();
+
+// Helper: Rebuild the conversation history (the shape /chat used to receive) from stored turns
+function sessionToConversationHistory(session) {
+  const history = [];
+  
+  session.turns.slice(-SESSION_CONTEXT_TURNS).forEach(turn => {
+    history.push({ role: 'user', content: turn.question });
+    history.push({ role: 'assistant', content: turn.answer, goal: turn.goal });
+  });
+  
+  return history;
+}
+
+// Helper: The account's session, or null when it doesn't exist or belongs to another account
+async function getAccountSession(sessionId, accountId) {
+  const session = await sessionStore.getSession(sessionId);
+  return session && belongsToAccount(session, accountId) ? session : null;
+}
+
+// Helper: Resolve the history for a request; a sessionId takes precedence over client-sent history.
+// Returns { session, conversationHistory }, session is undefined when no sessionId was sent and null when not found.
+async function resolveConversation(sessionId, conversationHistory, accountId = null) {
+  if (!sessionId) {
+    return { session: undefined, conversationHistory };
+  }
+  
+  const session = await getAccountSession(sessionId, accountId);
+  return {
+    session,
+    conversationHistory: session ? sessionToConversationHistory(session) : []
+  };
+}
+
+// Helper: Store one /chat turn in its session and tag the payload with the ids
+async function recordSessionTurn(session, message, payload) {
+  payload.sessionId = session.id;
+  
+  try {
+    const turn = await sessionStore.appendTurn(session.id, {
+      question: message,
+      sql: payload.sql,
+      goal: payload.goal || null,
+      queryType: payload.queryType || null,
+      visualization: payload.visualization,
+      answer: payload.answer,
+      success: payload.success
+    });
+    payload.turnId = turn ? turn.id : null;
+  } catch (error) {
+    // The answer is still returned, it just won't be in the session history
+    logEvent('error', 'session.save_turn_failed', { error });
+    payload.turnId = null;
+  }
+}
+
+// ============================================================
+// Export: re-runs a query and returns the aggregated rows with
+// every computed metric as CSV, XLSX or JSON.
+// ============================================================
+
+// Metric columns in export order (measures, then derived metrics and their aliases), with the header label and number format
+const EXPORT_COLUMNS = {
+  ...Object.fromEntries(MEASURE_COLUMNS.map(column => [column, { label: MEASURES[column].label, format: MEASURES[column].format }])),
+  ...Object.fromEntries(Object.entries(METRICS).flatMap(([metric, definition]) => {
+    const column = { label: definition.format === 'percent' ? `${definition.label} (%)` : definition.label, format: definition.format };
+    return [metric, ...(definition.aliases || [])].map(key => [key, column]);
+  }))
+};
+const EXPORT_FORMATS = ['csv', 'xlsx', 'json'];
+
+// Helper: Export columns plus the account's custom metrics (after the built-in ones)
+function exportColumnsFor(customMetrics = []) {
+  return {
+    ...EXPORT_COLUMNS,
+    ...Object.fromEntries(customMetrics.map(definition => [definition.name, {
+      label: definition.format === 'percent' ? `${definition.label} (%)` : definition.label,
+      format: definition.format
+    }]))
+  };
+}
+
+// Helper: Header label for a column (dimension, metric or SQL alias)
+function exportColumnLabel(key, exportColumns = EXPORT_COLUMNS) {
+  if (exportColumns[key]) return exportColumns[key].label;
+  const periodMatch = key.match(/^(.+)_(current|previous|change|change_pct)$/);
+  if (periodMatch && exportColumns[periodMatch[1]]) {
+    return `${exportColumns[periodMatch[1]].label} (${periodMatch[2].replace('_pct', ' %')})`;
+  }
+  return key.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+// Helper: Equality / IN filters in the WHERE clause (AND-ed predicates only)
+function describeSQLFilters(statement) {
+  const filters = {};
+  const visit = node => {
+    if (!node) return;
+    if (node.type === 'binary' && node.operator === 'AND') {
+      visit(node.left);
+      visit(node.right);
+    } else if (node.type === 'binary' && node.operator === '=' && node.left.type === 'column' && node.right.type === 'string') {
+      (filters[node.left.name.toLowerCase()] = filters[node.left.name.toLowerCase()] || []).push(node.right.value);
+    } else if (node.type === 'in' && !node.negated && node.expr.type === 'column') {
+      const values = node.list.filter(item => item.type === 'string').map(item => item.value);
+      (filters[node.expr.name.toLowerCase()] = filters[node.expr.name.toLowerCase()] || []).push(...values);
+    }
+  };
+  visit(statement.where);
+  return filters;
+}
+
+// Flatten an executeAndAggregate result into export columns and rows
+function buildExportTable(result) {
+  const visualization = result.visualization || {};
+  const rawData = result.rawData;
+  const dimensions = visualization.dimensions && visualization.dimensions.length > 0
+    ? visualization.dimensions
+    : [visualization.dimension || 'segment'];
+  let rows;
+  
+  // Split "TikTok | West" keys back into one column per dimension
+  const segmentColumns = key => {
+    const values = String(key).split(DIMENSION_KEY_SEPARATOR);
+    return Object.fromEntries(dimensions.map((dimension, index) => [dimension, values[index]]));
+  };
+  
+  if (Array.isArray(rawData)) {
+    rows = rawData;
+  } else if (visualization.type === 'anomalies') {
+    rows = rawData.anomalies.map(({ impact, ...anomaly }) => ({ ...anomaly, impact_unit: impact.unit, impact_value: impact.value }));
+  } else if (visualization.type === 'funnel') {
+    rows = Object.entries(rawData).map(([key, funnel]) => ({
+      ...segmentColumns(key),
+      ...Object.fromEntries(funnel.stages.map(stage => [stage.stage, stage.value])),
+      spend: funnel.spend,
+      hookRate: funnel.hookRate,
+      holdRate: funnel.holdRate,
+      completionRate: funnel.completionRate,
+      costPerCompletedView: funnel.costPerCompletedView,
+      biggest_drop_off: funnel.biggestDropOff
+    }));
+  } else if (visualization.type === 'period_comparison') {
+    rows = Object.entries(rawData).map(([key, metrics]) => {
+      const row = segmentColumns(key);
+      Object.entries(metrics).forEach(([metric, delta]) => {
+        row[`${metric}_current`] = delta.current;
+        row[`${metric}_previous`] = delta.previous;
+        row[`${metric}_change`] = delta.change;
+        row[`${metric}_change_pct`] = delta.changePct;
+      });
+      return row;
+    });
+  } else if (rawData && typeof rawData.spend === 'number') {
+    // Single aggregate (no GROUP BY)
+    rows = [{ segment: visualization.platform || 'Total', ...rawData }];
+  } else {
+    rows = Object.entries(rawData || {}).map(([key, metrics]) => ({ ...segmentColumns(key), ...metrics }));
+  }
+  
+  // Dimensions first, then the known metrics in a fixed order, then anything else
+  const keys = [...new Set(rows.flatMap(row => Object.keys(row)))];
+  const exportColumns = exportColumnsFor(result.customMetrics);
+  const metricKeys = Object.keys(exportColumns);
+  const orderedKeys = [
+    ...keys.filter(key => !metricKeys.includes(key) && !rows.some(row => typeof row[key] === 'number')),
+    ...metricKeys.filter(key => keys.includes(key)),
+    ...keys.filter(key => !metricKeys.includes(key) && rows.some(row => typeof row[key] === 'number'))
+  ];
+  
+  const columns = orderedKeys.map(key => {
+    const metric = exportColumns[key.replace(/_(current|previous|change|change_pct)$/, '')];
+    let format = rows.some(row => typeof row[key] === 'number') ? 'number' : 'text';
+    if (exportColumns[key]) format = exportColumns[key].format;
+    else if (metric) format = /_change_pct$/.test(key) ? 'percent' : metric.format;
+    return { key, label: exportColumnLabel(key, exportColumns), format };
+  });
+  
+  // Trim floating point noise from summed values (e.g. 26457.540000000005)
+  const cell = value => {
+    if (value === undefined) return null;
+    return typeof value === 'number' ? parseFloat(value.toPrecision(12)) : value;
+  };
+  
+  return { columns, rows: rows.map(row => Object.fromEntries(orderedKeys.map(key => [key, cell(row[key])]))) };
+}
+
+// Re-run a /chat query (no LLM involved) and build the export payload
+async function runExport({ sql, question, goal, queryType }, accountId = null) {
+  const validation = validateSQL(sql.replace(/;\s*$/, '').trim());
+  if (!validation.valid) {
+    throw sqlError(validation.code, validation.error);
+  }
+  
+  // The SQL decides what is exported: its report_month filter is the range and the period label
+  const sqlRange = statementDateRange(validation.statement.where);
+  if (!sqlRange.start || !sqlRange.end) {
+    throw sqlError('MISSING_DATE_FILTER', 'The SQL must filter report_month to specific months (=, IN or BETWEEN) to be exported');
+  }
+  const range = buildDateRange(sqlRange.start, sqlRange.end);
+  
+  // A period comparison from the question is kept when the SQL covers both periods
+  const availableMonths = await getAvailableMonths(accountId);
+  const { comparison } = resolveTimeFrame(question || '', availableMonths);
+  const timeFrame = {
+    range,
+    comparison: comparison && comparison.previous.start >= range.start && comparison.current.end <= range.end ? comparison : null
+  };
+  const result = await executeAndAggregate(sql, question || '', goal || null, queryType || null, timeFrame, accountId);
+  const table = buildExportTable(result);
+  
+  return {
+    metadata: {
+      question: question || null,
+      sql: sql,
+      goal: goal || null,
+      queryType: queryType || null,
+      period: timeFrame.comparison
+        ? `${timeFrame.comparison.previous.label} vs ${timeFrame.comparison.current.label}`
+        : range.label,
+      filters: describeSQLFilters(validation.statement),
+      visualization: result.visualization ? result.visualization.type : null,
+      rowCount: table.rows.length,
+      generatedAt: new Date().toISOString()
+    },
+    columns: table.columns,
+    rows: table.rows
+  };
+}
+
+// Helper: Quote a CSV field when needed
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  // Keep spreadsheets from reading text as a formula
+  if (/^[=+\-@]/.test(text) && isNaN(Number(text))) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// CSV with the metadata as leading "# key: value" lines
+function formatExportCSV(exported) {
+  const lines = Object.entries(exported.metadata).map(([key, value]) =>
+    csvField(`# ${key}: ${typeof value === 'object' && value !== null ? JSON.stringify(value) : value}`));
+  lines.push(exported.columns.map(column => csvField(column.label)).join(','));
+  exported.rows.forEach(row => {
+    lines.push(exported.columns.map(column => csvField(row[column.key])).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+}
+
+// Helper: CRC-32 for the zip container
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC32_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Helper: Minimal zip archive (stored, uncompressed) from { name: string } entries
+function buildZip(files) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+  
+  Object.entries(files).forEach(([name, content]) => {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const data = Buffer.from(content, 'utf8');
+    const crc = crc32(data);
+    
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4); // version needed
+    local.writeUInt16LE(0x0800, 6); // UTF-8 names
+    local.writeUInt16LE(0, 8); // stored
+    local.writeUInt32LE(0, 10); // time/date
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    local.writeUInt16LE(0, 28);
+    
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(0, 10);
+    central.writeUInt32LE(0, 12);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+    
+    localParts.push(local, nameBuffer, data);
+    centralParts.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + data.length;
+  });
+  
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+// Helper: Escape text for XML
+function escapeXML(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Helper: Spreadsheet column letter for a zero-based index (0 → A, 26 → AA)
+function spreadsheetColumn(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+// Cell styles in styles.xml, by export format
+const XLSX_STYLES = { text: 0, header: 1, currency: 2, integer: 3, ratio: 4, percent: 5, number: 6 };
+
+// Helper: Worksheet XML from rows of { value, style } cells
+function buildWorksheetXML(rows) {
+  const rowXML = rows.map((cells, rowIndex) => {
+    const cellXML = cells.map((cell, columnIndex) => {
+      const ref = `${spreadsheetColumn(columnIndex)}${rowIndex + 1}`;
+      if (cell.value === null || cell.value === undefined) return `<c r="${ref}" s="${cell.style}"/>`;
+      if (typeof cell.value === 'number') return `<c r="${ref}" s="${cell.style}"><v>${cell.value}</v></c>`;
+      return `<c r="${ref}" s="${cell.style}" t="inlineStr"><is><t xml:space="preserve">${escapeXML(cell.value)}</t></is></c>`;
+    }).join('');
+    return `<row r="${rowIndex + 1}">${cellXML}</row>`;
+  }).join('');
+  
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${rowXML}</sheetData></worksheet>`;
+}
+
+// XLSX workbook: a Data sheet with formatted columns and a Metadata sheet
+function formatExportXLSX(exported) {
+  const dataRows = [
+    exported.columns.map(column => ({ value: column.label, style: XLSX_STYLES.header })),
+    ...exported.rows.map(row => exported.columns.map(column => ({
+      value: row[column.key],
+      style: typeof row[column.key] === 'number' ? XLSX_STYLES[column.format] || XLSX_STYLES.number : XLSX_STYLES.text
+    })))
+  ];
+  
+  const metadataRows = [
+    [{ value: 'Field', style: XLSX_STYLES.header }, { value: 'Value', style: XLSX_STYLES.header }],
+    ...Object.entries(exported.metadata).map(([key, value]) => [
+      { value: key, style: XLSX_STYLES.text },
+      { value: typeof value === 'object' && value !== null ? JSON.stringify(value) : value, style: XLSX_STYLES.text }
+    ]),
+    [],
+    [{ value: 'Column', style: XLSX_STYLES.header }, { value: 'Label', style: XLSX_STYLES.header }, { value: 'Format', style: XLSX_STYLES.header }],
+    ...exported.columns.map(column => [column.key, column.label, column.format].map(value => ({ value, style: XLSX_STYLES.text })))
+  ];
+  
+  return buildZip({
+    '[Content_Types].xml': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/><Override PartName="/xl/worksheets/sheet2.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/><Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/></Types>`,
+    '_rels/.rels': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>`,
+    'xl/workbook.xml': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="Data" sheetId="1" r:id="rId1"/><sheet name="Metadata" sheetId="2" r:id="rId2"/></sheets></workbook>`,
+    'xl/_rels/workbook.xml.rels': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/><Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet2.xml"/><Relationship Id="rId3" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/></Relationships>`,
+    'xl/styles.xml': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><numFmts count="3"><numFmt numFmtId="164" formatCode="&quot;$&quot;#,##0.00"/><numFmt numFmtId="165" formatCode="0.00&quot;x&quot;"/><numFmt numFmtId="166" formatCode="0.00&quot;%&quot;"/></numFmts><fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts><fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills><borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders><cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs><cellXfs count="7"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/><xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/><xf numFmtId="3" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/><xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/><xf numFmtId="166" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/><xf numFmtId="4" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/></cellXfs></styleSheet>`,
+    'xl/worksheets/sheet1.xml': buildWorksheetXML(dataRows),
+    'xl/worksheets/sheet2.xml': buildWorksheetXML(metadataRows)
+  });
+}
+
+// ============================================================
+// Data Ingestion: validates CSV / JSON rows for video_ad_performance
+// and upserts them by (report_month, platform, region, age_group, gender),
+// plus account_id when accounts are configured.
+// ============================================================
+
+const INGEST_KEY_COLUMNS = [...(MULTI_TENANT ? ['account_id'] : []), 'report_month', ...DIMENSION_COLUMNS];
+const INGEST_INTEGER_COLUMNS = MEASURE_COLUMNS.filter(column => MEASURES[column].type === 'bigint');
+const INGEST_DECIMAL_COLUMNS = MEASURE_COLUMNS.filter(column => MEASURES[column].type === 'numeric');
+const INGEST_BATCH_SIZE = 500;
+
+// Counts that can't exceed another count in the same row: [smaller, larger]
+const INGEST_ROW_LIMITS = [
+  ['clicks', 'impressions'],
+  ['video_starts', 'impressions'],
+  ['views_3s', 'video_starts'],
+  ['views_25', 'video_starts'],
+  ['views_50', 'views_25'],
+  ['views_100', 'views_50'],
+  ['views_100', 'video_starts']
+];
+
+// Parse CSV text (RFC 4180 quoting) into objects keyed by the header row
+function parseCSV(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  const input = String(text).replace(/^\uFEFF/, '');
+  
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+  
+  const nonEmpty = records.filter(r => r.some(value => value.trim() !== ''));
+  if (nonEmpty.length === 0) return [];
+  
+  const headers = nonEmpty[0].map(header => header.trim());
+  return nonEmpty.slice(1).map(values =>
+    Object.fromEntries(headers.map((header, index) => [header, values[index] === undefined ? '' : values[index]])));
+}
+
+// Helper: Coerce "1,234", "$5.00" or 5 to a number (NaN when not numeric)
+function coerceNumber(value) {
+  if (typeof value === 'number') return value;
+  if (value === null || value === undefined || String(value).trim() === '') return NaN;
+  return Number(String(value).replace(/[$,\s]/g, ''));
+}
+
+// Validate and coerce one input row (rows without an account_id get defaultAccountId).
+// Returns { row, errors } where errors is a list of { field, message }.
+function validateIngestRow(input, defaultAccountId = null) {
+  const errors = [];
+  const row = {};
+  
+  // account_id: required once accounts are configured, and must be one of them
+  if (MULTI_TENANT) {
+    const rowAccountId = String(input.account_id === undefined || input.account_id === null ? '' : input.account_id).trim();
+    const accountId = rowAccountId || defaultAccountId;
+    if (!accountId) {
+      errors.push({ field: 'account_id', message: 'Required: set account_id on the row or ?account= on the request' });
+    } else if (rowAccountId && defaultAccountId && rowAccountId !== defaultAccountId) {
+      errors.push({ field: 'account_id', message: `"${rowAccountId}" does not match ?account=${defaultAccountId}` });
+    } else if (!ACCOUNT_ID_PATTERN.test(accountId) || (KNOWN_ACCOUNTS && !KNOWN_ACCOUNTS.has(accountId))) {
+      errors.push({ field: 'account_id', message: `"${accountId}" is not a configured account` });
+    } else {
+      row.account_id = accountId;
+    }
+  }
+  
+  // report_month: YYYY-MM or the first day of a month
+  const monthText = String(input.report_month === undefined || input.report_month === null ? '' : input.report_month).trim();
+  const monthMatch = monthText.match(/^(\d{4})-(\d{2})(?:-(\d{2}))?/);
+  if (!monthMatch || Number(monthMatch[2]) < 1 || Number(monthMatch[2]) > 12) {
+    errors.push({ field: 'report_month', message: `Expected YYYY-MM-01, got "${monthText}"` });
+  } else if (monthMatch[3] && monthMatch[3] !== '01') {
+    errors.push({ field: 'report_month', message: 'report_month must be the first day of a month' });
+  } else {
+    row.report_month = `${monthMatch[1]}-${monthMatch[2]}-01`;
+  }
+  
+  // Dimensions: match the allowed values case-insensitively
+  Object.entries(DIMENSIONS).forEach(([column, { values: allowed }]) => {
+    const value = String(input[column] === undefined || input[column] === null ? '' : input[column]).trim();
+    const match = allowed.find(option => option.toLowerCase() === value.toLowerCase());
+    if (!match) {
+      errors.push({ field: column, message: `"${value}" is not one of ${allowed.join(', ')}` });
+    } else {
+      row[column] = match;
+    }
+  });
+  
+  INGEST_DECIMAL_COLUMNS.forEach(column => {
+    const value = coerceNumber(input[column]);
+    if (!Number.isFinite(value) || value < 0) {
+      errors.push({ field: column, message: `Expected a non-negative number, got "${input[column]}"` });
+    } else {
+      row[column] = value;
+    }
+  });
+  
+  INGEST_INTEGER_COLUMNS.forEach(column => {
+    const value = coerceNumber(input[column]);
+    if (!Number.isInteger(value) || value < 0) {
+      errors.push({ field: column, message: `Expected a non-negative whole number, got "${input[column]}"` });
+    } else {
+      row[column] = value;
+    }
+  });
+  
+  INGEST_ROW_LIMITS.forEach(([smaller, larger]) => {
+    if (typeof row[smaller] === 'number' && typeof row[larger] === 'number' && row[smaller] > row[larger]) {
+      errors.push({ field: smaller, message: `${smaller} (${row[smaller]}) cannot exceed ${larger} (${row[larger]})` });
+    }
+  });
+  
+  const knownColumns = [...INGEST_KEY_COLUMNS, ...INGEST_DECIMAL_COLUMNS, ...INGEST_INTEGER_COLUMNS];
+  const unknown = Object.keys(input).filter(column => !knownColumns.includes(column) && !['id', 'created_at'].includes(column));
+  if (unknown.length > 0) {
+    errors.push({ field: unknown[0], message: `Unknown column(s): ${unknown.join(', ')}` });
+  }
+  
+  return { row, errors };
+}
+
+// Helper: Upsert key for a row
+function ingestRowKey(row) {
+  return INGEST_KEY_COLUMNS.map(column => row[column]).join('|');
+}
+
+// Write validated rows to Supabase (or the in-memory fixture data) in batches
+async function upsertPerformanceRows(rows) {
+  if (DATA_SOURCE === 'fixture') {
+    const existing = loadFixtureRows();
+    const index = new Map(existing.map((row, position) => [ingestRowKey({ ...row, report_month: String(row.report_month).substring(0, 10) }), position]));
+    let updated = 0;
+    rows.forEach(row => {
+      const key = ingestRowKey(row);
+      if (index.has(key)) {
+        existing[index.get(key)] = { ...existing[index.get(key)], ...row };
+        updated++;
+      } else {
+        index.set(key, existing.length);
+        existing.push({ ...row });
+      }
+    });
+    return { upserted: rows.length, inserted: rows.length - updated, updated };
+  }
+  
+  for (let start = 0; start < rows.length; start += INGEST_BATCH_SIZE) {
+    const { error } = await supabase
+      .from('video_ad_performance')
+      .upsert(rows.slice(start, start + INGEST_BATCH_SIZE), { onConflict: INGEST_KEY_COLUMNS.join(',') });
+    if (error) throw error;
+  }
+  return { upserted: rows.length };
+}
+
+// Validate a batch and upsert the valid rows.
+// options: dryRun, accountId (for rows without an account_id).
+// Row numbers in the report are 1-based positions in the input.
+async function ingestRows(inputRows, options = {}) {
+  const report = [];
+  const validRows = [];
+  const seen = new Map();
+  
+  inputRows.forEach((input, index) => {
+    const rowNumber = index + 1;
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      report.push({ row: rowNumber, errors: [{ field: null, message: 'Row must be an object' }] });
+      return;
+    }
+    
+    const { row, errors } = validateIngestRow(input, options.accountId || null);
+    if (errors.length === 0) {
+      const key = ingestRowKey(row);
+      if (seen.has(key)) {
+        errors.push({ field: null, message: `Duplicate of row ${seen.get(key)} (same ${MULTI_TENANT ? 'account, ' : ''}month, platform, region, age_group and gender)` });
+      } else {
+        seen.set(key, rowNumber);
+      }
+    }
+    
+    if (errors.length > 0) {
+      report.push({ row: rowNumber, errors });
+    } else {
+      validRows.push(row);
+    }
+  });
+  
+  let written = { upserted: 0 };
+  if (!options.dryRun && validRows.length > 0) {
+    written = await upsertPerformanceRows(validRows);
+    // New rows (and months) must show up right away
+    invalidateDataCaches('ingest');
+  }
+  
+  return {
+    received: inputRows.length,
+    valid: validRows.length,
+    rejected: report.length,
+    dryRun: !!options.dryRun,
+    ...written,
+    errors: report
+  };
+}
+
+// ============================================================
+// Platform Report Normalizers: map each ad platform's native CSV
+// export into video_ad_performance rows for /ingest.
+// ============================================================
+
+// US states (and common abbreviations) by Census region
+const STATE_REGIONS = {
+  Northeast: ['Connecticut', 'Maine', 'Massachusetts', 'New Hampshire', 'Rhode Island', 'Vermont', 'New Jersey', 'New York', 'Pennsylvania'],
+  Midwest: ['Illinois', 'Indiana', 'Michigan', 'Ohio', 'Wisconsin', 'Iowa', 'Kansas', 'Minnesota', 'Missouri', 'Nebraska', 'North Dakota', 'South Dakota'],
+  South: ['Delaware', 'Florida', 'Georgia', 'Maryland', 'North Carolina', 'South Carolina', 'Virginia', 'District of Columbia', 'West Virginia',
+    'Alabama', 'Kentucky', 'Mississippi', 'Tennessee', 'Arkansas', 'Louisiana', 'Oklahoma', 'Texas'],
+  West: ['Arizona', 'Colorado', 'Idaho', 'Montana', 'Nevada', 'New Mexico', 'Utah', 'Wyoming', 'Alaska', 'California', 'Hawaii', 'Oregon', 'Washington']
+};
+const STATE_ABBREVIATIONS = {
+  CT: 'Connecticut', ME: 'Maine', MA: 'Massachusetts', NH: 'New Hampshire', RI: 'Rhode Island', VT: 'Vermont', NJ: 'New Jersey',
+  NY: 'New York', PA: 'Pennsylvania', IL: 'Illinois', IN: 'Indiana', MI: 'Michigan', OH: 'Ohio', WI: 'Wisconsin', IA: 'Iowa',
+  KS: 'Kansas', MN: 'Minnesota', MO: 'Missouri', NE: 'Nebraska', ND: 'North Dakota', SD: 'South Dakota', DE: 'Delaware',
+  FL: 'Florida', GA: 'Georgia', MD: 'Maryland', NC: 'North Carolina', SC: 'South Carolina', VA: 'Virginia', DC: 'District of Columbia',
+  WV: 'West Virginia', AL: 'Alabama', KY: 'Kentucky', MS: 'Mississippi', TN: 'Tennessee', AR: 'Arkansas', LA: 'Louisiana',
+  OK: 'Oklahoma', TX: 'Texas', AZ: 'Arizona', CO: 'Colorado', ID: 'Idaho', MT: 'Montana', NV: 'Nevada', NM: 'New Mexico',
+  UT: 'Utah', WY: 'Wyoming', AK: 'Alaska', CA: 'California', HI: 'Hawaii', OR: 'Oregon', WA: 'Washington'
+};
+
+// Helper: Region for a state name / abbreviation (or a region name as-is)
+function mapRegion(value) {
+  const text = String(value || '').trim();
+  const region = DIMENSIONS.region.values.find(option => option.toLowerCase() === text.toLowerCase());
+  if (region) return region;
+  
+  const state = STATE_ABBREVIATIONS[text.toUpperCase()] || text;
+  return Object.keys(STATE_REGIONS).find(name =>
+    STATE_REGIONS[name].some(option => option.toLowerCase() === state.toLowerCase())) || null;
+}
+
+// Helper: Month key from "2025-10-01", "2025-10-14T00:00:00-07:00", "10/14/2025" or "October 2025"
+function mapReportMonth(value) {
+  const text = String(value || '').trim();
+  let match = text.match(/^(\d{4})-(\d{2})/);
+  if (match) return `${match[1]}-${match[2]}-01`;
+  
+  match = text.match(/^(\d{1,2})\/\d{1,2}\/(\d{4})$/);
+  if (match) return `${match[2]}-${match[1].padStart(2, '0')}-01`;
+  
+  match = text.match(/^([a-z]+)\.?\s+(\d{4})$/i);
+  if (match) {
+    const monthIndex = MONTH_NAMES.findIndex(name => name.startsWith(match[1].toLowerCase().substring(0, 3)));
+    if (monthIndex !== -1) return monthKey(parseInt(match[2], 10), monthIndex);
+  }
+  return null;
+}
+
+// Helper: Case-insensitive lookup in a value map (null when unmapped)
+function mapValue(valueMap) {
+  return value => {
+    const key = Object.keys(valueMap).find(option => option.toLowerCase() === String(value || '').trim().toLowerCase());
+    return key === undefined ? null : valueMap[key];
+  };
+}
+
+// Native report formats.
+// signature: headers that identify the export.
+// columns: target column → { from: [header aliases, first present wins], map (dimension), percentOf (rate of another target), note,
+//          rejects ({ native value: reason } for values with no faithful mapping; those rows are rejected with the reason) }
+// platform: constant platform, or a column mapping when the export mixes platforms.
+// ignore: native headers that are expected and intentionally not imported.
+const PLATFORM_REPORT_FORMATS = {
+  meta: {
+    name: 'Meta Ads Manager',
+    signature: ['Amount spent (USD)', 'Reporting starts'],
+    columns: {
+      report_month: { from: ['Reporting starts', 'Month'], map: mapReportMonth },
+      platform: { from: ['Platform'], map: mapValue({ facebook: 'Facebook', instagram: 'Instagram' }) },
+      region: { from: ['Region'], map: mapRegion },
+      age_group: { from: ['Age'], map: mapValue({ '18-24': '18-24', '25-34': '25-34', '35-44': '35-44', '45-54': '45-54', '55-64': '55-64', '65+': '65+' }) },
+      gender: { from: ['Gender'], map: mapValue({ male: 'male', female: 'female', unknown: 'unknown' }) },
+      spend: { from: ['Amount spent (USD)'] },
+      impressions: { from: ['Impressions'] },
+      video_starts: { from: ['Video plays'] },
+      views_3s: { from: ['3-second video plays'] },
+      views_25: { from: ['Video plays at 25%'] },
+      views_50: { from: ['Video plays at 50%'] },
+      views_100: { from: ['Video plays at 100%'] },
+      clicks: { from: ['Link clicks', 'Clicks (all)'] },
+      conversions: { from: ['Purchases', 'Results'] },
+      revenue: { from: ['Purchases conversion value'] }
+    },
+    ignore: ['Reporting ends', 'Campaign name', 'Ad set name', 'Ad name', 'Currency', 'Reach', 'Frequency']
+  },
+  tiktok: {
+    name: 'TikTok Ads Manager',
+    signature: ['Cost', 'Video views at 25%', '2-second video views'],
+    platform: 'TikTok',
+    columns: {
+      report_month: { from: ['Date', 'Month', 'By Day'], map: mapReportMonth },
+      region: { from: ['Region', 'Province'], map: mapRegion },
+      age_group: {
+        from: ['Age'],
+        map: mapValue({ AGE_18_24: '18-24', AGE_25_34: '25-34', AGE_35_44: '35-44', AGE_45_54: '45-54' }),
+        rejects: {
+          AGE_55_100: 'TikTok\'s 55+ bucket spans the 55-64 and 65+ age groups and can\'t be split between them',
+          AGE_13_17: 'viewers under 18 are not an age group in video_ad_performance'
+        }
+      },
+      gender: { from: ['Gender'], map: mapValue({ MALE: 'male', FEMALE: 'female', NONE: 'unknown' }) },
+      spend: { from: ['Cost'] },
+      impressions: { from: ['Impressions'] },
+      video_starts: { from: ['Video views'] },
+      views_3s: { from: ['2-second video views'], note: 'TikTok reports 2-second views; they are imported as views_3s' },
+      views_25: { from: ['Video views at 25%'] },
+      views_50: { from: ['Video views at 50%'] },
+      views_100: { from: ['Video views at 100%'] },
+      clicks: { from: ['Clicks (destination)', 'Clicks'] },
+      conversions: { from: ['Conversions'] },
+      revenue: { from: ['Total purchase value'] }
+    },
+    notes: ['Rows in TikTok\'s AGE_55_100 (55+) bucket are rejected: it spans 55-64 and 65+'],
+    ignore: ['Campaign name', 'Ad group name', 'Ad name', 'Currency', 'CPM', 'CPC', 'CTR']
+  },
+  youtube: {
+    name: 'Google Ads (YouTube)',
+    signature: ['Impr.', 'Video played to 25%'],
+    platform: 'YouTube',
+    columns: {
+      report_month: { from: ['Month', 'Day'], map: mapReportMonth },
+      region: { from: ['Region', 'Region (Matched)'], map: mapRegion },
+      age_group: { from: ['Age'], map: mapValue({ '18 - 24': '18-24', '25 - 34': '25-34', '35 - 44': '35-44', '45 - 54': '45-54', '55 - 64': '55-64', '65+': '65+' }) },
+      gender: { from: ['Gender'], map: mapValue({ Male: 'male', Female: 'female', Undetermined: 'unknown' }) },
+      spend: { from: ['Cost'] },
+      impressions: { from: ['Impr.'] },
+      video_starts: { from: ['Impr.'], note: 'In-stream impressions are imported as video_starts' },
+      views_3s: { from: ['Video played to 25%'], percentOf: 'impressions', note: 'Google Ads has no 3-second views; views at 25% are imported as views_3s' },
+      views_25: { from: ['Video played to 25%'], percentOf: 'impressions' },
+      views_50: { from: ['Video played to 50%'], percentOf: 'impressions' },
+      views_100: { from: ['Video played to 100%'], percentOf: 'impressions' },
+      clicks: { from: ['Clicks'] },
+      conversions: { from: ['Conversions'] },
+      revenue: { from: ['Conv. value'] }
+    },
+    ignore: ['Campaign', 'Ad group', 'Currency code', 'Views', 'View rate', 'Avg. CPV', 'Avg. CPM']
+  },
+  snapchat: {
+    name: 'Snapchat Ads Manager',
+    signature: ['Paid Impressions', 'Swipe Ups'],
+    platform: 'Snapchat',
+    columns: {
+      report_month: { from: ['Start Time', 'Day'], map: mapReportMonth },
+      region: { from: ['Region'], map: mapRegion },
+      age_group: {
+        from: ['Age'],
+        map: mapValue({ '18-20': '18-24', '21-24': '18-24', '25-34': '25-34' }),
+        rejects: {
+          '35+': 'Snapchat\'s 35+ bucket spans the 35-44 to 65+ age groups and can\'t be split between them',
+          '13-17': 'viewers under 18 are not an age group in video_ad_performance'
+        }
+      },
+      gender: { from: ['Gender'], map: mapValue({ MALE: 'male', FEMALE: 'female', UNKNOWN: 'unknown' }) },
+      spend: { from: ['Spend'] },
+      impressions: { from: ['Paid Impressions'] },
+      video_starts: { from: ['Paid Impressions'], note: 'Snap ads autoplay, so paid impressions are imported as video_starts' },
+      views_3s: { from: ['Video Views'], note: 'Snapchat video views (2 seconds or more) are imported as views_3s' },
+      views_25: { from: ['Quartile 1'] },
+      views_50: { from: ['Quartile 2'] },
+      views_100: { from: ['View Completions'] },
+      clicks: { from: ['Swipe Ups'] },
+      conversions: { from: ['Conversion Purchases'] },
+      revenue: { from: ['Conversion Purchases Value'] }
+    },
+    notes: [
+      'Snapchat\'s 18-20 and 21-24 buckets are combined into 18-24',
+      'Rows in Snapchat\'s 35+ bucket are rejected: it spans 35-44 to 65+'
+    ],
+    ignore: ['End Time', 'Campaign Name', 'Ad Squad Name', 'Ad Name', 'eCPM', 'eCPSU']
+  }
+};
+
+// Helper: Which format a set of CSV headers belongs to (null when none match)
+function detectReportFormat(headers) {
+  return Object.keys(PLATFORM_REPORT_FORMATS).find(key =>
+    PLATFORM_REPORT_FORMATS[key].signature.every(header => headers.includes(header))) || null;
+}
+
+// Map native export rows into video_ad_performance rows.
+// Rows landing on the same segment (daily rows, merged age buckets) are summed.
+// Returns { format, rows, sourceRows, errors, unmappedColumns, notes }.
+function normalizePlatformReport(inputRows, formatKey) {
+  const headers = [...new Set(inputRows.flatMap(row => Object.keys(row)))];
+  const key = formatKey && formatKey !== 'auto' ? formatKey : detectReportFormat(headers);
+  const format = PLATFORM_REPORT_FORMATS[key];
+  if (!format) {
+    throw new Error(formatKey && formatKey !== 'auto'
+      ? `Unknown report format "${formatKey}" (expected ${Object.keys(PLATFORM_REPORT_FORMATS).join(', ')})`
+      : 'Could not recognize the report format from its headers');
+  }
+  
+  // Resolve each target column to the first alias present in this export
+  const sources = {};
+  Object.entries(format.columns).forEach(([column, mapping]) => {
+    const header = mapping.from.find(alias => headers.includes(alias));
+    if (header) sources[column] = { ...mapping, header };
+  });
+  
+  const missing = Object.keys(format.columns).filter(column => !sources[column]);
+  if (missing.length > 0) {
+    throw new Error(`${format.name} export is missing: ${missing.map(column => format.columns[column].from.join(' or ')).join('; ')}`);
+  }
+  
+  const usedHeaders = new Set(Object.values(sources).map(source => source.header));
+  const unmappedColumns = headers.filter(header => !usedHeaders.has(header) && !(format.ignore || []).includes(header));
+  const notes = [
+    ...Object.values(sources).filter(source => source.note).map(source => source.note),
+    ...(format.notes || [])
+  ];
+  
+  const errors = [];
+  const segments = new Map();
+  const numericColumns = [...INGEST_DECIMAL_COLUMNS, ...INGEST_INTEGER_COLUMNS];
+  
+  inputRows.forEach((input, index) => {
+    const rowNumber = index + 1;
+    const rowErrors = [];
+    const row = {};
+    
+    if (format.platform) row.platform = format.platform;
+    
+    Object.entries(format.columns).forEach(([column, mapping]) => {
+      const source = sources[column];
+      const value = input[source.header];
+      if (mapping.map) {
+        const mapped = mapping.map(value);
+        const rejection = mapped === null && mapValue(mapping.rejects || {})(value);
+        if (rejection) {
+          rowErrors.push({ field: column, message: `"${value}" (${source.header}) can't be mapped to ${column}: ${rejection}` });
+        } else if (mapped === null) {
+          rowErrors.push({ field: column, message: `"${value}" (${source.header}) can't be mapped to ${column}` });
+        } else {
+          row[column] = mapped;
+        }
+      } else if (!mapping.percentOf) {
+        // Native exports leave zero metrics blank
+        row[column] = String(value === undefined || value === null ? '' : value).trim() === '' ? 0 : coerceNumber(value);
+      }
+    });
+    
+    // Rates like "61.5%" become counts of the column they are a share of
+    Object.entries(sources).filter(([, source]) => source.percentOf).forEach(([column, source]) => {
+      const rate = coerceNumber(String(input[source.header] || '').replace('%', ''));
+      row[column] = Math.round((rate / 100) * row[source.percentOf]);
+    });
+    
+    numericColumns.forEach(column => {
+      if (column in row && !Number.isFinite(row[column])) {
+        rowErrors.push({ field: column, message: `Expected a number in "${sources[column].header}", got "${input[sources[column].header]}"` });
+      }
+    });
+    
+    if (rowErrors.length > 0) {
+      errors.push({ row: rowNumber, errors: rowErrors });
+      return;
+    }
+    
+    const segmentKey = ingestRowKey(row);
+    const segment = segments.get(segmentKey);
+    if (segment) {
+      numericColumns.forEach(column => { segment.row[column] += row[column]; });
+      segment.sourceRows.push(rowNumber);
+    } else {
+      segments.set(segmentKey, { row, sourceRows: [rowNumber] });
+    }
+  });
+  
+  const merged = [...segments.values()];
+  merged.forEach(segment => {
+    INGEST_DECIMAL_COLUMNS.forEach(column => {
+      segment.row[column] = parseFloat(segment.row[column].toFixed(2));
+    });
+  });
+  
+  return {
+    format: key,
+    formatName: format.name,
+    rows: merged.map(segment => segment.row),
+    sourceRows: merged.map(segment => segment.sourceRows),
+    errors,
+    unmappedColumns,
+    notes
+  };
+}
+
+// Helper: Is the request authorized to ingest? (INGEST_API_KEY as Bearer token or x-api-key)
+function isIngestAuthorized(req) {
+  const header = req.get('authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.substring(7) : req.get('x-api-key');
+  if (!token) return false;
+  
+  const expected = Buffer.from(INGEST_API_KEY);
+  const actual = Buffer.from(token);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// ============================================================
+// KPI Alerts: rules like "TikTok ROAS below 4x" are evaluated over
+// the latest month with the same aggregation as /chat. When a rule
+// fires, the offending segments and an explanation go to a webhook.
+// Stores share one async interface:
+//   listRules(), getRule(id), saveRule(rule), deleteRule(id)
+// ============================================================
+
+const ALERT_OPERATORS = ['below', 'above', 'drops_pct', 'rises_pct'];
+const ALERT_WEBHOOK_TIMEOUT_MS = 10000;
+
+// Addresses a rule's own webhookUrl may not reach: loopback, private, link-local
+// (cloud metadata), shared, benchmarking, multicast and reserved ranges. IPv4-mapped
+// IPv6 addresses are checked against the IPv4 ranges by BlockList itself; other IPv6
+// ranges that embed an IPv4 address (IPv4-compatible, NAT64, 6to4, Teredo) are blocked
+// whole. ALERT_WEBHOOK_URL is set by the operator and isn't checked.
+const WEBHOOK_BLOCKED_ADDRESSES = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]]
+  .forEach(([address, prefix]) => WEBHOOK_BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[['::', 96], ['64:ff9b::', 96], ['2001::', 32], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+  .forEach(([address, prefix]) => WEBHOOK_BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const WEBHOOK_ALLOWED_HOSTS = (ALERT_WEBHOOK_ALLOWED_HOSTS || '')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean);
+
+// Helper: Whether an IP address is in a blocked range
+function isBlockedWebhookAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return WEBHOOK_BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Helper: Why a rule's webhook host may not be used, or null. IP literals and
+// localhost are checked here; hostnames are checked again after DNS lookup.
+function webhookHostError(hostname) {
+  const host = hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+  if (WEBHOOK_ALLOWED_HOSTS.length > 0 && !WEBHOOK_ALLOWED_HOSTS.some(allowed =>
+    (allowed.startsWith('*.') ? host.endsWith(allowed.slice(1)) : host === allowed))) {
+    return 'host is not in ALERT_WEBHOOK_ALLOWED_HOSTS';
+  }
+  if (host === 'localhost' || host.endsWith('.localhost') || (net.isIP(host) && isBlockedWebhookAddress(host))) {
+    return 'must not point to a private, loopback or link-local address';
+  }
+  return null;
+}
+
+// Helper: dns.lookup that refuses blocked addresses, so a hostname can't
+// resolve (or re-resolve) to an internal address at connect time
+function blockedAddressLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    if (addresses.some(isBlockedWebhookAddress)) {
+      return callback(new Error(`${hostname} resolves to a blocked address`));
+    }
+    callback(null, address, family);
+  });
+}
+
+const ALERT_METRICS = [...Object.keys(METRICS), 'spend', 'revenue', 'impressions', 'clicks', 'conversions'];
+
+const ALERT_RULE_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['name', 'metric', 'operator', 'threshold'],
+  properties: {
+    name: { type: 'string' },
+    metric: { type: 'string', enum: ALERT_METRICS },
+    operator: { type: 'string', enum: ALERT_OPERATORS },
+    threshold: { type: 'number' },
+    dimension: { type: ['string', 'null'], enum: [...DIMENSION_COLUMNS, null] },
+    filters: buildFilterSchema(),
+    webhookUrl: { type: ['string', 'null'] },
+    enabled: { type: 'boolean' }
+  }
+};
+
+// Helper: Validate a rule body; on update the body is merged over the stored rule.
+// Returns { rule, errors }.
+function buildAlertRule(body, existing, accountId = null) {
+  const input = { ...(existing ? pickAlertRuleFields(existing) : {}), ...(body || {}) };
+  const errors = validateAgainstSchema(input, ALERT_RULE_SCHEMA, 'rule');
+  
+  if (typeof input.name === 'string' && !input.name.trim()) {
+    errors.push('rule.name must not be empty');
+  }
+  if (typeof input.threshold === 'number' && (!Number.isFinite(input.threshold) || input.threshold < 0)) {
+    errors.push('rule.threshold must be a non-negative number');
+  }
+  if (input.webhookUrl) {
+    let url = null;
+    try {
+      url = new URL(input.webhookUrl);
+    } catch (error) {
+      // reported below
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      errors.push('rule.webhookUrl must be an http(s) URL');
+    } else if (webhookHostError(url.hostname)) {
+      errors.push(`rule.webhookUrl ${webhookHostError(url.hostname)}`);
+    }
+  }
+  if (errors.length > 0) return { rule: null, errors };
+  
+  const now = new Date().toISOString();
+  return {
+    rule: {
+      id: existing ? existing.id : crypto.randomUUID(),
+      accountId: existing ? existing.accountId || null : accountId,
+      name: input.name.trim(),
+      metric: input.metric,
+      operator: input.operator,
+      threshold: input.threshold,
+      dimension: input.dimension || null,
+      filters: input.filters || {},
+      webhookUrl: input.webhookUrl || null,
+      enabled: input.enabled !== false,
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now,
+      lastRun: existing ? existing.lastRun || null : null,
+      lastNotification: existing ? existing.lastNotification || null : null
+    },
+    errors
+  };
+}
+
+// Helper: The fields of a rule a client can set
+function pickAlertRuleFields(rule) {
+  const { name, metric, operator, threshold, dimension, filters, webhookUrl, enabled } = rule;
+  return { name, metric, operator, threshold, dimension, filters, webhookUrl, enabled };
+}
+
+function createMemoryAlertStore() {
+  const rules = new Map();
+  
+  return {
+    name: 'memory',
+    
+    async listRules() {
+      return [...rules.values()];
+    },
+    
+    async getRule(id) {
+      return rules.get(id) || null;
+    },
+    
+    async saveRule(rule) {
+      rules.set(rule.id, rule);
+      return rule;
+    },
+    
+    async deleteRule(id) {
+      return rules.delete(id);
+    }
+  };
+}
+
+// Supabase-backed store (table alert_rules, see README)
+function createSupabaseAlertStore(client) {
+  return {
+    name: 'supabase',
+    
+    async listRules() {
+      const { data, error } = await client
+        .from('alert_rules')
+        .select('*')
+        .order('created_at', { ascending: true });
+      if (error) throw error;
+      return data.map(row => row.rule);
+    },
+    
+    async getRule(id) {
+      const { data, error } = await client
+        .from('alert_rules')
+        .select('*')
+        .eq('id', id)
+        .maybeSingle();
+      if (error) throw error;
+      return data ? data.rule : null;
+    },
+    
+    async saveRule(rule) {
+      const { error } = await client
+        .from('alert_rules')
+        .upsert({ id: rule.id, rule: rule, updated_at: rule.updatedAt }, { onConflict: 'id' });
+      if (error) throw error;
+      return rule;
+    },
+    
+    async deleteRule(id) {
+      const { data, error } = await client.from('alert_rules').delete().eq('id', id).select();
+      if (error) throw error;
+      return data.length > 0;
+    }
+  };
+}
+
+const ALERT_STORES = {
+  memory: () => createMemoryAlertStore(),
+  supabase: () => {
+    if (!supabase) throw new Error('ALERT_STORE=supabase requires DATA_SOURCE=supabase');
+    return createSupabaseAlertStore(supabase);
+  }
+};
+
+if (!ALERT_STORES[ALERT_STORE]) {
+  throw new Error(`Unknown ALERT_STORE: ${ALERT_STORE} (expected ${Object.keys(ALERT_STORES).join(', ')})`);
+}
+const alertStore = ALERT_STORES[ALERT_STORE]();
+
+// Helper: The account's rule, or null when it doesn't exist or belongs to another account
+async function getAccountAlertRule(id, accountId) {
+  const rule = await alertStore.getRule(id);
+  return rule && belongsToAccount(rule, accountId) ? rule : null;
+}
+
+// Helper: A metric's value on aggregated totals (null when it has nothing to divide by, e.g. CPA without conversions).
+// Derived metrics are recomputed unrounded so thresholds compare against the exact value.
+function alertMetricValue(d, metric) {
+  return METRICS[metric] ? computeMetric(metric, d) : d[metric];
+}
+
+// Helper: Aggregate the rule's rows into { segment: totals } (one "Total" segment without a dimension)
+function aggregateAlertSegments(rows, rule) {
+  const filtered = applyDimensionFilters(rows, rule.filters);
+  if (filtered.length === 0) return {};
+  return rule.dimension ? aggregateByDimension(filtered, rule.dimension) : { Total: aggregateSingleResult(filtered) };
+}
+
+// Evaluate one rule over its account's latest month (and the month before for drops_pct / rises_pct).
+// Returns { period, comparisonPeriod, segmentsChecked, fired, segments }.
+async function evaluateAlertRule(rule, availableMonths) {
+  const round = value => parseFloat(value.toFixed(4));
+  const latest = availableMonths[availableMonths.length - 1];
+  if (!latest) {
+    return { period: null, comparisonPeriod: null, segmentsChecked: 0, fired: false, segments: [] };
+  }
+  
+  const isChange = rule.operator === 'drops_pct' || rule.operator === 'rises_pct';
+  const currentRange = buildDateRange(latest, latest);
+  const previousRange = isChange ? buildDateRange(shiftMonth(latest, -1), shiftMonth(latest, -1)) : null;
+  
+  const range = previousRange ? buildDateRange(previousRange.start, latest) : currentRange;
+  const rows = normalizeSQLRows(await fetchPerformanceRows(range, rule.accountId || null));
+  const current = aggregateAlertSegments(rows.filter(row => isInDateRange(row, currentRange)), rule);
+  const previous = previousRange ? aggregateAlertSegments(rows.filter(row => isInDateRange(row, previousRange)), rule) : {};
+  
+  const segments = [];
+  let segmentsChecked = 0;
+  Object.entries(current).forEach(([segment, totals]) => {
+    const value = alertMetricValue(totals, rule.metric);
+    if (value === null) return;
+    
+    if (!isChange) {
+      segmentsChecked++;
+      const breached = rule.operator === 'below' ? value < rule.threshold : value > rule.threshold;
+      if (breached) {
+        segments.push({ segment, value: round(value), threshold: rule.threshold, spend: round(totals.spend) });
+      }
+      return;
+    }
+    
+    const before = previous[segment] ? alertMetricValue(previous[segment], rule.metric) : null;
+    if (!before) return;
+    segmentsChecked++;
+    
+    const changePct = ((value - before) / before) * 100;
+    const breached = rule.operator === 'drops_pct' ? changePct <= -rule.threshold : changePct >= rule.threshold;
+    if (breached) {
+      segments.push({
+        segment,
+        value: round(value),
+        previous: round(before),
+        changePct: parseFloat(changePct.toFixed(2)),
+        threshold: rule.threshold,
+        spend: round(totals.spend)
+      });
+    }
+  });
+  
+  // Worst first: furthest past the threshold
+  const distance = segment => (segment.changePct !== undefined ? Math.abs(segment.changePct) : Math.abs(segment.value - rule.threshold));
+  segments.sort((a, b) => distance(b) - distance(a) || a.segment.localeCompare(b.segment));
+  
+  return {
+    period: currentRange.label,
+    comparisonPeriod: previousRange ? previousRange.label : null,
+    segmentsChecked,
+    fired: segments.length > 0,
+    segments
+  };
+}
+
+// Helper: Plain-language condition, e.g. "roas below 4" or "completionRate drops 20% month over month"
+function describeAlertCondition(rule) {
+  if (rule.operator === 'drops_pct' || rule.operator === 'rises_pct') {
+    return `${rule.metric} ${rule.operator === 'drops_pct' ? 'drops' : 'rises'} ${rule.threshold}% month over month`;
+  }
+  return `${rule.metric} ${rule.operator} ${rule.threshold}`;
+}
+
+// Explain a fired alert: what breached, where, and what to look at
+async function explainAlert(rule, evaluation) {
+  const systemPrompt = `You are a performance marketing analyst writing a short alert notification.
+Explain in 2-4 sentences which segments breached the rule, by how much, and the most likely thing to check first.
+Use only the numbers given. No greeting, no markdown headers.`;
+  
+  const userPrompt = `Alert rule: "${rule.name}" (${describeAlertCondition(rule)})
+Filters: ${JSON.stringify(rule.filters)}
+Period: ${evaluation.period}${evaluation.comparisonPeriod ? ` vs ${evaluation.comparisonPeriod}` : ''}
+Offending segments:
+${JSON.stringify(evaluation.segments, null, 2)}`;
+  
+  try {
+    return await callLLM(systemPrompt, userPrompt, 300, { agent: 'alertExplainer', question: rule.name });
+  } catch (error) {
+    recordFallback('alertExplanation', error);
+    return formatAlertFallback(rule, evaluation);
+  }
+}
+
+// Fallback explanation for a fired alert if the LLM fails
+function formatAlertFallback(rule, evaluation) {
+  const details = evaluation.segments.map(segment => (segment.changePct !== undefined
+    ? `${segment.segment} at ${segment.value} (${segment.changePct > 0 ? '+' : ''}${segment.changePct}% from ${segment.previous})`
+    : `${segment.segment} at ${segment.value}`));
+  
+  return `"${rule.name}" fired for ${evaluation.period}: ${describeAlertCondition(rule)}. ${details.join('; ')}.`;
+}
+
+// POST the alert payload as JSON, signed with ALERT_WEBHOOK_SECRET when set.
+// With options.checkAddress (a rule's own webhookUrl) the host is checked again
+// and every resolved address must be public; redirects are never followed.
+// Returns { delivered, status, error } for logging, not for the API response.
+function deliverAlertWebhook(url, payload, options = {}) {
+  const body = JSON.stringify(payload);
+  const headers = { 'Content-Type': 'application/json', 'User-Agent': 'AdAgentOS-Alerts', 'Content-Length': Buffer.byteLength(body) };
+  if (ALERT_WEBHOOK_SECRET) {
+    headers['X-AdAgentOS-Signature'] = `sha256=${crypto.createHmac('sha256', ALERT_WEBHOOK_SECRET).update(body).digest('hex')}`;
+  }
+  
+  return new Promise(resolve => {
+    let target;
+    try {
+      target = new URL(url);
+    } catch (error) {
+      return resolve({ delivered: false, status: null, error: `Invalid webhook URL: ${error.message}` });
+    }
+    const hostError = options.checkAddress ? webhookHostError(target.hostname) : null;
+    if (hostError) return resolve({ delivered: false, status: null, error: `webhookUrl ${hostError}` });
+    
+    const client = target.protocol === 'https:' ? https : http;
+    const request = client.request(target, {
+      method: 'POST',
+      headers,
+      timeout: ALERT_WEBHOOK_TIMEOUT_MS,
+      ...(options.checkAddress ? { lookup: blockedAddressLookup } : {})
+    }, response => {
+      response.resume();
+      const ok = response.statusCode >= 200 && response.statusCode < 300;
+      resolve({ delivered: ok, status: response.statusCode, error: ok ? null : `Webhook returned ${response.statusCode}` });
+    });
+    request.on('timeout', () => request.destroy(new Error(`No response within ${ALERT_WEBHOOK_TIMEOUT_MS}ms`)));
+    request.on('error', error => resolve({ delivered: false, status: null, error: error.message }));
+    request.end(body);
+  });
+}
+
+// Evaluate a rule and notify its webhook when it fires.
+// A rule notifies once per period and set of segments unless options.force;
+// options.dryRun only evaluates (no explanation, no webhook, nothing stored).
+async function runAlertRule(rule, availableMonths, options = {}) {
+  const evaluatedAt = new Date().toISOString();
+  const evaluation = await evaluateAlertRule(rule, availableMonths);
+  const result = { ruleId: rule.id, name: rule.name, evaluatedAt, ...evaluation, explanation: null, delivery: null };
+  
+  if (options.dryRun) return result;
+  
+  const notificationKey = `${evaluation.period}:${evaluation.segments.map(segment => segment.segment).join(',')}`;
+  if (evaluation.fired) {
+    const url = rule.webhookUrl || ALERT_WEBHOOK_URL;
+    
+    if (!options.force && rule.lastNotification && rule.lastNotification.key === notificationKey) {
+      result.delivery = { url, delivered: false, skipped: true, error: `Already notified at ${rule.lastNotification.at}` };
+    } else if (!url) {
+      result.explanation = await explainAlert(rule, evaluation);
+      result.delivery = { url: null, delivered: false, error: 'No webhook URL: set webhookUrl on the rule or ALERT_WEBHOOK_URL' };
+    } else {
+      result.explanation = await explainAlert(rule, evaluation);
+      const delivery = await deliverAlertWebhook(url, {
+        event: 'alert.fired',
+        alert: { id: rule.id, accountId: rule.accountId || null, ...pickAlertRuleFields(rule), condition: describeAlertCondition(rule) },
+        firedAt: evaluatedAt,
+        period: evaluation.period,
+        comparisonPeriod: evaluation.comparisonPeriod,
+        segments: evaluation.segments,
+        explanation: result.explanation
+      }, { checkAddress: !!rule.webhookUrl });
+      // The upstream status and error stay in the logs: echoing them would let a
+      // tenant probe internal hosts through their webhookUrl
+      if (!delivery.delivered) {
+        logEvent('warn', 'alert.webhook_failed', { ruleId: rule.id, status: delivery.status, error: delivery.error });
+      }
+      result.delivery = { url, delivered: delivery.delivered, error: delivery.delivered ? null : 'Webhook delivery failed' };
+    }
+  }
+  
+  const updated = {
+    ...rule,
+    lastRun: {
+      evaluatedAt,
+      period: evaluation.period,
+      fired: evaluation.fired,
+      segments: evaluation.segments.length,
+      delivered: !!(result.delivery && result.delivery.delivered)
+    }
+  };
+  if (result.delivery && result.delivery.delivered) {
+    updated.lastNotification = { key: notificationKey, at: evaluatedAt };
+  }
+  await alertStore.saveRule(updated);
+  
+  return result;
+}
+
+// Evaluate several rules one after another, each over its account's data; a failing rule is reported, not thrown
+async function runAlertRules(rules, options = {}) {
+  const monthsByAccount = new Map();
+  const results = [];
+  
+  for (const rule of rules) {
+    try {
+      const accountId = rule.accountId || null;
+      if (!monthsByAccount.has(accountId)) {
+        monthsByAccount.set(accountId, await getAvailableMonths(accountId));
+      }
+      results.push(await runAlertRule(rule, monthsByAccount.get(accountId), options));
+    } catch (error) {
+      logEvent('error', 'alert.evaluate_failed', { ruleId: rule.id, error });
+      results.push({ ruleId: rule.id, name: rule.name, evaluatedAt: new Date().toISOString(), error: 'Could not evaluate rule' });
+    }
+  }
+  
+  return {
+    evaluatedAt: new Date().toISOString(),
+    evaluated: results.length,
+    fired: results.filter(result => result.fired).length,
+    results
+  };
+}
+
+// Scheduled evaluation of every enabled rule (ALERT_EVALUATION_INTERVAL_MINUTES)
+let alertRunInProgress = false;
+
+async function runScheduledAlerts() {
+  if (alertRunInProgress) return;
+  alertRunInProgress = true;
+  
+  try {
+    const rules = (await alertStore.listRules()).filter(rule => rule.enabled);
+    if (rules.length === 0) return;
+    // Explanations are counted as the scheduler's usage
+    const run = await requestContext.run(createRequestContext(crypto.randomUUID(), 'scheduler'), () => runAlertRules(rules));
+    logEvent('info', 'alerts.scheduled_run', { evaluated: run.evaluated, fired: run.fired });
+  } catch (error) {
+    logEvent('error', 'alerts.scheduled_run_failed', { error });
+  } finally {
+    alertRunInProgress = false;
+  }
+}
+
+// Helper: Describe what the SQL looks at as analysis steps
+function describeQuerySteps(sql, addStep) {
+  // Extract what we're analyzing from SQL
+  if (sql.includes('video_ad_performance')) {
+    addStep('🗄️ Accessing: video_ad_performance table');
+  }
+  
+  // Detect what metrics we're looking at
+  const metrics = [];
+  if (sql.includes('SUM(revenue) / NULLIF(SUM(spend)')) metrics.push('ROAS');
+  if (sql.includes('SUM(clicks)') && sql.includes('impressions')) metrics.push('CTR');
+  if (sql.includes('SUM(spend) / NULLIF(SUM(conversions)')) metrics.push('CPA');
+  if (sql.includes('views_100')) metrics.push('Video Completion Rate');
+  
+  if (metrics.length > 0) {
+    addStep(`📊 Calculating: ${metrics.join(', ')}`);
+  }
+  
+  // Detect grouping
+  const groupByMatch = sql.match(/GROUP BY\s+(\w+(?:\s*,\s*\w+)*)/i);
+  if (groupByMatch) {
+    addStep(`🎯 Comparing by: ${groupByMatch[1].split(/\s*,\s*/).join(' × ')}`);
+  }
+}
+
+// Helper: Cache a successful answer, and the query generator plan that led to it
+// (after any repair, so a plan that failed is never reused).
+// Nothing is cached when an LLM call failed since the request started (fallback answers).
+function cacheAnswer(answerKey, planKey, queryResult, llmFailuresAtStart, payload) {
+  if (llmFailureCount !== llmFailuresAtStart) return payload;
+  if (queryResult.planSource === 'queryGenerator') {
+    planCache.set(planKey, queryResult);
+  }
+  answerCache.set(answerKey, structuredClone(payload));
+  return payload;
+}
+
+// Cached plans and answers are keyed by the code that produces them: editing a prompt,
+// the classifier or the model starts from a fresh cache
+const PROMPT_VERSION = crypto.createHash('sha256')
+  .update([queryGeneratorAgent, answerGeneratorAgent, classifyIntent].map(fn => fn.toString()).join('\n'))
+  .update(buildDatabaseSchema([]))
+  .update(`${MODEL_NAME}:${INTENT_CLASSIFIER}`)
+  .digest('hex')
+  .substring(0, 12);
+
+// Run the full agent pipeline for one question over the rows of accountId (every row when null).
+// hooks (all optional) report progress as it happens:
+//   onStep(step), onSQL(sql), onVisualization(visualization), onToken(text)
+// Resolves with the /chat response payload, including the requestId its log lines carry.
+async function runChatPipeline(message, conversationHistory, accountId = null, hooks = {}) {
+  // Runs outside a request (the evaluation suite, scripts) get a request ID of their own
+  const context = requestContext.getStore();
+  if (!context) {
+    return requestContext.run(createRequestContext(crypto.randomUUID(), null, accountId),
+      () => runChatPipeline(message, conversationHistory, accountId, hooks));
+  }
+  
+  const started = process.hrtime.bigint();
+  const stepsBefore = context.steps.length;
+  logEvent('info', 'chat.started', { question: message, historyTurns: (conversationHistory || []).length, accountId });
+  
+  const payload = await answerChatMessage(message, conversationHistory, accountId, hooks);
+  
+  let outcome = 'answered';
+  if (payload.cached) {
+    outcome = 'cached';
+  } else if (!payload.success) {
+    outcome = 'failed';
+  } else if (payload.notAnswerable) {
+    outcome = 'not_answerable';
+  }
+  chatRequestsTotal.inc({ outcome, plan_source: payload.planSource || 'none' });
+  logEvent(outcome === 'failed' ? 'warn' : 'info', 'chat.completed', {
+    outcome,
+    planSource: payload.planSource || null,
+    queryType: payload.queryType || null,
+    attempts: (payload.attempts || []).length,
+    durationMs: elapsedMs(started),
+    steps: context.steps.slice(stepsBefore),
+    fallbacks: context.fallbacks
+  });
+  
+  return { ...payload, requestId: context.requestId };
+}
+
+// The pipeline itself: plan, validate, execute, answer (see runChatPipeline)
+async function answerChatMessage(message, conversationHistory, accountId, hooks) {
+  // Track analysis steps
+  const analysisSteps = [];
+  const addStep = step => {
+    analysisSteps.push(step);
+    if (hooks.onStep) hooks.onStep(step);
+  };
+  
+  try {
+    // Step 1: Understanding
+    addStep(`🤔 User is asking: "${message}"`);
+    
+    // Build conversation context
+    let contextString = '';
+    if (conversationHistory && conversationHistory.length > 0) {
+      contextString = 'Previous conversation:\n';
+      conversationHistory.forEach(msg => {
+        contextString += `${msg.role === 'user' ? 'User' : 'Assistant'}: ${msg.content}\n`;
+      });
+      contextString += '\n';
+    }
+
+    // Extract previous goal from conversation history
+    let previousGoal = null;
+    if (conversationHistory && conversationHistory.length > 0) {
+      // Look through history from newest to oldest to find the most recent goal
+      for (let i = conversationHistory.length - 1; i >= 0; i--) {
+        if (conversationHistory[i].goal) {
+          previousGoal = conversationHistory[i].goal;
+          break;
+        }
+      }
+    }
+    
+    // Add previous goal to context
+    if (previousGoal) {
+      contextString += `Previous query goal: ${previousGoal}\n\n`;
+    }
+    
+    // Same question, same conversation, same data and metric definitions: replay the cached answer
+    const llmFailuresAtStart = llmFailureCount;
+    const normalizedQuestion = normalizeFixtureQuestion(message);
+    const customMetrics = await loadCustomMetrics(accountId);
+    const customMetricsKey = customMetrics.map(definition => `${definition.id}:${definition.updatedAt}`).join(',');
+    const answerKey = cacheKey('answer', [PROMPT_VERSION, accountId, customMetricsKey, normalizedQuestion, contextString]);
+    const cachedAnswer = answerCache.get(answerKey);
+    if (cachedAnswer) {
+      logEvent('info', 'cache.answer_hit');
+      const payload = structuredClone(cachedAnswer);
+      payload.analysisSteps.push('♻️ Answer served from cache');
+      if (hooks.onStep) payload.analysisSteps.forEach(step => hooks.onStep(step));
+      if (payload.sql && hooks.onSQL) hooks.onSQL(payload.sql);
+      if (payload.visualization && hooks.onVisualization) hooks.onVisualization(payload.visualization);
+      if (hooks.onToken) hooks.onToken(payload.answer);
+      return { ...payload, cached: true };
+    }
+    
+    // Then your existing queryGeneratorAgent call continues as normal:
+    // const queryResult = await queryGeneratorAgent(
+    //   contextString + 'Current question: ' + message
+    // );
+    
+    // Work out the date range from the question and the months in the data
+    const availableMonths = await getAvailableMonths(accountId);
+    const timeFrame = resolveTimeFrame(message, availableMonths);
+    if (timeFrame.comparison) {
+      addStep(`📅 Comparing: ${timeFrame.comparison.previous.label} vs ${timeFrame.comparison.current.label}`);
+    } else if (timeFrame.range) {
+      addStep(`📅 Time frame: ${timeFrame.range.label}`);
+    }
+    
+    // Common phrasings are planned by the intent classifier, the rest by the Query Generator Agent
+    const intent = INTENT_CLASSIFIER === 'on'
+      ? await traceStep('intentClassifier', async () => classifyIntent(message, timeFrame, conversationHistory),
+        classified => {
+          if (!classified) return { outcome: 'no_match' };
+          return classified.confident ? { outcome: 'confident' } : { outcome: 'not_confident', reasons: classified.reasons };
+        })
+      : null;
+    
+    const planKey = cacheKey('plan', [PROMPT_VERSION, accountId, customMetricsKey, normalizedQuestion, contextString]);
+    // The classifier doesn't know the account's metrics: questions about them go to the query generator
+    const asksCustomMetric = customMetrics.some(definition => mentionsCustomMetric(definition, '', message));
+    let queryResult;
+    if (intent && intent.confident && !asksCustomMetric) {
+      addStep('⚡ Recognized the question, planning the query directly...');
+      queryResult = intentToQueryResult(intent);
+    } else {
+      addStep('🔍 Analyzing what data is needed...');
+      try {
+        const cachedPlan = planCache.get(planKey);
+        if (cachedPlan) {
+          logEvent('info', 'cache.plan_hit');
+          queryResult = structuredClone(cachedPlan);
+        } else {
+          queryResult = await traceStep('queryGenerator', () => queryGeneratorAgent(
+            contextString + 'Current question: ' + message,
+            null,
+            timeFrame,
+            availableMonths,
+            null,
+            customMetrics
+          ));
+        }
+      } catch (error) {
+        // Query generator unavailable (provider outage, invalid plan): use the classifier's best guess
+        if (!intent) throw error;
+        recordFallback('intentClassifierPlan', error);
+        addStep('⚠️ Query generator unavailable, using the built-in classifier...');
+        queryResult = intentToQueryResult(intent);
+      }
+    }
+    
+    // Validate and execute; on failure send the error back to the generator and retry
+    const attempts = [];
+    let sql;
+    let result;
+    
+    for (let attempt = 1; ; attempt++) {
+      // If not SQL (conversational response), return immediately
+      if (!queryResult.isSQL) {
+        return cacheAnswer(answerKey, planKey, queryResult, llmFailuresAtStart, {
+          success: true,
+          sql: null,
+          answer: queryResult.content,
+          visualization: null,
+          analysisSteps: analysisSteps,
+          goal: queryResult.goal,
+          queryType: queryResult.queryType,
+          notAnswerable: true,
+          planSource: queryResult.planSource,
+          cached: false,
+          attempts: attempts
+        });
+      }
+      
+      sql = queryResult.content;
+      
+      // Remove trailing semicolon if present
+      sql = sql.replace(/;\s*$/, '').trim();
+      
+      if (attempt === 1) {
+        describeQuerySteps(sql, addStep);
+      }
+      
+      logEvent('debug', 'sql.generated', { attempt, sql });
+      if (hooks.onSQL) hooks.onSQL(sql);
+      
+      // Step 2: Validate SQL
+      let failure = null;
+      const validation = await traceStep('validateSQL', async () => validateSQL(sql),
+        checked => checked.valid ? { outcome: 'ok' } : { outcome: 'rejected', code: checked.code, reason: checked.error });
+      if (!validation.valid) {
+        failure = { stage: 'validation', code: validation.code, error: validation.error };
+      } else {
+        // Step 3: Execute SQL and aggregate
+        addStep(`🔄 Running analysis on ${timeFrame.range ? timeFrame.range.label : 'all available'} data...`);
+        try {
+          result = await traceStep('executeAndAggregate',
+            () => executeAndAggregate(sql, message, queryResult.goal, queryResult.queryType, timeFrame, accountId, customMetrics),
+            executed => ({ outcome: 'ok', rows: executed.resultSet ? executed.resultSet.rows.length : null }));
+        } catch (error) {
+          failure = { stage: 'execution', code: error.code || 'QUERY_ERROR', error: error.message };
+        }
+      }
+      
+      attempts.push({ attempt, sql, success: !failure, ...(failure || {}) });
+      if (!failure) break;
+      
+      // Data source outages can't be fixed by rewriting the query
+      const canRepair = failure.code !== 'DATA_SOURCE_ERROR' && attempt <= SQL_REPAIR_MAX_ATTEMPTS;
+      if (canRepair) {
+        addStep(`🔧 Query ${failure.stage} failed (${failure.code}), fixing the query...`);
+        try {
+          queryResult = await traceStep('queryRepair', () => queryGeneratorAgent(
+            contextString + 'Current question: ' + message,
+            null,
+            timeFrame,
+            availableMonths,
+            { sql, ...failure },
+            customMetrics
+          ));
+          continue;
+        } catch (error) {
+          // Already logged by traceStep; answer with the original failure
+        }
+      }
+      
+      if (failure.stage === 'validation') {
+        return {
+          success: false,
+          sql: sql,
+          answer: "I had trouble creating a safe query for that question. Could you try asking in a different way?",
+          visualization: null,
+          analysisSteps: analysisSteps,
+          validation: { code: failure.code, error: failure.error },
+          attempts: attempts
+        };
+      }
+      
+      return {
+        success: false,
+        sql: sql,
+        answer: "I ran into an issue retrieving that data. Could you try rephrasing your question? For example: 'Which platform has the best ROAS?' or 'Show me conversion rates by age group'",
+        visualization: null,
+        analysisSteps: analysisSteps,
+        attempts: attempts
+      };
+    }
+    
+    // Add data volume info
+    if (queryResult.queryType === 'ANOMALIES' && result.rawData.anomalies) {
+      addStep(`🔎 Scanned ${result.rawData.slicesScanned} segments, found ${result.rawData.anomalies.length} outliers`);
+    } else if (result.rawData && typeof result.rawData === 'object') {
+      const count = Object.keys(result.rawData).length;
+      addStep(`📈 Found: ${count} data segments to analyze`);
+    }
+    
+    // Budget questions: compute the allocation in code, the LLM only narrates it
+    let budget = null;
+    const budgetOptions = parseBudgetQuestion(message, queryResult.goal);
+    if (budgetOptions) {
+      addStep(`💰 Optimizing budget allocation for ${budgetOptions.goal}...`);
+      try {
+        budget = await traceStep('budgetOptimization',
+          () => runBudgetOptimization(timeFrame, budgetOptions, queryResult.filters, accountId));
+      } catch (error) {
+        if (error.name !== 'BudgetError') throw error;
+        return {
+          success: false,
+          sql: sql,
+          answer: `I couldn't compute that budget allocation: ${error.message}`,
+          visualization: result.visualization,
+          analysisSteps: analysisSteps,
+          budget: { code: error.code, error: error.message },
+          attempts: attempts
+        };
+      }
+      result.visualization = { type: 'budget_allocation', ...budget };
+    }
+    
+    if (result.visualization) {
+      addStep('📊 Preparing visualization...');
+      if (hooks.onVisualization) hooks.onVisualization(result.visualization);
+    }
+    
+    // The answer prompt follows what was computed (budget allocation, funnel, ...)
+    let answerQueryType = queryResult.queryType;
+    if (budget) {
+      answerQueryType = 'BUDGET_OPTIMIZATION';
+    } else if (result.visualization && result.visualization.type === 'funnel') {
+      answerQueryType = 'FUNNEL';
+    }
+    
+    // Step 4: Answer Generator Agent
+    addStep('✍️ Generating insights and recommendations...');
+    const answer = await traceStep('answerGenerator', () => answerGeneratorAgent(
+      contextString + 'Current question: ' + message,
+      budget || result.rawData,
+      sql,
+      queryResult.goal,// Pass the goal here
+      answerQueryType,
+      null,
+      timeFrame,
+      hooks.onToken,
+      result.visualization && result.visualization.significance
+    ));
+    
+    return cacheAnswer(answerKey, planKey, queryResult, llmFailuresAtStart, {
+      success: true,
+      sql: sql,
+      answer: answer,
+      visualization: result.visualization,
+      analysisSteps: analysisSteps, // NEW: Send analysis steps
+      goal: queryResult.goal,
+      queryType: queryResult.queryType,
+      dimensions: queryResult.dimensions,
+      filters: queryResult.filters,
+      planSource: queryResult.planSource,
+      timeFrame: timeFrame,
+      resultSet: result.resultSet,
+      budget: budget,
+      cached: false,
+      attempts: attempts
+    });
+    
+  } catch (error) {
+    logEvent('error', 'chat.failed', { error });
+    return {
+      success: false,
+      sql: null,
+      answer: 'I encountered an unexpected error. Please try again or rephrase your question.',
+      visualization: null,
+      analysisSteps: ['🤔 Understanding request...', '❌ Encountered an error']
+    };
+  }
+}
+
+// Everything that reads or stores account data needs an API key or token once accounts are configured,
+// and counts towards the key's request rate
+app.use(['/chat', '/sessions', '/budget', '/export', '/alerts', '/metrics-definitions'], requireAccount, trackRequest);
+
+// Main chat endpoint
+app.post('/chat', enforceTokenQuota, async (req, res) => {
+  const { message, sessionId } = req.body;
+  
+  let conversation;
+  try {
+    conversation = await resolveConversation(sessionId, req.body.conversationHistory, req.accountId);
+  } catch (error) {
+    logEvent('error', 'session.load_failed', { error });
+    return res.status(500).json({ success: false, error: 'Could not load session' });
+  }
+  if (conversation.session === null) {
+    return res.status(404).json({ success: false, error: 'Session not found' });
+  }
+  
+  const payload = await runChatPipeline(message, conversation.conversationHistory, req.accountId);
+  payload.usage = summarizeCallUsage(req.usage.calls);
+  
+  if (conversation.session) {
+    await recordSessionTurn(conversation.session, message, payload);
+  }
+  
+  res.json(payload);
+});
+
+// Streaming chat endpoint (Server-Sent Events)
+// Events: step, sql, visualization, token (answer text as it is generated),
+// then result with the same payload as /chat.
+app.post('/chat/stream', enforceTokenQuota, async (req, res) => {
+  const { message, sessionId } = req.body;
+  
+  let conversation;
+  try {
+    conversation = await resolveConversation(sessionId, req.body.conversationHistory, req.accountId);
+  } catch (error) {
+    logEvent('error', 'session.load_failed', { error });
+    return res.status(500).json({ success: false, error: 'Could not load session' });
+  }
+  if (conversation.session === null) {
+    return res.status(404).json({ success: false, error: 'Session not found' });
+  }
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  
+  let clientClosed = false;
+  res.on('close', () => {
+    clientClosed = true;
+  });
+  
+  const sendEvent = (event, data) => {
+    if (clientClosed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  
+  const payload = await runChatPipeline(message, conversation.conversationHistory, req.accountId, {
+    onStep: step => sendEvent('step', { step }),
+    onSQL: sql => sendEvent('sql', { sql }),
+    onVisualization: visualization => sendEvent('visualization', { visualization }),
+    onToken: text => sendEvent('token', { text })
+  });
+  payload.usage = summarizeCallUsage(req.usage.calls);
+  
+  if (conversation.session) {
+    await recordSessionTurn(conversation.session, message, payload);
+  }
+  
+  sendEvent('result', payload);
+  res.end();
+});
+
+// Session endpoints
+app.post('/sessions', async (req, res) => {
+  try {
+    const session = await sessionStore.createSession(req.body && req.body.metadata, req.accountId);
+    res.status(201).json({ success: true, session });
+  } catch (error) {
+    logEvent('error', 'session.create_failed', { error });
+    res.status(500).json({ success: false, error: 'Could not create session' });
+  }
+});
+
+app.get('/sessions/:id', async (req, res) => {
+  try {
+    const session = await getAccountSession(req.params.id, req.accountId);
+    if (!session) {
+      return res.status(404).json({ success: false, error: 'Session not found' });
+    }
+    res.json({ success: true, session });
+  } catch (error) {
+    logEvent('error', 'session.load_failed', { error });
+    res.status(500).json({ success: false, error: 'Could not load session' });
+  }
+});
 
-<example>
-Context: User previously asked about TikTok
-Question: "How much am I spending there?"
-Response: You're spending **$70,493** on **TikTok**.
+app.delete('/sessions/:id', async (req, res) => {
+  try {
+    const session = await getAccountSession(req.params.id, req.accountId);
+    const deleted = session ? await sessionStore.deleteSession(session.id) : false;
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Session not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    logEvent('error', 'session.delete_failed', { error });
+    res.status(500).json({ success: false, error: 'Could not delete session' });
+  }
+});
 
-Question: "Which gender has highest CTR?"
-Response: The gender with the highest **CTR** is **unknown** at **2.5%**, followed by **male** at **2.4%** and **female** at **2.2%**.
-</example>
+// Budget optimizer endpoint
+// Body: { budgetChange, goal: ROAS | CPM | CTR, constraints: { TikTok: { min, max } },
+//         reallocationCap (fraction, null for none), period (e.g. "October"), filters }
+app.post('/budget/optimize', async (req, res) => {
+  const body = req.body || {};
+  try {
+    const options = parseBudgetRequest(body);
+    const availableMonths = await getAvailableMonths(req.accountId);
+    const timeFrame = resolveTimeFrame(String(body.period || ''), availableMonths);
+    const optimization = await runBudgetOptimization(timeFrame, options, body.filters, req.accountId);
+    res.json({ success: true, ...optimization });
+  } catch (error) {
+    if (error.name === 'BudgetError') {
+      return res.status(400).json({ success: false, code: error.code, error: error.message });
+    }
+    logEvent('error', 'budget.failed', { error });
+    res.status(500).json({ success: false, error: 'Could not optimize budget' });
+  }
+});
 
-Generate your answer now.`;
-}
+// Export endpoint
+// Body: { format: csv | xlsx | json, sessionId, turnId } to re-run a stored /chat turn,
+// or { format, sql, question, goal, queryType } with the fields of a /chat response
+app.post('/export', async (req, res) => {
+  const body = req.body || {};
+  const format = String(body.format || 'csv').toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ success: false, error: `format must be one of ${EXPORT_FORMATS.join(', ')}` });
+  }
+  
+  let source = body;
+  if (body.sessionId) {
+    try {
+      const session = await getAccountSession(body.sessionId, req.accountId);
+      const turn = session && session.turns.find(t => t.id === body.turnId);
+      if (!turn) {
+        return res.status(404).json({ success: false, error: 'Session turn not found' });
+      }
+      source = turn;
+    } catch (error) {
+      logEvent('error', 'session.load_failed', { error });
+      return res.status(500).json({ success: false, error: 'Could not load session' });
+    }
+  }
+  if (!source.sql) {
+    return res.status(400).json({ success: false, error: 'Nothing to export: send sql (or a sessionId and turnId with a query)' });
+  }
   
+  let exported;
   try {
-    const response = await callLLM(systemPrompt, userPrompt, isStrategy ? 2000 : 1500);
-    return response;
-    
+    exported = await runExport(source, req.accountId);
   } catch (error) {
-    console.error('Error in answerGeneratorAgent:', error);
-    return formatDataFallback(sortedResults);
+    if (error.code && error.code !== 'DATA_SOURCE_ERROR') {
+      return res.status(400).json({ success: false, code: error.code, error: error.message });
+    }
+    logEvent('error', 'export.failed', { error });
+    return res.status(500).json({ success: false, error: 'Could not export results' });
   }
-}
+  
+  const filename = `adagentos-export-${exported.metadata.generatedAt.substring(0, 10)}.${format}`;
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  
+  if (format === 'json') {
+    return res.json({ success: true, ...exported });
+  }
+  if (format === 'csv') {
+    return res.type('text/csv; charset=utf-8').send(formatExportCSV(exported));
+  }
+  res.type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet').send(formatExportXLSX(exported));
+});
 
-// Fallback formatting if answer agent fails
-function formatDataFallback(results) {
-  let output = "Here's what I found:\n\n";
+// Ingestion endpoint
+// Body: CSV (Content-Type: text/csv), a JSON array of rows, or { rows: [...] } / { csv: "..." }
+// Query: ?dryRun=true validates without writing,
+//        ?source=meta|tiktok|youtube|snapchat|auto maps a native platform export first (auto-detected by default),
+//        ?account=<id> is the account of rows without an account_id (needs API_KEYS or JWT_SECRET)
+app.post('/ingest', async (req, res) => {
+  if (!INGEST_API_KEY) {
+    return res.status(503).json({ success: false, error: 'Ingestion is disabled: set INGEST_API_KEY' });
+  }
+  if (!isIngestAuthorized(req)) {
+    return res.status(401).json({ success: false, error: 'Invalid or missing API key' });
+  }
   
-  if (typeof results === 'object' && results !== null) {
-    Object.keys(results).forEach(key => {
-      const data = results[key];
-      if (typeof data === 'object') {
-        output += `**${key}**\n`;
-        if (data.roas) output += `→ ROAS: **${data.roas}x**\n`;
-        if (data.spend) output += `→ Spend: **$${(data.spend/1000).toFixed(1)}k**\n`;
-        if (data.revenue) output += `→ Revenue: **$${(data.revenue/1000).toFixed(1)}k**\n`;
-        if (data.ctr) output += `→ CTR: **${data.ctr}%**\n`;
-        output += '\n';
-      }
-    });
+  const body = req.body;
+  let rows;
+  try {
+    if (typeof body === 'string') {
+      rows = parseCSV(body);
+    } else if (Array.isArray(body)) {
+      rows = body;
+    } else if (body && Array.isArray(body.rows)) {
+      rows = body.rows;
+    } else if (body && typeof body.csv === 'string') {
+      rows = parseCSV(body.csv);
+    }
+  } catch (error) {
+    return res.status(400).json({ success: false, error: `Could not parse rows: ${error.message}` });
+  }
+  if (!rows || rows.length === 0) {
+    return res.status(400).json({ success: false, error: 'No rows to ingest: send CSV, a JSON array, or { rows: [...] }' });
   }
   
-  return output;
-}
+  // Native platform exports are normalized into table rows first
+  const source = req.query.source || (body && body.source);
+  const headers = Object.keys(rows[0] || {});
+  let normalized = null;
+  if (source || (!headers.includes('report_month') && detectReportFormat(headers))) {
+    try {
+      normalized = normalizePlatformReport(rows, source);
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+  }
+  
+  const accountId = req.query.account || (body && typeof body.account === 'string' ? body.account : null);
+  if (accountId && !MULTI_TENANT) {
+    return res.status(400).json({ success: false, error: 'account needs accounts to be configured: set API_KEYS or JWT_SECRET' });
+  }
+  
+  const dryRun = req.query.dryRun === 'true' || !!(body && body.dryRun === true);
+  try {
+    const report = await ingestRows(normalized ? normalized.rows : rows, { dryRun, accountId });
+    if (normalized) {
+      // Report counts and errors against the rows of the uploaded export; the merged
+      // table rows are counted separately as segments
+      const rejectedSegments = new Set(report.errors.map(error => error.row));
+      const validSourceRows = normalized.sourceRows
+        .filter((sourceRows, index) => !rejectedSegments.has(index + 1))
+        .reduce((sum, sourceRows) => sum + sourceRows.length, 0);
+      report.segments = { received: report.received, valid: report.valid, rejected: report.rejected };
+      report.received = rows.length;
+      report.valid = validSourceRows;
+      report.rejected = rows.length - validSourceRows;
+      report.errors = [
+        ...normalized.errors,
+        ...report.errors.map(({ row, ...error }) => ({ ...error, sourceRows: normalized.sourceRows[row - 1] }))
+      ];
+      report.source = {
+        format: normalized.format,
+        name: normalized.formatName,
+        rows: rows.length,
+        unmappedColumns: normalized.unmappedColumns,
+        notes: normalized.notes
+      };
+    }
+    res.status(report.rejected > 0 && report.valid === 0 ? 422 : 200).json({ success: report.rejected === 0, ...report });
+  } catch (error) {
+    logEvent('error', 'ingest.failed', { error });
+    res.status(500).json({ success: false, error: 'Could not write rows' });
+  }
+});
+
+// Cache endpoints
+app.get('/cache', (req, res) => {
+  res.json({
+    success: true,
+    enabled: RESPONSE_CACHE === 'on',
+    dataVersion: dataVersion,
+    promptVersion: PROMPT_VERSION,
+    caches: [planCache, rowsCache, answerCache].map(cache => cache.stats())
+  });
+});
 
+// For loaders that write to the table directly (same API key as /ingest)
+app.post('/cache/invalidate', (req, res) => {
+  if (!INGEST_API_KEY) {
+    return res.status(503).json({ success: false, error: 'Cache invalidation is disabled: set INGEST_API_KEY' });
+  }
+  if (!isIngestAuthorized(req)) {
+    return res.status(401).json({ success: false, error: 'Invalid or missing API key' });
+  }
+  res.json({ success: true, ...invalidateDataCaches('requested') });
+});
 
-// Main chat endpoint
-app.post('/chat', async (req, res) => {
+// Alert rule endpoints
+// Body: { name, metric, operator: below | above | drops_pct | rises_pct, threshold,
+//         dimension (optional), filters ({ platform: ["TikTok"] }), webhookUrl, enabled }
+app.post('/alerts', async (req, res) => {
+  const { rule, errors } = buildAlertRule(req.body, null, req.accountId);
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, error: 'Invalid alert rule', errors });
+  }
   try {
-    const { message, conversationHistory } = req.body;
-    
-    console.log('\n=== New Chat Request ===');
-    console.log('User message:', message);
-    
-    // Track analysis steps
-    const analysisSteps = [];
-    
-    // Step 1: Understanding
-    analysisSteps.push(`🤔 User is asking: "${message}"`);
-    
-    // Build conversation context
-    let contextString = '';
-    if (conversationHistory && conversationHistory.length > 0) {
-      contextString = 'Previous conversation:\n';
-      conversationHistory.forEach(msg => {
-        contextString += `${msg.role === 'user' ? 'User' : 'Assistant'}: ${msg.content}\n`;
-      });
-      contextString += '\n';
+    res.status(201).json({ success: true, alert: await alertStore.saveRule(rule) });
+  } catch (error) {
+    logEvent('error', 'alert.save_failed', { error });
+    res.status(500).json({ success: false, error: 'Could not save alert' });
+  }
+});
+
+app.get('/alerts', async (req, res) => {
+  try {
+    const rules = await alertStore.listRules();
+    res.json({ success: true, alerts: rules.filter(rule => belongsToAccount(rule, req.accountId)) });
+  } catch (error) {
+    logEvent('error', 'alerts.load_failed', { error });
+    res.status(500).json({ success: false, error: 'Could not load alerts' });
+  }
+});
+
+// Query: ?dryRun=true evaluates without notifying, ?force=true notifies even if already notified
+app.post('/alerts/run', enforceTokenQuota, async (req, res) => {
+  try {
+    const rules = (await alertStore.listRules()).filter(rule => rule.enabled && belongsToAccount(rule, req.accountId));
+    const run = await runAlertRules(rules, { dryRun: req.query.dryRun === 'true', force: req.query.force === 'true' });
+    res.json({ success: true, ...run });
+  } catch (error) {
+    logEvent('error', 'alerts.run_failed', { error });
+    res.status(500).json({ success: false, error: 'Could not run alerts' });
+  }
+});
+
+app.get('/alerts/:id', async (req, res) => {
+  try {
+    const rule = await getAccountAlertRule(req.params.id, req.accountId);
+    if (!rule) {
+      return res.status(404).json({ success: false, error: 'Alert not found' });
     }
+    res.json({ success: true, alert: rule });
+  } catch (error) {
+    logEvent('error', 'alert.load_failed', { error });
+    res.status(500).json({ success: false, error: 'Could not load alert' });
+  }
+});
 
-    // Extract previous goal from conversation history
-    let previousGoal = null;
-    if (conversationHistory && conversationHistory.length > 0) {
-      // Look through history from newest to oldest to find the most recent goal
-      for (let i = conversationHistory.length - 1; i >= 0; i--) {
-        if (conversationHistory[i].goal) {
-          previousGoal = conversationHistory[i].goal;
-          break;
-        }
-      }
+app.put('/alerts/:id', async (req, res) => {
+  try {
+    const existing = await getAccountAlertRule(req.params.id, req.accountId);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Alert not found' });
     }
-    
-    // Add previous goal to context
-    if (previousGoal) {
-      contextString += `Previous query goal: ${previousGoal}\n\n`;
+    const { rule, errors } = buildAlertRule(req.body, existing);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid alert rule', errors });
     }
-    
-    // Then your existing queryGeneratorAgent call continues as normal:
-    // const queryResult = await queryGeneratorAgent(
-    //   contextString + 'Current question: ' + message
-    // );
-    
-    // Query Generator Agent
-    analysisSteps.push('🔍 Analyzing what data is needed...');
-    const queryResult = await queryGeneratorAgent(
-      contextString + 'Current question: ' + message
-    );
-    
-    // If not SQL (conversational response), return immediately
-    if (!queryResult.isSQL) {
-      console.log('Conversational response returned');
-      return res.json({
-        success: true,
-        sql: null,
-        answer: queryResult.content,
-        visualization: null,
-        analysisSteps: analysisSteps
-      });
+    res.json({ success: true, alert: await alertStore.saveRule(rule) });
+  } catch (error) {
+    logEvent('error', 'alert.update_failed', { error });
+    res.status(500).json({ success: false, error: 'Could not update alert' });
+  }
+});
+
+app.delete('/alerts/:id', async (req, res) => {
+  try {
+    const rule = await getAccountAlertRule(req.params.id, req.accountId);
+    const deleted = rule ? await alertStore.deleteRule(rule.id) : false;
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Alert not found' });
     }
-    
-    let sql = queryResult.content;
-    
-    // Remove trailing semicolon if present
-    sql = sql.replace(/;\s*$/, '').trim();
-    
-    // Extract what we're analyzing from SQL
-    if (sql.includes('video_ad_performance')) {
-      analysisSteps.push('🗄️ Accessing: video_ad_performance table');
+    res.json({ success: true });
+  } catch (error) {
+    logEvent('error', 'alert.delete_failed', { error });
+    res.status(500).json({ success: false, error: 'Could not delete alert' });
+  }
+});
+
+// Evaluate one rule now (also when disabled); same query options as /alerts/run
+app.post('/alerts/:id/run', enforceTokenQuota, async (req, res) => {
+  try {
+    const rule = await getAccountAlertRule(req.params.id, req.accountId);
+    if (!rule) {
+      return res.status(404).json({ success: false, error: 'Alert not found' });
     }
-    
-    // Detect what metrics we're looking at
-    const metrics = [];
-    if (sql.includes('SUM(revenue) / NULLIF(SUM(spend)')) metrics.push('ROAS');
-    if (sql.includes('SUM(clicks)') && sql.includes('impressions')) metrics.push('CTR');
-    if (sql.includes('SUM(spend) / NULLIF(SUM(conversions)')) metrics.push('CPA');
-    if (sql.includes('views_100')) metrics.push('Video Completion Rate');
-    
-    if (metrics.length > 0) {
-      analysisSteps.push(`📊 Calculating: ${metrics.join(', ')}`);
+    const run = await runAlertRules([rule], { dryRun: req.query.dryRun === 'true', force: req.query.force === 'true' });
+    const result = run.results[0];
+    if (result.error) {
+      return res.status(500).json({ success: false, ...result });
     }
-    
-    // Detect grouping
-    const groupByMatch = sql.match(/GROUP BY\s+(\w+)/i);
-    if (groupByMatch) {
-      analysisSteps.push(`🎯 Comparing by: ${groupByMatch[1]}`);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    logEvent('error', 'alert.run_failed', { error });
+    res.status(500).json({ success: false, error: 'Could not run alert' });
+  }
+});
+
+// Custom metric endpoints
+// Body: { name, expression (e.g. "revenue - spend"), label, format: ratio | percent | currency | integer | number,
+//         precision, higherIsBetter, description }
+app.post('/metrics-definitions', async (req, res) => {
+  try {
+    const others = await listAccountMetricDefinitions(req.accountId);
+    const { definition, errors } = buildMetricDefinition(req.body, null, others, req.accountId);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid metric definition', errors });
     }
-    
-    console.log('Generated SQL:', sql);
-    
-    // Step 2: Validate SQL
-    const validation = validateSQL(sql);
-    if (!validation.valid) {
-      console.log('SQL validation failed:', validation.error);
-      return res.json({
-        success: false,
-        sql: sql,
-        answer: "I had trouble creating a safe query for that question. Could you try asking in a different way?",
-        visualization: null,
-        analysisSteps: analysisSteps
-      });
+    res.status(201).json({ success: true, metric: await metricDefinitionStore.saveDefinition(definition) });
+  } catch (error) {
+    logEvent('error', 'metric_definition.save_failed', { error });
+    res.status(500).json({ success: false, error: 'Could not save metric definition' });
+  }
+});
+
+app.get('/metrics-definitions', async (req, res) => {
+  try {
+    res.json({ success: true, metrics: await listAccountMetricDefinitions(req.accountId) });
+  } catch (error) {
+    logEvent('error', 'metric_definitions.load_failed', { error });
+    res.status(500).json({ success: false, error: 'Could not load metric definitions' });
+  }
+});
+
+app.get('/metrics-definitions/:id', async (req, res) => {
+  try {
+    const definition = await getAccountMetricDefinition(req.params.id, req.accountId);
+    if (!definition) {
+      return res.status(404).json({ success: false, error: 'Metric definition not found' });
     }
-    
-    // Step 3: Execute SQL and aggregate
-    analysisSteps.push('🔄 Running analysis on October 2025 data...');
-    let result;
-    try {
-      result = await executeAndAggregate(sql, message, queryResult.goal, queryResult.queryType );
-      console.log('Query executed successfully');
-      
-      // Add data volume info
-      if (result.rawData && typeof result.rawData === 'object') {
-        const count = Object.keys(result.rawData).length;
-        analysisSteps.push(`📈 Found: ${count} data segments to analyze`);
-      }
-      
-    } catch (error) {
-      console.log('SQL execution failed:', error.message);
-      return res.json({
-        success: false,
-        sql: sql,
-        answer: "I ran into an issue retrieving that data. Could you try rephrasing your question? For example: 'Which platform has the best ROAS?' or 'Show me conversion rates by age group'",
-        visualization: null,
-        analysisSteps: analysisSteps
-      });
+    res.json({ success: true, metric: definition });
+  } catch (error) {
+    logEvent('error', 'metric_definition.load_failed', { error });
+    res.status(500).json({ success: false, error: 'Could not load metric definition' });
+  }
+});
+
+app.put('/metrics-definitions/:id', async (req, res) => {
+  try {
+    const existing = await getAccountMetricDefinition(req.params.id, req.accountId);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Metric definition not found' });
     }
-    
-    // Step 4: Answer Generator Agent
-    analysisSteps.push('✍️ Generating insights and recommendations...');
-    const answer = await answerGeneratorAgent(
-      contextString + 'Current question: ' + message,
-      result.rawData,
-      sql,
-      queryResult.goal,// Pass the goal here
-      queryResult.queryType
-      
-    );
-    
-    if (result.visualization) {
-      analysisSteps.push('📊 Preparing visualization...');
+    const others = (await listAccountMetricDefinitions(req.accountId)).filter(definition => definition.id !== existing.id);
+    const { definition, errors } = buildMetricDefinition(req.body, existing, others);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid metric definition', errors });
+    }
+    res.json({ success: true, metric: await metricDefinitionStore.saveDefinition(definition) });
+  } catch (error) {
+    logEvent('error', 'metric_definition.update_failed', { error });
+    res.status(500).json({ success: false, error: 'Could not update metric definition' });
+  }
+});
+
+app.delete('/metrics-definitions/:id', async (req, res) => {
+  try {
+    const definition = await getAccountMetricDefinition(req.params.id, req.accountId);
+    const deleted = definition ? await metricDefinitionStore.deleteDefinition(definition.id) : false;
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Metric definition not found' });
     }
+    res.json({ success: true });
+  } catch (error) {
+    logEvent('error', 'metric_definition.delete_failed', { error });
+    res.status(500).json({ success: false, error: 'Could not delete metric definition' });
+  }
+});
+
+// Usage endpoint: LLM calls, tokens and estimated cost by day, key and agent.
+// An account sees its own keys; the INGEST_API_KEY sees every account.
+// Query: ?from=YYYY-MM-DD&to=YYYY-MM-DD (default: the last 30 days), ?key=<key id>
+app.get('/usage', (req, res, next) => {
+  if (INGEST_API_KEY && isIngestAuthorized(req)) {
+    req.accountId = undefined;
+    return next();
+  }
+  requireAccount(req, res, next);
+}, async (req, res) => {
+  const to = req.query.to || usageDay();
+  const from = req.query.from || usageDay(new Date(Date.now() - 29 * 24 * 60 * 60 * 1000));
+  if (![from, to].every(day => /^\d{4}-\d{2}-\d{2}$/.test(day)) || from > to) {
+    return res.status(400).json({ success: false, error: 'from and to must be dates (YYYY-MM-DD), from not after to' });
+  }
+  
+  try {
+    const rows = (await usageStore.list({ from, to, accountId: req.accountId }))
+      .filter(row => !req.query.key || row.key === req.query.key);
     
-    console.log('Answer generated successfully');
-    console.log('Visualization type:', result.visualization ? result.visualization.type : 'none');
+    const byKey = await Promise.all(summarizeUsageRows(rows, ['key', 'accountId']).map(async summary => ({
+      ...summary,
+      quota: { ...resolveKeyQuotas(summary.key, summary.accountId), tokensUsedToday: await syncTokensUsedToday(summary.key, summary.accountId) }
+    })));
     
     res.json({
       success: true,
-      sql: sql,
-      answer: answer,
-      visualization: result.visualization,
-      analysisSteps: analysisSteps, // NEW: Send analysis steps
-      goal: queryResult.goal 
+      from,
+      to,
+      totals: summarizeUsageRows(rows.length > 0 ? rows : [{}], [])[0],
+      byDay: summarizeUsageRows(rows, ['day']).sort((a, b) => a.day.localeCompare(b.day)),
+      byKey: byKey.sort((a, b) => b.costUsd - a.costUsd || a.key.localeCompare(b.key)),
+      byAgent: summarizeUsageRows(rows.filter(row => row.agent), ['agent']).sort((a, b) => b.costUsd - a.costUsd),
+      byDayKeyAgent: summarizeUsageRows(rows, ['day', 'key', 'agent'])
+        .sort((a, b) => a.day.localeCompare(b.day) || a.key.localeCompare(b.key) || String(a.agent).localeCompare(String(b.agent)))
     });
-    
   } catch (error) {
-    console.error('Error in chat endpoint:', error);
-    res.json({
-      success: false,
-      sql: null,
-      answer: 'I encountered an unexpected error. Please try again or rephrase your question.',
-      visualization: null,
-      analysisSteps: ['🤔 Understanding request...', '❌ Encountered an error']
-    });
+    logEvent('error', 'usage.load_failed', { error });
+    res.status(500).json({ success: false, error: 'Could not load usage' });
   }
 });
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'healthy', 
+// Health checks: can we read performance data, and will the LLM provider serve the model?
+// Results are reused for HEALTH_CACHE_SECONDS so frequent probes don't hit the provider on every call.
+const HEALTH_CACHE_SECONDS = 30;
+let healthCache = null;
+
+// Helper: Run one dependency check with a timeout: { status: 'ok' | 'error', latencyMs, error? }
+async function runHealthCheck(name, check) {
+  const started = process.hrtime.bigint();
+  const signal = AbortSignal.timeout(HEALTH_CHECK_TIMEOUT_MS);
+  try {
+    await check(signal);
+    return { status: 'ok', latencyMs: elapsedMs(started) };
+  } catch (error) {
+    const timedOut = signal.aborted;
+    logEvent('warn', 'health.check_failed', { check: name, error });
+    return {
+      status: 'error',
+      latencyMs: elapsedMs(started),
+      error: timedOut ? `No response within ${HEALTH_CHECK_TIMEOUT_MS}ms` : error.message
+    };
+  }
+}
+
+async function checkHealth() {
+  if (healthCache && Date.now() - healthCache.checkedAt < HEALTH_CACHE_SECONDS * 1000) {
+    return healthCache.result;
+  }
+  
+  const provider = resolveLLMProvider(MODEL_NAME);
+  const [database, llm] = await Promise.all([
+    runHealthCheck('database', async signal => {
+      if (DATA_SOURCE === 'fixture') {
+        loadFixtureRows();
+        return;
+      }
+      const { error } = await supabase.from('video_ad_performance').select('report_month').limit(1).abortSignal(signal);
+      if (error) throw new Error(error.message);
+    }),
+    runHealthCheck('llm', signal => provider.checkHealth({ model: MODEL_NAME, signal }))
+  ]);
+  
+  const checks = {
+    database: { source: DATA_SOURCE, ...database },
+    llm: { provider: provider.name, model: MODEL_NAME, ...llm }
+  };
+  const result = {
+    status: Object.values(checks).every(check => check.status === 'ok') ? 'healthy' : 'unhealthy',
+    checkedAt: new Date().toISOString(),
+    checks
+  };
+  healthCache = { checkedAt: Date.now(), result };
+  return result;
+}
+
+// Health check endpoint: 200 when every dependency check passes, 503 otherwise
+app.get('/health', async (req, res) => {
+  const health = await checkHealth();
+  res.status(health.status === 'healthy' ? 200 : 503).json({
+    status: health.status,
     model: MODEL_NAME,
-    agents: ['queryGeneratorAgent', 'answerGeneratorAgent']
+    provider: resolveLLMProvider(MODEL_NAME).name,
+    dataSource: DATA_SOURCE,
+    agents: ['queryGeneratorAgent', 'answerGeneratorAgent'],
+    uptimeSeconds: Math.round(process.uptime()),
+    checkedAt: health.checkedAt,
+    checks: health.checks
   });
 });
-app.listen(PORT, () => {
-  console.log(`\n🚀 AdAgentOS Backend running on port ${PORT}`);
-  console.log(`📊 Using model: ${MODEL_NAME}`);
-  console.log(`🤖 Active agents: Query Generator + Answer Generator\n`);
+
+// Prometheus metrics (text exposition format)
+app.get('/metrics', (req, res) => {
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(metricsRegistry.flatMap(metric => metric.render()).join('\n') + '\n');
+});
+// Errors passed on by middleware (malformed JSON bodies, ...) are logged and answered in JSON
+app.use((error, req, res, next) => {
+  const status = error.status || error.statusCode || 500;
+  logEvent(status >= 500 ? 'error' : 'warn', 'http.error', { requestId: req.requestId, status, error });
+  if (res.headersSent) return next(error);
+  res.status(status).json({ success: false, error: status >= 500 ? 'Internal server error' : error.message });
 });
+
+// Start the server when run directly; scripts (e.g. the evaluation suite) require the pipeline instead
+if (require.main === module) {
+  app.listen(PORT, () => {
+    logEvent('info', 'server.started', {
+      port: PORT,
+      model: MODEL_NAME,
+      provider: resolveLLMProvider(MODEL_NAME).name,
+      dataSource: DATA_SOURCE,
+      agents: ['queryGeneratorAgent', 'answerGeneratorAgent']
+    });
+    
+    if (MULTI_TENANT) {
+      logEvent('info', 'accounts.configured', {
+        apiKeyAccounts: new Set(ACCOUNT_API_KEYS.values()).size,
+        jwtClaim: JWT_SECRET ? JWT_ACCOUNT_CLAIM : null
+      });
+    } else {
+      logEvent('warn', 'accounts.not_configured', { message: 'No API_KEYS or JWT_SECRET: the API is open and reads every row' });
+    }
+    logEvent('info', 'limits.configured', {
+      requestsPerMinute: RATE_LIMIT_PER_MINUTE || 'unlimited',
+      tokensPerDay: TOKEN_QUOTA_PER_DAY || 'unlimited'
+    });
+    if (!resolveLLMPrice(MODEL_NAME)) {
+      logEvent('warn', 'llm.price_unknown', {
+        model: MODEL_NAME,
+        message: 'Set LLM_INPUT_PRICE_PER_MTOK and LLM_OUTPUT_PRICE_PER_MTOK for cost estimates'
+      });
+    }
+    
+    setInterval(pruneQuotaState, 60 * 1000);
+    
+    if (ALERT_EVALUATION_INTERVAL_MINUTES > 0) {
+      setInterval(runScheduledAlerts, ALERT_EVALUATION_INTERVAL_MINUTES * 60 * 1000);
+      logEvent('info', 'alerts.scheduled', { intervalMinutes: ALERT_EVALUATION_INTERVAL_MINUTES });
+    }
+  });
+}
+
+module.exports = { app, runChatPipeline, detectRequestedMetrics };